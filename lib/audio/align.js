@@ -0,0 +1,333 @@
+/**
+ * Audio-to-Viseme Alignment
+ *
+ * Builds a lip-sync timeline for recorded speech, in the same
+ * { phonemes: [{ viseme, phoneme, time, duration, intensity }], totalDuration }
+ * shape generatePhonemeData() returns.
+ *
+ * The audio is cut into 10 ms frames and each frame gets its energy,
+ * zero-crossing rate and spectrum. Voice activity detection (an adaptive
+ * energy threshold with hangover) finds where speech is. Then:
+ * - with a transcript, the transcript's predicted timeline is warped onto the
+ *   detected speech, phrase by phrase when the pauses line up;
+ * - without one, each speech frame is classified from its spectrum (frication
+ *   → S/SH/F shapes, weak voicing → closed lips, vowels → nearest formant match).
+ * Either way the mouth opens as wide as the audio is loud.
+ */
+
+import { generatePhonemeData } from '../phonemes/index.js';
+import { ARPABET_VISEMES, VOWEL_FORMANTS } from '../../public/shared/phonemes/visemes.js';
+
+const HOP_SECONDS = 0.01;
+const WINDOW_SECONDS = 0.025;
+const MIN_GAP_SECONDS = 0.12;      // shorter silences are bridged
+const MIN_SPEECH_SECONDS = 0.05;   // shorter bursts are clicks, not speech
+const MIN_VISEME_SECONDS = 0.04;
+const PHRASE_PAUSE_SECONDS = 0.15; // predicted pauses this long separate phrases
+const OVERLAP = 1.2;
+
+// ─── Frame analysis ────────────────────────────────────────────────────────
+
+// In-place radix-2 FFT (re/im arrays, length a power of two)
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const cos = Math.cos(angle * k), sin = Math.sin(angle * k);
+                const a = start + k, b = a + size / 2;
+                const tr = re[b] * cos - im[b] * sin;
+                const ti = re[b] * sin + im[b] * cos;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+            }
+        }
+    }
+}
+
+function percentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] ?? 0;
+}
+
+/** Strongest spectral peak between two frequencies. */
+function peakBetween(envelope, binHz, low, high) {
+    let best = low, bestValue = -Infinity;
+    for (let bin = Math.ceil(low / binHz); bin <= Math.floor(high / binHz) && bin < envelope.length; bin++) {
+        if (envelope[bin] > bestValue) {
+            bestValue = envelope[bin];
+            best = bin * binHz;
+        }
+    }
+    return best;
+}
+
+/**
+ * Per-frame features: { time, db, zcr, centroid, highRatio, f1, f2 }.
+ */
+export function analyzeFrames(samples, sampleRate) {
+    const hop = Math.max(1, Math.round(HOP_SECONDS * sampleRate));
+    const size = 2 ** Math.ceil(Math.log2(WINDOW_SECONDS * sampleRate));
+    const binHz = sampleRate / size;
+    const window = Float32Array.from({ length: size }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (size - 1)));
+    const re = new Float64Array(size);
+    const im = new Float64Array(size);
+    const magnitude = new Float64Array(size / 2);
+    const envelope = new Float64Array(size / 2);
+    const frames = [];
+
+    for (let start = 0; start < samples.length; start += hop) {
+        let energy = 0, crossings = 0;
+        for (let i = 0; i < size; i++) {
+            const sample = samples[start + i] ?? 0;
+            energy += sample * sample;
+            if (i > 0 && (sample >= 0) !== ((samples[start + i - 1] ?? 0) >= 0)) crossings++;
+            // Pre-emphasis flattens the spectral tilt so F2 isn't lost under F1
+            re[i] = (sample - 0.95 * (samples[start + i - 1] ?? 0)) * window[i];
+            im[i] = 0;
+        }
+        fft(re, im);
+
+        let total = 0, high = 0, weighted = 0;
+        for (let bin = 1; bin < size / 2; bin++) {
+            const power = re[bin] * re[bin] + im[bin] * im[bin];
+            magnitude[bin] = Math.sqrt(power);
+            total += power;
+            weighted += power * bin * binHz;
+            if (bin * binHz >= 3500) high += power;
+        }
+        // A ~300 Hz moving average smooths harmonics into a formant envelope
+        const radius = Math.max(1, Math.round(150 / binHz));
+        for (let bin = 0; bin < size / 2; bin++) {
+            let sum = 0, count = 0;
+            for (let k = Math.max(0, bin - radius); k <= Math.min(size / 2 - 1, bin + radius); k++) {
+                sum += magnitude[k];
+                count++;
+            }
+            envelope[bin] = sum / count;
+        }
+        const f1 = peakBetween(envelope, binHz, 250, 950);
+        const f2 = peakBetween(envelope, binHz, Math.max(800, f1 + 250), 2700);
+
+        const rms = Math.sqrt(energy / size);
+        frames.push({
+            time: start / sampleRate,
+            db: 20 * Math.log10(rms + 1e-9),
+            zcr: crossings / size,
+            centroid: total > 0 ? weighted / total : 0,
+            highRatio: total > 0 ? high / total : 0,
+            f1,
+            f2,
+        });
+    }
+    return frames;
+}
+
+// ─── Voice activity ────────────────────────────────────────────────────────
+
+/**
+ * Speech regions [{ start, end }] in seconds. The threshold sits between the
+ * noise floor and the speech level, so it adapts to the recording's gain.
+ */
+export function detectSpeech(frames) {
+    if (frames.length === 0) return { regions: [], floor: 0, peak: 0 };
+    const floor = percentile(frames.map(f => f.db), 0.1);
+    const peak = percentile(frames.map(f => f.db), 0.95);
+    const threshold = Math.max(floor + Math.max(6, (peak - floor) * 0.3), -60);
+
+    const regions = [];
+    for (const frame of frames) {
+        if (frame.db < threshold) continue;
+        const last = regions[regions.length - 1];
+        const end = frame.time + HOP_SECONDS;
+        if (last && frame.time - last.end < MIN_GAP_SECONDS) last.end = end;
+        else regions.push({ start: frame.time, end });
+    }
+    return { regions: regions.filter(r => r.end - r.start >= MIN_SPEECH_SECONDS), floor, peak };
+}
+
+// ─── Acoustic visemes (no transcript) ──────────────────────────────────────
+
+function nearestVowel(f1, f2) {
+    let best = 'AH', bestDistance = Infinity;
+    for (const [vowel, [v1, v2]] of Object.entries(VOWEL_FORMANTS)) {
+        const distance = Math.log(f1 / v1) ** 2 + (Math.log(f2 / v2) ** 2) * 0.6;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = vowel;
+        }
+    }
+    return best;
+}
+
+/** The ARPAbet sound a frame most resembles (a representative one per mouth shape). */
+function classifyFrame(frame, level) {
+    if (frame.highRatio > 0.45 || frame.zcr > 0.3) {
+        if (frame.centroid > 5000) return 'S';
+        if (frame.centroid > 3000) return 'SH';
+        return 'F';
+    }
+    if (level < 0.25) return 'M';
+    if (level < 0.4) return 'N';
+    return nearestVowel(frame.f1, frame.f2);
+}
+
+function acousticTimeline(frames, regions, loudness) {
+    const phonemes = [];
+    for (const { start, end } of regions) {
+        const runs = [];
+        const labels = frames.filter(f => f.time >= start && f.time < end)
+            .map(f => ({ time: f.time, phoneme: classifyFrame(f, loudness(f.time)) }));
+
+        // Majority vote over ±2 frames smooths single-frame flicker
+        const smoothed = labels.map((label, i) => {
+            const counts = {};
+            for (const { phoneme } of labels.slice(Math.max(0, i - 2), i + 3)) counts[phoneme] = (counts[phoneme] || 0) + 1;
+            return { ...label, phoneme: Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0] };
+        });
+        for (const { time, phoneme } of smoothed) {
+            const last = runs[runs.length - 1];
+            if (last && last.phoneme === phoneme) last.end = time + HOP_SECONDS;
+            else runs.push({ phoneme, start: time, end: time + HOP_SECONDS });
+        }
+        // Too-short runs are folded into the previous shape
+        const merged = [];
+        for (const run of runs) {
+            const last = merged[merged.length - 1];
+            if (last && run.end - run.start < MIN_VISEME_SECONDS) last.end = run.end;
+            else merged.push(run);
+        }
+
+        for (const run of merged) {
+            const duration = run.end - run.start;
+            phonemes.push({
+                viseme: ARPABET_VISEMES[run.phoneme] || 'viseme_aa',
+                phoneme: run.phoneme,
+                time: run.start,
+                duration: duration * OVERLAP,
+                intensity: 0.3 + 0.7 * loudness(run.start + duration / 2),
+            });
+        }
+    }
+    return phonemes;
+}
+
+// ─── Transcript-guided alignment ───────────────────────────────────────────
+
+/** Split a predicted timeline into phrases at its longer pauses. */
+function predictedPhrases({ phonemes, totalDuration }) {
+    const phrases = [];
+    let current = null;
+    for (const entry of phonemes) {
+        const pause = !entry.phoneme && entry.viseme === 'viseme_sil';
+        if (pause && entry.duration >= PHRASE_PAUSE_SECONDS) {
+            if (current) current.end = entry.time;
+            current = null;
+            continue;
+        }
+        if (pause) continue;
+        if (!current) {
+            current = { start: entry.time, end: totalDuration, entries: [] };
+            phrases.push(current);
+        }
+        current.entries.push(entry);
+    }
+    return phrases.filter(p => p.entries.length > 0);
+}
+
+/**
+ * Map a position in concatenated "speech time" (pauses removed) onto the
+ * real regions.
+ */
+function locate(offset, regions) {
+    let remaining = offset;
+    for (const region of regions) {
+        const length = region.end - region.start;
+        if (remaining <= length) return region.start + remaining;
+        remaining -= length;
+    }
+    return regions[regions.length - 1].end;
+}
+
+function transcriptTimeline(transcript, lang, regions, loudness) {
+    const predicted = generatePhonemeData(transcript, { lang });
+    const phrases = predictedPhrases(predicted);
+    if (phrases.length === 0 || regions.length === 0) return { phonemes: [], lang: predicted.lang };
+
+    // One phrase per detected region when the pauses line up; otherwise all
+    // speech is treated as one stream spread over every region
+    const pairs = phrases.length === regions.length
+        ? phrases.map((phrase, i) => ({ phrases: [phrase], regions: [regions[i]] }))
+        : [{ phrases, regions }];
+
+    const phonemes = [];
+    for (const pair of pairs) {
+        const predictedLength = pair.phrases.reduce((sum, p) => sum + (p.end - p.start), 0);
+        const actualLength = pair.regions.reduce((sum, r) => sum + (r.end - r.start), 0);
+        const scale = predictedLength > 0 ? actualLength / predictedLength : 1;
+
+        let offset = 0;
+        for (const phrase of pair.phrases) {
+            for (const entry of phrase.entries) {
+                const time = locate((offset + entry.time - phrase.start) * scale, pair.regions);
+                phonemes.push({
+                    ...entry,
+                    time,
+                    duration: entry.duration * scale,
+                    intensity: entry.intensity * (0.6 + 0.4 * loudness(time)),
+                });
+            }
+            offset += phrase.end - phrase.start;
+        }
+    }
+    return { phonemes, lang: predicted.lang };
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Align recorded speech to visemes.
+ * @param {Float32Array} samples mono audio in [-1, 1]
+ * @param {number} sampleRate
+ * @param {{ transcript?: string, lang?: string }} [options]
+ * @returns {{ phonemes: object[], totalDuration: number, lang?: string, method: 'transcript'|'acoustic', regions: object[] }}
+ */
+export function alignAudio(samples, sampleRate, { transcript, lang } = {}) {
+    const totalDuration = samples.length / sampleRate;
+    const frames = analyzeFrames(samples, sampleRate);
+    const { regions, floor, peak } = detectSpeech(frames);
+
+    // Loudness 0..1 between the noise floor and the speech level
+    const loudness = (time) => {
+        const frame = frames[Math.min(frames.length - 1, Math.max(0, Math.round(time / HOP_SECONDS)))];
+        return frame && peak > floor ? Math.min(1, Math.max(0, (frame.db - floor) / (peak - floor))) : 0;
+    };
+
+    const aligned = transcript?.trim()
+        ? { ...transcriptTimeline(transcript, lang, regions, loudness), method: 'transcript' }
+        : { phonemes: acousticTimeline(frames, regions, loudness), method: 'acoustic' };
+
+    // Silence between regions, so the timeline reads like a generated one
+    const silences = [];
+    let cursor = 0;
+    for (const region of regions) {
+        if (region.start > cursor) silences.push({ viseme: 'viseme_sil', phoneme: null, time: cursor, duration: region.start - cursor, intensity: 0 });
+        cursor = region.end;
+    }
+    if (totalDuration > cursor) silences.push({ viseme: 'viseme_sil', phoneme: null, time: cursor, duration: totalDuration - cursor, intensity: 0 });
+
+    const phonemes = [...aligned.phonemes, ...silences].sort((a, b) => a.time - b.time);
+    return { ...aligned, phonemes, totalDuration, regions };
+}
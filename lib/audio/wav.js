@@ -0,0 +1,116 @@
+/**
+ * WAV Files
+ *
+ * Minimal RIFF/WAVE support for the speech endpoints: mono 16-bit PCM out,
+ * and 8/16/24/32-bit PCM or 32-bit float in (channels are mixed down to mono).
+ * Headerless 16-bit little-endian PCM is read by decodePcm16().
+ * Samples are Float32Array values in [-1, 1].
+ */
+
+/**
+ * Encode mono samples as a 16-bit PCM WAV file.
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @returns {Buffer}
+ */
+export function encodeWav(samples, sampleRate) {
+    const dataSize = samples.length * 2;
+    const buffer = Buffer.alloc(44 + dataSize);
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.writeUInt32LE(36 + dataSize, 4);
+    buffer.write('WAVE', 8, 'ascii');
+    buffer.write('fmt ', 12, 'ascii');
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);              // PCM
+    buffer.writeUInt16LE(1, 22);              // mono
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * 2, 28); // byte rate
+    buffer.writeUInt16LE(2, 32);              // block align
+    buffer.writeUInt16LE(16, 34);             // bits per sample
+    buffer.write('data', 36, 'ascii');
+    buffer.writeUInt32LE(dataSize, 40);
+    for (let i = 0; i < samples.length; i++) {
+        const value = Math.max(-1, Math.min(1, samples[i]));
+        buffer.writeInt16LE(Math.round(value * 32767), 44 + i * 2);
+    }
+    return buffer;
+}
+
+function readSample(buffer, offset, format, bits) {
+    if (format === 3) return bits === 64 ? buffer.readDoubleLE(offset) : buffer.readFloatLE(offset);
+    switch (bits) {
+        case 8: return (buffer.readUInt8(offset) - 128) / 128;
+        case 16: return buffer.readInt16LE(offset) / 32768;
+        case 24: return buffer.readIntLE(offset, 3) / 8388608;
+        case 32: return buffer.readInt32LE(offset) / 2147483648;
+        default: throw new Error(`Unsupported WAV sample size: ${bits} bits`);
+    }
+}
+
+/**
+ * Decode a WAV file into mono samples.
+ * @param {Buffer} buffer
+ * @returns {{ samples: Float32Array, sampleRate: number, duration: number }}
+ */
+export function decodeWav(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a WAV file');
+    }
+
+    let fmt = null;
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        // Streamed WAVs (e.g. from stdout) may leave the data size at 0 or 0xFFFFFFFF
+        let size = buffer.readUInt32LE(offset + 4);
+        const start = offset + 8;
+        if (id === 'fmt ') {
+            let format = buffer.readUInt16LE(start);
+            // WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub-format GUID
+            if (format === 0xfffe && size >= 26) format = buffer.readUInt16LE(start + 24);
+            fmt = {
+                format,
+                channels: buffer.readUInt16LE(start + 2),
+                sampleRate: buffer.readUInt32LE(start + 4),
+                bits: buffer.readUInt16LE(start + 14),
+            };
+        } else if (id === 'data') {
+            if (!fmt) throw new Error('WAV data before format chunk');
+            if (fmt.format !== 1 && fmt.format !== 3) throw new Error(`Unsupported WAV encoding (format ${fmt.format})`);
+            if (size === 0 || start + size > buffer.length) size = buffer.length - start;
+
+            const bytes = fmt.bits / 8;
+            const frameSize = bytes * fmt.channels;
+            const frames = Math.floor(size / frameSize);
+            const samples = new Float32Array(frames);
+            for (let i = 0; i < frames; i++) {
+                let sum = 0;
+                for (let c = 0; c < fmt.channels; c++) {
+                    sum += readSample(buffer, start + i * frameSize + c * bytes, fmt.format, fmt.bits);
+                }
+                samples[i] = sum / fmt.channels;
+            }
+            return { samples, sampleRate: fmt.sampleRate, duration: frames / fmt.sampleRate };
+        }
+        offset = start + size + (size % 2);
+    }
+    throw new Error('WAV file has no data chunk');
+}
+
+/**
+ * Decode headerless 16-bit little-endian PCM.
+ * @param {Buffer} buffer
+ * @param {number} sampleRate
+ * @param {number} [channels]
+ * @returns {{ samples: Float32Array, sampleRate: number, duration: number }}
+ */
+export function decodePcm16(buffer, sampleRate, channels = 1) {
+    const frames = Math.floor(buffer.length / (2 * channels));
+    const samples = new Float32Array(frames);
+    for (let i = 0; i < frames; i++) {
+        let sum = 0;
+        for (let c = 0; c < channels; c++) sum += buffer.readInt16LE((i * channels + c) * 2) / 32768;
+        samples[i] = sum / channels;
+    }
+    return { samples, sampleRate, duration: frames / sampleRate };
+}
@@ -0,0 +1,43 @@
+/**
+ * Running local speech programs (TTS_COMMAND, STT_COMMAND): a command-line
+ * template is split into arguments, then run with input on stdin and its
+ * stdout collected.
+ */
+
+import { spawn } from 'child_process';
+
+/** Split on whitespace, keeping "quoted arguments" together. */
+export function parseCommand(command) {
+    return [...command.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)].map(m => m[1] ?? m[2] ?? m[3]);
+}
+
+/**
+ * Run a command, feed it `input` and resolve with everything it wrote to stdout.
+ * Rejects on a non-zero exit or after `timeoutMs`; `label` names it in errors.
+ * @returns {Promise<Buffer>}
+ */
+export function runCommand(command, args, input, { timeoutMs, label }) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+        const chunks = [];
+        let stderr = '';
+        const timer = setTimeout(() => {
+            child.kill('SIGKILL');
+            reject(new Error(`${label} command timed out after ${timeoutMs}ms`));
+        }, timeoutMs);
+
+        child.stdout.on('data', chunk => chunks.push(chunk));
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        child.on('close', (code) => {
+            clearTimeout(timer);
+            if (code !== 0) reject(new Error(`${label} command exited with ${code}: ${stderr.trim().slice(0, 200)}`));
+            else resolve(Buffer.concat(chunks));
+        });
+        child.stdin.on('error', () => {}); // the command may exit before reading everything
+        child.stdin.end(input);
+    });
+}
@@ -0,0 +1,190 @@
+/**
+ * Local Emotion Classifier
+ *
+ * Lexicon-based scoring used whenever the LLM doesn't give us a usable emotion
+ * (malformed structured output, plain-text replies, provider outages). Handles
+ * negation ("not happy"), intensifiers ("really sad") and exclamation marks.
+ *
+ * An emotional state is a dominant emotion plus an optional blend of weighted
+ * emotions, e.g. { emotion: 'happy', intensity: 0.6, blend: { happy: 0.6, surprised: 0.3 } }.
+ * Keyframes place such states along an utterance's phoneme timeline.
+ */
+
+export const EMOTION_NAMES = [
+    'happy', 'sad', 'surprised', 'angry', 'neutral',
+    'confused', 'thinking', 'fearful', 'disgusted', 'amused', 'concerned', 'proud',
+];
+
+const MAX_BLEND = 3;
+
+const LEXICON = {
+    happy: `happy glad great love lovely wonderful awesome fantastic excellent amazing delighted joy joyful enjoy
+        fun exciting excited congratulations congrats yay nice perfect brilliant cheerful pleased thrilled smile
+        hooray beautiful appreciate thanks thank welcome celebrate success win hope good`,
+    sad: `sad sorry unfortunately unhappy miss missed loss lost lonely grief grieve tough difficult hard hurt pain
+        painful cry tears heartbroken disappointed disappointing regret depressed down upset sympathy condolences
+        struggle struggling alone fail failed`,
+    surprised: `wow whoa really unexpected surprising surprised amazing incredible unbelievable astonishing shocking
+        shocked suddenly oh omg seriously indeed remarkable wild`,
+    angry: `angry mad furious annoyed annoying irritated irritating outrageous unacceptable ridiculous hate hated
+        terrible awful rude unfair frustrated frustrating stupid nonsense enough`,
+    confused: `confused confusing unclear puzzled puzzling baffled baffling huh strange odd weird unsure
+        contradictory`,
+    thinking: `hmm think thinking consider considering wonder wondering perhaps maybe ponder pondering suppose
+        guess depends possibly`,
+    fearful: `afraid scared fear frightened terrified terrifying nervous anxious panic scary horrified dread`,
+    disgusted: `disgusting disgusted gross yuck eww ew nasty revolting vile repulsive`,
+    amused: `haha hahaha lol funny hilarious joke joking amusing amused laugh laughing ha heh witty pun`,
+    concerned: `concerned concern worried worry worrying careful caution risk risky warning unsafe dangerous
+        serious problem issue symptoms`,
+    proud: `proud accomplished accomplishment achievement achieved nailed milestone impressive earned deserve`,
+};
+
+const NEGATIONS = new Set(['not', 'no', 'never', "don't", "doesn't", "didn't", "isn't", "wasn't", "aren't", "can't", "won't", 'hardly']);
+const INTENSIFIERS = new Set(['very', 'really', 'so', 'extremely', 'incredibly', 'super', 'truly', 'absolutely', 'totally']);
+
+// Negating an emotion word points towards its opposite, at reduced strength
+const OPPOSITES = { happy: 'sad', sad: 'happy', proud: 'sad' };
+
+const WORD_EMOTIONS = new Map();
+for (const [emotion, words] of Object.entries(LEXICON)) {
+    for (const word of words.split(/\s+/).filter(Boolean)) {
+        if (!WORD_EMOTIONS.has(word)) WORD_EMOTIONS.set(word, emotion);
+    }
+}
+
+/**
+ * Score text against the lexicon.
+ * @returns {{ emotion: string, intensity: number, blend: Object<string, number>, scores: Object<string, number> }}
+ */
+export function classifyEmotion(text = '') {
+    const tokens = text.toLowerCase().match(/[a-z']+|!/g) || [];
+    const scores = Object.fromEntries(EMOTION_NAMES.map(name => [name, 0]));
+    let exclamations = 0;
+
+    tokens.forEach((token, i) => {
+        if (token === '!') { exclamations++; return; }
+        const emotion = WORD_EMOTIONS.get(token);
+        if (!emotion) return;
+
+        const window = tokens.slice(Math.max(0, i - 3), i);
+        const negated = window.some(t => NEGATIONS.has(t));
+        const boost = window.some(t => INTENSIFIERS.has(t)) ? 1.5 : 1;
+
+        if (negated) scores[OPPOSITES[emotion] || 'neutral'] += 0.5 * boost;
+        else scores[emotion] += boost;
+    });
+
+    const ranked = Object.entries(scores)
+        .filter(([name]) => name !== 'neutral')
+        .sort((a, b) => b[1] - a[1]);
+    const [, topScore] = ranked[0];
+
+    if (topScore < 1) return { ...emotionState({ emotion: 'neutral', intensity: 0.3 }), scores };
+
+    // Density matters more than raw count: one "great" in a long paragraph is mild
+    const density = topScore / Math.max(1, tokens.length / 12);
+    const intensity = Math.min(1, 0.35 + density * 0.2 + Math.min(exclamations, 3) * 0.08);
+
+    // Runner-up emotions join the blend in proportion to their score
+    const blend = {};
+    for (const [name, score] of ranked.slice(0, MAX_BLEND)) {
+        if (score >= 1) blend[name] = intensity * (score / topScore);
+    }
+    return { ...emotionState({ blend }), scores };
+}
+
+function round(value) {
+    return Number(value.toFixed(2));
+}
+
+/**
+ * Validate a blend given as { name: weight } or [{ emotion, weight }]. Unknown
+ * emotions and zero weights are dropped, at most MAX_BLEND entries are kept
+ * and weights are scaled down when they add up to more than 1.
+ * @returns {Object<string, number>} possibly empty
+ */
+export function normalizeBlend(blend) {
+    const entries = Array.isArray(blend)
+        ? blend.map(b => [b?.emotion ?? b?.name, b?.weight ?? b?.intensity])
+        : Object.entries(blend && typeof blend === 'object' ? blend : {});
+
+    const valid = entries
+        .map(([name, weight]) => [String(name).toLowerCase(), Math.min(1, Math.max(0, Number(weight) || 0))])
+        .filter(([name, weight]) => EMOTION_NAMES.includes(name) && weight > 0)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_BLEND);
+
+    const total = valid.reduce((sum, [, weight]) => sum + weight, 0);
+    const scale = total > 1 ? 1 / total : 1;
+    return Object.fromEntries(valid.map(([name, weight]) => [name, round(weight * scale)]));
+}
+
+/**
+ * Build a complete emotional state from whatever is known. A valid blend wins
+ * and decides the dominant emotion; otherwise the emotion at its intensity is
+ * a blend of one.
+ * @returns {{ emotion: string, intensity: number, blend: Object<string, number> }}
+ */
+export function emotionState({ emotion, intensity, blend } = {}) {
+    const mixed = normalizeBlend(blend);
+    const [dominant] = Object.entries(mixed);
+    if (dominant) return { emotion: dominant[0], intensity: dominant[1], blend: mixed };
+
+    const name = EMOTION_NAMES.includes(emotion) ? emotion : 'neutral';
+    const strength = round(Math.min(1, Math.max(0, Number.isFinite(intensity) ? intensity : 1)));
+    return { emotion: name, intensity: strength, blend: { [name]: strength } };
+}
+
+// ─── Keyframes ──────────────────────────────────────────────────────────────
+
+const CONTRAST_WORDS = new Set(['but', 'though', 'however', 'although', 'yet', 'still']);
+
+/** Split text into clauses (as word arrays) at sentence ends, semicolons, dashes and ", but"-style turns. */
+function splitClauses(text) {
+    const clauses = [];
+    let current = [];
+    const words = text.trim().split(/\s+/).filter(Boolean);
+    words.forEach((word, i) => {
+        const previous = words[i - 1] || '';
+        const turn = /[,—–-]$/.test(previous) && CONTRAST_WORDS.has(word.toLowerCase().replace(/[^a-z]/g, ''));
+        if (current.length > 0 && (turn || /^[—–]$/.test(word))) {
+            clauses.push(current);
+            current = [];
+        }
+        current.push(word);
+        if (/[.!?;:]["')\]]*$/.test(word)) {
+            clauses.push(current);
+            current = [];
+        }
+    });
+    if (current.length > 0) clauses.push(current);
+    return clauses;
+}
+
+/**
+ * Emotion keyframes for one utterance, timed against its phoneme timeline.
+ * Each clause with a clear tone of its own gets that tone; clauses without
+ * one keep the utterance-level state. Consecutive identical states collapse.
+ * @param {string} text
+ * @param {{ emotion: string, intensity: number, blend?: object }} fallback utterance-level state
+ * @param {(text: string) => number} durationOf seconds the phoneme timeline spends on a piece of text
+ * @returns {{ time: number, emotion: string, intensity: number, blend: Object<string, number> }[]}
+ */
+export function emotionKeyframes(text, fallback, durationOf) {
+    const base = emotionState(fallback);
+    const keyframes = [];
+    const spoken = [];
+
+    for (const clause of splitClauses(text)) {
+        const classified = emotionState(classifyEmotion(clause.join(' ')));
+        const state = classified.emotion === 'neutral' || classified.emotion === base.emotion ? base : classified;
+        const last = keyframes[keyframes.length - 1];
+        if (!last || last.emotion !== state.emotion || last.intensity !== state.intensity) {
+            const time = spoken.length > 0 ? durationOf(spoken.join(' ')) : 0;
+            keyframes.push({ time: Number(time.toFixed(3)), ...state });
+        }
+        spoken.push(...clause);
+    }
+    return keyframes.length > 0 ? keyframes : [{ time: 0, ...base }];
+}
@@ -0,0 +1,155 @@
+/**
+ * Local Knowledge Base
+ *
+ * Indexes Markdown and text files from a folder into passages and ranks them
+ * with BM25 — purely lexical, no embeddings or network needed. The best
+ * passages are injected into the chat prompt as reference material.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import { join, relative, extname, basename } from 'path';
+
+const EXTENSIONS = new Set(['.md', '.markdown', '.txt']);
+const MAX_PASSAGE_WORDS = 180;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set(`a an and are as at be been but by can could did do does for from had has have how i if in
+into is it its me my no not of on or our so than that the their them then there these they this to was we were what
+when where which who why will with would you your about just also any some more most such only own same too very`.split(/\s+/));
+
+/** Lowercase, split on non-letters/digits, drop stopwords and apply light suffix stripping. */
+export function tokenize(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(token => token.length > 1 && !STOPWORDS.has(token))
+        .map(stem);
+}
+
+function stem(token) {
+    if (token.length > 5 && token.endsWith('ing')) return token.slice(0, -3);
+    if (token.length > 4 && token.endsWith('ed')) return token.slice(0, -2);
+    if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+    if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+    return token;
+}
+
+async function listFiles(dir) {
+    let entries;
+    try {
+        entries = await readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const files = [];
+    for (const entry of entries) {
+        const path = join(dir, entry.name);
+        if (entry.isDirectory()) files.push(...await listFiles(path));
+        else if (EXTENSIONS.has(extname(entry.name).toLowerCase())) files.push(path);
+    }
+    return files.sort();
+}
+
+/**
+ * Split a document into passages: one per Markdown section, with long
+ * sections broken on paragraph boundaries to stay under MAX_PASSAGE_WORDS.
+ */
+function splitPassages(content, source) {
+    const passages = [];
+    let title = basename(source, extname(source));
+    let words = [];
+    let paragraphs = [];
+
+    const flush = () => {
+        const text = paragraphs.join('\n\n').trim();
+        if (text) passages.push({ source, title, text });
+        paragraphs = [];
+        words = [];
+    };
+
+    for (const block of content.split(/\n\s*\n/)) {
+        const heading = block.match(/^#{1,6}\s+(.+)$/m);
+        if (heading && block.trim().startsWith('#')) {
+            flush();
+            title = heading[1].trim();
+            const rest = block.replace(/^#{1,6}\s+.+$/m, '').trim();
+            if (rest) paragraphs.push(rest);
+            continue;
+        }
+        const blockWords = block.split(/\s+/).filter(Boolean);
+        if (words.length + blockWords.length > MAX_PASSAGE_WORDS && paragraphs.length > 0) flush();
+        paragraphs.push(block.trim());
+        words.push(...blockWords);
+    }
+    flush();
+    return passages;
+}
+
+export function createKnowledgeBase({ dir }) {
+    let passages = [];
+    let documentFrequency = new Map();
+    let averageLength = 0;
+    let documentCount = 0;
+
+    async function index() {
+        const started = Date.now();
+        const files = await listFiles(dir);
+        const next = [];
+
+        for (const file of files) {
+            const content = await readFile(file, 'utf8');
+            const source = relative(dir, file).split('\\').join('/');
+            for (const passage of splitPassages(content, source)) {
+                const tokens = tokenize(`${passage.title} ${passage.text}`);
+                const termFrequency = new Map();
+                for (const token of tokens) termFrequency.set(token, (termFrequency.get(token) || 0) + 1);
+                next.push({ ...passage, id: next.length, length: tokens.length, termFrequency });
+            }
+        }
+
+        const frequency = new Map();
+        for (const passage of next) {
+            for (const term of passage.termFrequency.keys()) frequency.set(term, (frequency.get(term) || 0) + 1);
+        }
+
+        passages = next;
+        documentFrequency = frequency;
+        documentCount = files.length;
+        averageLength = passages.reduce((sum, p) => sum + p.length, 0) / (passages.length || 1);
+
+        return { documents: documentCount, passages: passages.length, durationMs: Date.now() - started };
+    }
+
+    /**
+     * Rank passages against a query with BM25.
+     * @returns {{ source, title, text, score }[]}
+     */
+    function search(query, { limit = 3, minScore = 1.0 } = {}) {
+        const terms = [...new Set(tokenize(query))];
+        if (terms.length === 0 || passages.length === 0) return [];
+
+        const results = [];
+        for (const passage of passages) {
+            let score = 0;
+            for (const term of terms) {
+                const tf = passage.termFrequency.get(term);
+                if (!tf) continue;
+                const df = documentFrequency.get(term);
+                const idf = Math.log(1 + (passages.length - df + 0.5) / (df + 0.5));
+                score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * passage.length / averageLength));
+            }
+            if (score >= minScore) {
+                results.push({ source: passage.source, title: passage.title, text: passage.text, score: Number(score.toFixed(3)) });
+            }
+        }
+        return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    return {
+        index,
+        search,
+        stats: () => ({ documents: documentCount, passages: passages.length }),
+    };
+}
@@ -0,0 +1,96 @@
+/**
+ * Conversation Language
+ *
+ * Works out which language a conversation is in, so the reply, its phoneme
+ * timeline and the client's voice all follow the user. Covers the languages
+ * the phoneme timeline has rules for (see public/shared/phonemes/languages/).
+ *
+ * Detection is deliberately simple: Devanagari means Hindi; otherwise common
+ * function words and accented letters are counted per language. Short or
+ * ambiguous messages ("ok", "Paris?") return null so the conversation keeps
+ * the language it was already in.
+ */
+
+import { getLanguage, LANGUAGE_CODES } from './phonemes/index.js';
+
+const MIN_SCORE = 2;
+const LANGUAGE_TAG = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i;
+
+const FUNCTION_WORDS = {
+    en: `the a an and or but is are was were be been have has had do does did what when where why how who
+        which this that these those it i you he she we they my your our to of in on for with about can could
+        would should will not please thanks thank tell me`,
+    es: `el la los las un una unos unas y o pero es son era fue ser estar está están qué cuándo dónde por
+        porque cómo quién cuál este esta eso yo tú usted él ella nosotros mi tu su para con sobre puedes
+        puede no sí gracias hola dime de del al en muy también`,
+    de: `der die das ein eine und oder aber ist sind war waren sein haben hat was wann wo warum wie wer
+        welche dieser diese ich du er sie wir mein dein unser zu von im mit über kannst kann nicht bitte
+        danke hallo sag mir auch sehr`,
+    fr: `le la les un une des et ou mais est sont était être avoir a quoi quand où pourquoi comment qui
+        quel quelle ce cette je tu il elle nous vous mon ton notre pour avec sur peux peut ne pas oui merci
+        bonjour dis moi du au en très aussi`,
+    // Romanised Hindi, as the timeline's Hindi rules expect
+    hi: `hai hain tha thi kya kab kahan kyun kaise kaun main mein mera meri tum tumhara aap aapka hum
+        ham yeh woh ko ka ki ke se par nahi nahin haan ji bhi bahut accha theek batao bataiye kuch`,
+};
+
+const WORD_SETS = Object.fromEntries(Object.entries(FUNCTION_WORDS)
+    .map(([code, words]) => [code, new Set(words.split(/\s+/).filter(Boolean))]));
+
+// Letters that (nearly) only one of the languages uses
+const LETTERS = {
+    es: /[ñ¿¡]/g,
+    de: /[äöüß]/g,
+    fr: /[çœèêëàâîïôûù]/g,
+};
+
+/** Is `tag` a well-formed BCP 47 tag for a language the timeline has rules for? */
+export function isSupportedLanguage(tag) {
+    return typeof tag === 'string' && LANGUAGE_TAG.test(tag) && LANGUAGE_CODES.includes(tag.split('-')[0].toLowerCase());
+}
+
+/**
+ * Guess the language of a message.
+ * @returns {string|null} a language code from LANGUAGE_CODES, or null when unsure
+ */
+export function detectLanguage(text) {
+    if (!text || typeof text !== 'string') return null;
+    if (/[ऀ-ॿ]/.test(text)) return 'hi';
+
+    const scores = Object.fromEntries(LANGUAGE_CODES.map(code => [code, 0]));
+    for (const word of text.toLowerCase().match(/\p{L}+/gu) || []) {
+        for (const code of LANGUAGE_CODES) {
+            if (WORD_SETS[code]?.has(word)) scores[code]++;
+        }
+    }
+    for (const [code, letters] of Object.entries(LETTERS)) {
+        scores[code] += 2 * (text.toLowerCase().match(letters)?.length || 0);
+    }
+
+    const [[best, top], [, second]] = Object.entries(scores).sort(([, a], [, b]) => b - a);
+    return top >= MIN_SCORE && top > second ? best : null;
+}
+
+/**
+ * The language to answer in: the one the user picked (a BCP 47 tag, or
+ * 'auto'), else the detected language of the message, else the language the
+ * conversation was already in. A picked language without lip-sync rules is
+ * treated like 'auto'.
+ * @returns {string} a BCP 47 tag
+ */
+export function resolveLanguage({ choice, message, previous, fallback = 'en' }) {
+    if (isSupportedLanguage(choice)) return choice;
+    return detectLanguage(message) || previous || fallback;
+}
+
+/**
+ * System-prompt section telling the model which language to reply in.
+ * Hindi is asked for in Latin letters, which is what its lip-sync rules read.
+ */
+export function languageInstructions(lang) {
+    const language = getLanguage(lang);
+    const name = language.code === 'hi' ? 'Hindi' : language.name;
+    const script = language.code === 'hi' ? ' Write it in Latin letters (e.g. "aap kaise ho"), not Devanagari.' : '';
+    return `LANGUAGE:
+The user is speaking ${name}. Reply in ${name} only, even though these instructions are in English.${script} Keep JSON field names, emotion names and gesture names in English.`;
+}
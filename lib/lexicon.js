@@ -0,0 +1,53 @@
+/**
+ * The deployment's pronunciation lexicon (see public/shared/phonemes/lexicon.js),
+ * persisted to a JSON file and activated for the phoneme timeline on load and
+ * on every change.
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { normalizeLexicon, setLexicon } from './phonemes/index.js';
+
+export async function createLexiconStore({ file = process.env.LEXICON_FILE || 'data/lexicon.json' } = {}) {
+    let lexicon = {};
+    try {
+        lexicon = normalizeLexicon(JSON.parse(await readFile(file, 'utf8')));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.warn(`Could not read lexicon file ${file}:`, error.message);
+    }
+    setLexicon(lexicon);
+
+    let writing = Promise.resolve();
+    function persist() {
+        const snapshot = JSON.stringify(lexicon, null, 2);
+        const written = writing.then(async () => {
+            await mkdir(dirname(file), { recursive: true });
+            await writeFile(`${file}.tmp`, snapshot);
+            await rename(`${file}.tmp`, file);
+        });
+        // A failed write is reported to its caller but doesn't block later ones
+        writing = written.catch(() => {});
+        return written;
+    }
+
+    return {
+        get() {
+            return lexicon;
+        },
+
+        get size() {
+            return Object.keys(lexicon).length;
+        },
+
+        /**
+         * Replace the whole lexicon. Invalid input throws before anything changes.
+         * @returns {Promise<object>} the stored (normalized) lexicon
+         */
+        async replace(entries) {
+            lexicon = normalizeLexicon(entries);
+            setLexicon(lexicon);
+            await persist();
+            return lexicon;
+        },
+    };
+}
@@ -0,0 +1,42 @@
+/**
+ * Groq adapter — thin wrapper around groq-sdk.
+ */
+
+import Groq from 'groq-sdk';
+import { chatRequest, parseToolCalls, createToolCallAccumulator } from './tool-calls.js';
+
+const PLACEHOLDER_KEY = 'your_groq_api_key_here';
+
+export function createGroqProvider({ apiKey = process.env.GROQ_API_KEY } = {}) {
+    const client = new Groq({ apiKey: apiKey || '' });
+
+    return {
+        name: 'groq',
+        defaultModel: 'llama-3.3-70b-versatile',
+
+        isConfigured() {
+            return Boolean(apiKey) && apiKey !== PLACEHOLDER_KEY;
+        },
+
+        async complete(params) {
+            const completion = await client.chat.completions.create(chatRequest(params));
+            const message = completion.choices[0].message;
+            return {
+                content: message.content || '',
+                toolCalls: message.tool_calls?.length ? parseToolCalls(message.tool_calls) : null,
+            };
+        },
+
+        async *stream(params) {
+            const stream = await client.chat.completions.create({ ...chatRequest(params, { stream: true }), stream: true });
+            const toolCalls = createToolCallAccumulator();
+            for await (const chunk of stream) {
+                const delta = chunk.choices[0]?.delta;
+                if (delta?.content) yield { content: delta.content };
+                if (delta?.tool_calls) toolCalls.add(delta.tool_calls);
+            }
+            const calls = toolCalls.result();
+            if (calls) yield { toolCalls: calls };
+        },
+    };
+}
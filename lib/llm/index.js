@@ -0,0 +1,55 @@
+/**
+ * LLM Provider Layer
+ *
+ * Every adapter implements the same small interface:
+ *   name, defaultModel
+ *   isConfigured()                                    → false means "no credentials, use demo replies"
+ *   complete({ messages, model, maxTokens, tools, responseFormat })   → Promise<{ content, toolCalls }>
+ *   stream({ messages, model, maxTokens, tools, responseFormat })     → AsyncIterable of { content } deltas,
+ *                                                       then one { toolCalls } chunk if the model called tools
+ *
+ * responseFormat: 'json' is a hint that the prompt asks for a JSON object;
+ * adapters enable their native JSON mode where the request allows it.
+ *
+ * Messages and tool definitions use the OpenAI chat format; toolCalls are
+ * normalized to [{ id, name, arguments }] with arguments already parsed.
+ *
+ * The deployment default comes from the environment (LLM_PROVIDER, LLM_MODEL);
+ * callers such as personas can override either per request.
+ */
+
+import { createGroqProvider } from './groq.js';
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+
+const ADAPTERS = {
+    groq: createGroqProvider,
+    openai: createOpenAIProvider,
+    mock: createMockProvider,
+};
+
+const providers = new Map();
+
+export function getProvider(name) {
+    if (!ADAPTERS[name]) {
+        throw new Error(`Unknown LLM provider "${name}" (available: ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+    if (!providers.has(name)) providers.set(name, ADAPTERS[name]());
+    return providers.get(name);
+}
+
+/**
+ * Resolve which provider and model to use.
+ * @param {{ provider?: string, model?: string }} [overrides]
+ * @returns {{ provider: object, model: string }}
+ */
+export function resolveLLM(overrides = {}) {
+    const providerName = overrides.provider || process.env.LLM_PROVIDER || 'groq';
+    const provider = getProvider(providerName);
+    const sameProvider = !overrides.provider || overrides.provider === (process.env.LLM_PROVIDER || 'groq');
+
+    return {
+        provider,
+        model: overrides.model || (sameProvider && process.env.LLM_MODEL) || provider.defaultModel,
+    };
+}
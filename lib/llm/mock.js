@@ -0,0 +1,104 @@
+/**
+ * Deterministic mock adapter — no network, same input always gives the same
+ * reply. Useful for offline development, demos and reproducible testing.
+ *
+ * When tools are offered it also exercises the tool-calling path: questions
+ * about the time or simple arithmetic trigger the matching built-in tool.
+ * With responseFormat 'json' the reply is wrapped in the structured-reply object.
+ */
+
+import { classifyEmotion } from '../emotion.js';
+
+const MOCK_REPLIES = [
+    "That's a great question. I'm running on the mock provider right now, so my answers are canned, but everything else works exactly as usual.",
+    "I hear you! This is a simulated reply from the offline mock model, which is perfect for testing lip sync and expressions.",
+    "Interesting! Since I'm in mock mode, I can't really think about that, but I can certainly talk about it with a smile.",
+    "Let me explain. The mock provider picks one of a few fixed replies based on what you typed, so the same message always gets the same answer.",
+];
+
+const MOCK_TOOL_TRIGGERS = [
+    {
+        pattern: /\b(time|date|today)\b/i,
+        tool: 'get_current_time',
+        args: () => ({}),
+        reply: result => `Let me check. It's ${result.time} on ${result.date}.`,
+    },
+    {
+        pattern: /[-(\d][\d\s.()]*(?:[-+*/^][\d\s.()]*)+[\d)]/,
+        tool: 'calculate',
+        args: match => ({ expression: match[0] }),
+        reply: result => `I worked it out, and ${result.expression} comes to ${result.result}.`,
+    },
+];
+
+function hashString(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = (hash * 31 + text.charCodeAt(i)) | 0;
+    }
+    return Math.abs(hash);
+}
+
+function lastUserMessage(messages) {
+    return [...messages].reverse().find(m => m.role === 'user')?.content || '';
+}
+
+function replyFor(messages, tools = []) {
+    const last = messages[messages.length - 1];
+
+    // Second round: answer from the tool result
+    if (last?.role === 'tool') {
+        const call = messages.findLast(m => m.tool_calls)?.tool_calls[0];
+        const trigger = MOCK_TOOL_TRIGGERS.find(t => t.tool === call?.function.name);
+        const result = JSON.parse(last.content);
+        return { content: trigger && !result.error ? trigger.reply(result) : "Sorry, I couldn't look that up just now." };
+    }
+
+    // First round: call a tool if one is offered and the message asks for it
+    const text = lastUserMessage(messages);
+    const offered = new Set(tools.map(t => t.function.name));
+    for (const trigger of MOCK_TOOL_TRIGGERS) {
+        const match = offered.has(trigger.tool) && text.match(trigger.pattern);
+        if (match) {
+            return {
+                content: '',
+                toolCalls: [{ id: `mock_call_${hashString(text)}`, name: trigger.tool, arguments: trigger.args(match) }],
+            };
+        }
+    }
+
+    return { content: MOCK_REPLIES[hashString(text) % MOCK_REPLIES.length] };
+}
+
+function formatReply(content, responseFormat) {
+    if (responseFormat !== 'json' || !content) return content;
+    const { emotion, intensity, blend } = classifyEmotion(content);
+    const gestures = /\b(hi|hello|hey)\b/i.test(content) ? [{ name: 'wave', sentence: 0 }] : [];
+    return JSON.stringify({ emotion, intensity, blend, gestures, text: content });
+}
+
+export function createMockProvider() {
+    return {
+        name: 'mock',
+        defaultModel: 'mock',
+
+        isConfigured() {
+            return true;
+        },
+
+        async complete({ messages, tools, responseFormat }) {
+            const { content, toolCalls = null } = replyFor(messages, tools);
+            return { content: formatReply(content, responseFormat), toolCalls };
+        },
+
+        async *stream({ messages, tools, responseFormat }) {
+            const { toolCalls, ...reply } = replyFor(messages, tools);
+            const content = formatReply(reply.content, responseFormat);
+            // Word-sized chunks, like a real token stream
+            for (const word of content.split(/(?<=\s)/).filter(Boolean)) {
+                yield { content: word };
+            }
+            if (toolCalls) yield { toolCalls };
+        },
+    };
+}
@@ -0,0 +1,75 @@
+/**
+ * OpenAI-compatible adapter — talks plain HTTP to any /v1/chat/completions
+ * endpoint (OpenAI, llama.cpp server, Ollama, LM Studio, vLLM...).
+ */
+
+import { chatRequest, parseToolCalls, createToolCallAccumulator } from './tool-calls.js';
+
+const REQUEST_TIMEOUT_MS = 60000;
+
+export function createOpenAIProvider({
+    baseUrl = process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1',
+    apiKey = process.env.OPENAI_API_KEY || '',
+    model = process.env.OPENAI_MODEL || 'local-model',
+} = {}) {
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    async function post(body) {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+            },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+        if (!response.ok) {
+            const error = new Error(`OpenAI-compatible endpoint returned ${response.status}: ${(await response.text()).substring(0, 200)}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    }
+
+    return {
+        name: 'openai',
+        defaultModel: model,
+
+        // Local servers usually need no key, so a base URL is all it takes
+        isConfigured() {
+            return Boolean(baseUrl);
+        },
+
+        async complete(params) {
+            const response = await post(chatRequest(params));
+            const message = (await response.json()).choices?.[0]?.message || {};
+            return {
+                content: message.content || '',
+                toolCalls: message.tool_calls?.length ? parseToolCalls(message.tool_calls) : null,
+            };
+        },
+
+        async *stream(params) {
+            const response = await post({ ...chatRequest(params, { stream: true }), stream: true });
+            const toolCalls = createToolCallAccumulator();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            for await (const chunk of response.body) {
+                buffer += decoder.decode(chunk, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                for (const line of lines) {
+                    const payload = line.replace(/^data:\s*/, '').trim();
+                    if (!payload || payload === '[DONE]' || !line.startsWith('data:')) continue;
+                    const delta = JSON.parse(payload).choices?.[0]?.delta;
+                    if (delta?.content) yield { content: delta.content };
+                    if (delta?.tool_calls) toolCalls.add(delta.tool_calls);
+                }
+            }
+            const calls = toolCalls.result();
+            if (calls) yield { toolCalls: calls };
+        },
+    };
+}
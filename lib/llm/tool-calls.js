@@ -0,0 +1,57 @@
+/**
+ * Helpers shared by the OpenAI-style adapters (Groq and OpenAI-compatible):
+ * building the chat completion request and turning wire-format tool calls
+ * into { id, name, arguments } objects.
+ */
+
+/**
+ * Request body for complete()/stream() params. JSON mode can't be combined with
+ * tools or streaming on most servers; the prompt asks for JSON anyway.
+ */
+export function chatRequest({ messages, model, maxTokens = 1024, tools, responseFormat }, { stream = false } = {}) {
+    return {
+        messages,
+        model,
+        max_tokens: maxTokens,
+        ...(tools?.length ? { tools, tool_choice: 'auto' } : {}),
+        ...(responseFormat === 'json' && !stream && !tools?.length ? { response_format: { type: 'json_object' } } : {}),
+    };
+}
+
+function parseArguments(raw) {
+    if (!raw) return {};
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return {};
+    }
+}
+
+export function parseToolCalls(rawCalls = []) {
+    return rawCalls.map(call => ({
+        id: call.id,
+        name: call.function?.name,
+        arguments: parseArguments(call.function?.arguments),
+    }));
+}
+
+/**
+ * Streamed tool calls arrive as fragments keyed by index; collect them until the stream ends.
+ */
+export function createToolCallAccumulator() {
+    const calls = [];
+
+    return {
+        add(deltas = []) {
+            for (const delta of deltas) {
+                const call = calls[delta.index] ||= { id: '', function: { name: '', arguments: '' } };
+                if (delta.id) call.id = delta.id;
+                if (delta.function?.name) call.function.name += delta.function.name;
+                if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+            }
+        },
+        result() {
+            return calls.length > 0 ? parseToolCalls(calls.filter(Boolean)) : null;
+        },
+    };
+}
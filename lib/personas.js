@@ -0,0 +1,65 @@
+/**
+ * Persona Packs
+ *
+ * A persona is one JSON file in personas/ that bundles everything that makes a
+ * character: system prompt, greeting, voice preferences, avatar model, the
+ * facial-expression map used by the client and (optionally) its own LLM
+ * provider/model. `systemPrompt` may be a string or an array of lines.
+ *
+ * `scripts` holds named lines the avatar can perform word for word (e.g. a
+ * greeting), written in plain text or the SSML subset from
+ * public/shared/ssml.js. Each may also be an array of lines.
+ *
+ * `wakePhrase` (optional) is what starts a hands-free conversation; it
+ * defaults to "Hey <name>".
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import { join } from 'path';
+
+const REQUIRED_FIELDS = ['id', 'name', 'systemPrompt'];
+
+function normalizePersona(raw) {
+    const missing = REQUIRED_FIELDS.filter(field => !raw[field]);
+    if (missing.length > 0) throw new Error(`missing ${missing.join(', ')}`);
+
+    return {
+        role: 'AI Virtual Human',
+        avatarUrl: '/models/avatar.glb',
+        voice: {},
+        emotions: {},
+        ...raw,
+        systemPrompt: Array.isArray(raw.systemPrompt) ? raw.systemPrompt.join('\n') : raw.systemPrompt,
+        scripts: Object.fromEntries(Object.entries(raw.scripts || {})
+            .map(([name, lines]) => [name, Array.isArray(lines) ? lines.join(' ') : lines])),
+    };
+}
+
+/**
+ * Load every *.json persona in a directory. Invalid files are skipped with a warning.
+ * @returns {Promise<Map<string, object>>}
+ */
+export async function loadPersonas(dir) {
+    const personas = new Map();
+    let files = [];
+    try {
+        files = (await readdir(dir)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const file of files) {
+        try {
+            const persona = normalizePersona(JSON.parse(await readFile(join(dir, file), 'utf8')));
+            personas.set(persona.id, persona);
+        } catch (error) {
+            console.warn(`⚠️  Skipping persona ${file}: ${error.message}`);
+        }
+    }
+    return personas;
+}
+
+/** Client-facing view of a persona — the prompt and LLM settings stay on the server. */
+export function publicPersona({ systemPrompt, llm, ...rest }) {
+    return rest;
+}
@@ -0,0 +1,14 @@
+/**
+ * Server entry point for the shared phoneme timeline (public/shared/phonemes/).
+ *
+ * The browser copy runs on letter-to-sound rules alone; here English words are
+ * looked up in the CMU Pronouncing Dictionary first (shipped with the
+ * cmu-pronouncing-dictionary package, no network needed).
+ */
+
+import { dictionary } from 'cmu-pronouncing-dictionary';
+import { registerDictionary } from '../../public/shared/phonemes/index.js';
+
+export * from '../../public/shared/phonemes/index.js';
+
+export const DICTIONARY_SIZE = registerDictionary('en', dictionary);
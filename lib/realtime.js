@@ -0,0 +1,145 @@
+/**
+ * Realtime Channel
+ *
+ * A WebSocket endpoint next to the HTTP API, so the server can push to the
+ * client instead of only answering it: proactive remarks, tool progress, an
+ * operator taking over, a cancellation. Every message is a JSON object with a
+ * `type`:
+ *
+ *   client → server
+ *     user_message      { turn, message, persona?, language?, lang?, rate?, calibration? }
+ *                       starts a chat turn (the fields of POST /api/chat/stream)
+ *     interrupt         { turn?, replyId?, spokenWords? }  the user talked over the reply
+ *
+ *   server → client
+ *     state             { state, ... }  connected | thinking | replying | tool | done | error
+ *     emotion           { emotion, intensity, blend, emotionKeyframes? }
+ *     gesture           { gestures }
+ *     viseme_timeline   { phonemes }
+ *     partial_reply     { text }   one sentence to say, completing the events sent for it before
+ *     interrupt         { reason? }  stop talking and drop the rest of the reply
+ *
+ * Events that belong to a chat turn echo its `turn` and carry the reply's
+ * `replyId` and the sentence `index`; for each sentence, emotion, gesture and
+ * viseme_timeline come first and partial_reply last.
+ *
+ * A socket joins one conversation with /ws?sessionId=<id>; pushToSession()
+ * reaches every socket in it. A state pushed from outside a chat turn carries
+ * only `state` and the fields in PUSHED_STATE_FIELDS (see pushedStateEvent()).
+ */
+
+import { WebSocketServer, WebSocket } from 'ws';
+
+export const CLIENT_EVENTS = ['user_message', 'interrupt'];
+export const SERVER_EVENTS = ['state', 'emotion', 'gesture', 'viseme_timeline', 'partial_reply', 'interrupt'];
+
+// Fields a pushed state may carry besides `state`: tool { phase: start | end, name?, status? }, error { error? }
+export const PUSHED_STATE_FIELDS = {
+    connected: [], thinking: [], replying: [], done: [],
+    tool: ['phase', 'name', 'status'],
+    error: ['error'],
+};
+
+const HEARTBEAT_MS = 30000;
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+
+function send(socket, type, payload = {}) {
+    if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ ...payload, type }));
+}
+
+/**
+ * A state event for pushToSession() from untrusted input: the documented
+ * fields only, all strings. Returns { event } or { error }.
+ */
+export function pushedStateEvent({ state, ...fields } = {}) {
+    const allowed = Object.hasOwn(PUSHED_STATE_FIELDS, state) ? PUSHED_STATE_FIELDS[state] : null;
+    if (!allowed) return { error: `state must be one of: ${Object.keys(PUSHED_STATE_FIELDS).join(', ')}` };
+    const unknown = Object.keys(fields).find(name => !allowed.includes(name));
+    if (unknown) return { error: `"${unknown}" is not a field of the ${state} state` };
+    const invalid = Object.keys(fields).find(name => typeof fields[name] !== 'string');
+    if (invalid) return { error: `${invalid} must be a string` };
+    if (state === 'tool' && fields.phase !== 'start' && fields.phase !== 'end') return { error: 'phase must be start or end' };
+    return { event: { state, ...fields } };
+}
+
+/**
+ * Attach the realtime channel to an HTTP server.
+ * `onEvent(event, connection)` handles each client event; `connection` is
+ * { sessionId, send(type, payload), closed } and lives as long as the socket,
+ * so handlers can keep per-connection state on it.
+ */
+export function createRealtimeHub({ server, path = '/ws', onEvent }) {
+    const wss = new WebSocketServer({ server, path, maxPayload: MAX_PAYLOAD_BYTES });
+    const sessions = new Map(); // sessionId → Set of sockets
+
+    wss.on('connection', (socket, req) => {
+        const sessionId = new URL(req.url, 'http://localhost').searchParams.get('sessionId') || 'default';
+        const connection = { sessionId, send: (type, payload) => send(socket, type, payload), closed: false };
+        if (!sessions.has(sessionId)) sessions.set(sessionId, new Set());
+        sessions.get(sessionId).add(socket);
+
+        socket.isAlive = true;
+        socket.on('pong', () => { socket.isAlive = true; });
+        // Protocol errors (an oversized or malformed frame) end this socket only
+        socket.on('error', (error) => {
+            console.warn(`Realtime socket error (${sessionId}):`, error.message);
+            socket.terminate();
+        });
+        socket.on('close', () => {
+            connection.closed = true;
+            const sockets = sessions.get(sessionId);
+            sockets?.delete(socket);
+            if (sockets?.size === 0) sessions.delete(sessionId);
+        });
+        socket.on('message', async (data) => {
+            let event;
+            try {
+                event = JSON.parse(data);
+            } catch {
+                return connection.send('state', { state: 'error', error: 'Messages must be JSON' });
+            }
+            if (!CLIENT_EVENTS.includes(event?.type)) {
+                return connection.send('state', { state: 'error', error: `Unknown event type "${event?.type}"` });
+            }
+            try {
+                await onEvent(event, connection);
+            } catch (error) {
+                console.error('Realtime event error:', error);
+                connection.send('state', { state: 'error', turn: event.turn, error: error.message });
+            }
+        });
+
+        connection.send('state', { state: 'connected', sessionId });
+    });
+
+    // Drop sockets whose client vanished without closing them
+    const heartbeat = setInterval(() => {
+        for (const socket of wss.clients) {
+            if (!socket.isAlive) { socket.terminate(); continue; }
+            socket.isAlive = false;
+            socket.ping();
+        }
+    }, HEARTBEAT_MS);
+    heartbeat.unref?.();
+    wss.on('close', () => clearInterval(heartbeat));
+    wss.on('error', (error) => console.error('Realtime server error:', error.message));
+
+    return {
+        get connections() {
+            return wss.clients.size;
+        },
+
+        /**
+         * Send a server event to every socket of a session.
+         * @returns {number} how many sockets it reached
+         */
+        pushToSession(sessionId, type, payload = {}) {
+            if (!SERVER_EVENTS.includes(type)) {
+                throw new Error(`Unknown event type "${type}" (available: ${SERVER_EVENTS.join(', ')})`);
+            }
+            const sockets = sessions.get(sessionId) || new Set();
+            for (const socket of sockets) send(socket, type, payload);
+            return sockets.size;
+        },
+    };
+}
@@ -0,0 +1,241 @@
+/**
+ * Session Store
+ *
+ * Bounded, optionally persistent conversation storage. Backends only know how
+ * to load/update/remove/list session records; expiry, the session cap and history
+ * trimming live here so every backend behaves the same. `update(id, change)`
+ * reads a record, passes it (or null) to the synchronous `change` and stores
+ * what that returns (nothing when it returns null) as one operation, so
+ * concurrent changes to a session can't overwrite each other.
+ *
+ * Session record: { id, createdAt, updatedAt, messages: [{ role, content, timestamp, ...extra }] }
+ * Assistant messages carry a `replyId`; the latest reply, when the user talked
+ * over it, is cut down to what was spoken (see interruptReply()). A `pending`
+ * reply was talked over but not cut yet, and stays out of the history until it is.
+ *
+ * Configured from the environment:
+ *   SESSION_STORE          memory | file | sqlite      (default: memory)
+ *   SESSION_FILE           JSON file path              (default: data/sessions.json)
+ *   SESSION_DB             SQLite database path        (default: data/sessions.db)
+ *   SESSION_TTL_MINUTES    idle time before expiry     (default: 1440)
+ *   SESSION_MAX            max stored sessions         (default: 500)
+ *   SESSION_MAX_MESSAGES   transcript length cap       (default: 200)
+ *   HISTORY_TOKEN_BUDGET   tokens of history sent to the LLM (default: 3000)
+ */
+
+import { createMemoryBackend } from './memory.js';
+import { createJsonFileBackend } from './json-file.js';
+import { createSqliteBackend } from './sqlite.js';
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Rough token estimate (~4 characters per token plus per-message overhead).
+ * Good enough to keep prompts inside the context window without a tokenizer.
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4) + 4;
+}
+
+/**
+ * Keep the most recent messages that fit in the token budget.
+ * The newest message is always kept, and history never starts with an assistant turn.
+ */
+export function trimHistory(messages, tokenBudget) {
+    const kept = [];
+    let used = 0;
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const cost = estimateTokens(messages[i].content);
+        if (kept.length > 0 && used + cost > tokenBudget) break;
+        kept.unshift(messages[i]);
+        used += cost;
+    }
+    while (kept.length > 1 && kept[0].role === 'assistant') kept.shift();
+    return kept;
+}
+
+async function createBackend(type, options) {
+    switch (type) {
+        case 'memory': return createMemoryBackend();
+        case 'file': return createJsonFileBackend({ file: options.file });
+        case 'sqlite': return createSqliteBackend({ file: options.dbFile });
+        default: throw new Error(`Unknown session store "${type}" (available: memory, file, sqlite)`);
+    }
+}
+
+export async function createSessionStore({
+    backend = process.env.SESSION_STORE || 'memory',
+    file = process.env.SESSION_FILE || 'data/sessions.json',
+    dbFile = process.env.SESSION_DB || 'data/sessions.db',
+    ttlMs = Number(process.env.SESSION_TTL_MINUTES || 1440) * 60 * 1000,
+    maxSessions = Number(process.env.SESSION_MAX || 500),
+    maxMessages = Number(process.env.SESSION_MAX_MESSAGES || 200),
+    tokenBudget = Number(process.env.HISTORY_TOKEN_BUDGET || 3000),
+} = {}) {
+    const store = await createBackend(backend, { file, dbFile });
+
+    // Session id → updatedAt, least recently updated first, so eviction and
+    // expiry don't have to load every session
+    const recency = new Map((await store.all())
+        .sort((a, b) => a.updatedAt - b.updatedAt)
+        .map(session => [session.id, session.updatedAt]));
+
+    function touch(session) {
+        recency.delete(session.id);
+        recency.set(session.id, session.updatedAt);
+    }
+
+    const isExpired = (session, now = Date.now()) => now - session.updatedAt > ttlMs;
+
+    // Called with the id of every conversation that ends: deleted, reset, expired or evicted
+    const endListeners = new Set();
+    function ended(id) {
+        for (const listener of endListeners) {
+            Promise.resolve().then(() => listener(id))
+                .catch(error => console.warn(`Session end listener failed for ${id}:`, error.message));
+        }
+    }
+
+    async function remove(id) {
+        await store.remove(id);
+        recency.delete(id);
+        ended(id);
+    }
+
+    async function get(id) {
+        const session = await store.load(id);
+        if (!session) return null;
+        if (isExpired(session)) {
+            await remove(id);
+            return null;
+        }
+        return session;
+    }
+
+    // Make room for one more session
+    async function evictOldest() {
+        for (const id of recency.keys()) {
+            if (recency.size < maxSessions) return;
+            await remove(id);
+        }
+    }
+
+    async function prune() {
+        const now = Date.now();
+        for (const [id, updatedAt] of recency) {
+            if (now - updatedAt <= ttlMs) break;
+            await remove(id);
+        }
+    }
+
+    const pruneTimer = setInterval(() => prune().catch(error => console.warn('Session prune failed:', error.message)), PRUNE_INTERVAL_MS);
+    pruneTimer.unref?.();
+
+    return {
+        backend: store.name,
+
+        get,
+
+        /** Append messages to a session, creating it (and evicting the oldest) if needed. */
+        async append(id, ...messages) {
+            const now = Date.now();
+            if (!recency.has(id)) await evictOldest();
+            let expired = false;
+            const session = await store.update(id, (session) => {
+                if (!session || isExpired(session, now)) {
+                    expired = Boolean(session);
+                    session = { id, createdAt: now, updatedAt: now, messages: [] };
+                }
+                session.messages.push(...messages.map(m => ({ timestamp: now, ...m })));
+                if (session.messages.length > maxMessages) {
+                    session.messages = session.messages.slice(-maxMessages);
+                }
+                session.updatedAt = now;
+                return session;
+            });
+            touch(session);
+            if (expired) ended(id);
+            return session;
+        },
+
+        /** LLM-ready history ({ role, content } only), trimmed to the token budget. */
+        async history(id) {
+            const session = await get(id);
+            if (!session) return [];
+            // Replies interrupted before their first word, or not cut yet, are kept for the record only
+            return trimHistory(session.messages.filter(m => m.content && !m.pending), tokenBudget)
+                .map(({ role, content }) => ({ role, content }));
+        },
+
+        /**
+         * Cut the session's latest assistant reply down to the words the user
+         * actually heard before talking over it. The full text is kept as
+         * `original`, and a later report that all of it was heard restores it.
+         * Returns the message, or null when the session's latest reply isn't
+         * `replyId` (not stored yet, or an older one).
+         */
+        async interruptReply(id, replyId, spokenWords) {
+            let message = null;
+            const session = await store.update(id, (session) => {
+                if (!session || isExpired(session)) return null;
+                const latest = session.messages.findLast(m => m.role === 'assistant');
+                if (latest?.replyId !== replyId) return null;
+                message = latest;
+
+                const original = message.original ?? message.content;
+                const words = original.split(/\s+/).filter(Boolean);
+                const heardAll = spokenWords >= words.length;
+                if (heardAll && !message.pending && !message.interrupted) return null;
+
+                delete message.pending;
+                if (heardAll) {
+                    message.content = original;
+                    delete message.original;
+                    delete message.interrupted;
+                    delete message.spokenWords;
+                } else {
+                    Object.assign(message, {
+                        content: spokenWords > 0 ? `${words.slice(0, spokenWords).join(' ')}—` : '',
+                        original,
+                        interrupted: true,
+                        spokenWords,
+                    });
+                }
+                session.updatedAt = Date.now();
+                return session;
+            });
+            if (session) touch(session);
+            return message;
+        },
+
+        /** Clear a session's transcript but keep its id. Returns null if it doesn't exist. */
+        async reset(id) {
+            const session = await store.update(id, (session) => {
+                if (!session || isExpired(session)) return null;
+                session.messages = [];
+                session.updatedAt = Date.now();
+                return session;
+            });
+            if (!session) return null;
+            touch(session);
+            ended(id);
+            return session;
+        },
+
+        async delete(id) {
+            await remove(id);
+        },
+
+        /** Run `listener(id)` whenever a conversation ends (deleted, reset, expired or evicted). */
+        onSessionEnd(listener) {
+            endListeners.add(listener);
+        },
+
+        async list() {
+            await prune();
+            return store.all();
+        },
+
+        prune,
+    };
+}
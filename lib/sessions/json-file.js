@@ -0,0 +1,49 @@
+/**
+ * JSON-file backend — keeps sessions in memory and writes the whole set to a
+ * single file (debounced, atomic rename) so conversations survive restarts.
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+const WRITE_DELAY_MS = 500;
+
+export async function createJsonFileBackend({ file }) {
+    const sessions = new Map();
+
+    try {
+        const stored = JSON.parse(await readFile(file, 'utf8'));
+        for (const session of stored) sessions.set(session.id, session);
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.warn(`Could not read session file ${file}:`, error.message);
+    }
+
+    let writeTimer = null;
+    let writing = Promise.resolve();
+
+    function scheduleWrite() {
+        if (writeTimer) return;
+        writeTimer = setTimeout(() => {
+            writeTimer = null;
+            const snapshot = JSON.stringify([...sessions.values()]);
+            writing = writing.then(async () => {
+                await mkdir(dirname(file), { recursive: true });
+                await writeFile(`${file}.tmp`, snapshot);
+                await rename(`${file}.tmp`, file);
+            }).catch(error => console.error('Failed to persist sessions:', error.message));
+        }, WRITE_DELAY_MS);
+        writeTimer.unref?.();
+    }
+
+    return {
+        name: 'file',
+        async load(id) { return sessions.get(id) || null; },
+        async update(id, change) {
+            const session = change(sessions.get(id) || null);
+            if (session) { sessions.set(id, session); scheduleWrite(); }
+            return session;
+        },
+        async remove(id) { sessions.delete(id); scheduleWrite(); },
+        async all() { return [...sessions.values()]; },
+    };
+}
@@ -0,0 +1,19 @@
+/**
+ * In-memory backend — fastest, but everything is lost on restart.
+ */
+
+export function createMemoryBackend() {
+    const sessions = new Map();
+
+    return {
+        name: 'memory',
+        async load(id) { return sessions.get(id) || null; },
+        async update(id, change) {
+            const session = change(sessions.get(id) || null);
+            if (session) sessions.set(id, session);
+            return session;
+        },
+        async remove(id) { sessions.delete(id); },
+        async all() { return [...sessions.values()]; },
+    };
+}
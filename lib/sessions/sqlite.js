@@ -0,0 +1,63 @@
+/**
+ * SQLite backend — one row per session, transcript stored as JSON.
+ * Uses the built-in node:sqlite module (Node 22.5+) or, failing that,
+ * the optional better-sqlite3 package.
+ */
+
+import { mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+async function openDatabase(file) {
+    try {
+        const { DatabaseSync } = await import('node:sqlite');
+        return new DatabaseSync(file);
+    } catch {
+        try {
+            const { default: Database } = await import('better-sqlite3');
+            return new Database(file);
+        } catch {
+            throw new Error('SQLite session store needs Node 22.5+ (node:sqlite) or the better-sqlite3 package');
+        }
+    }
+}
+
+export async function createSqliteBackend({ file }) {
+    await mkdir(dirname(file), { recursive: true });
+    const db = await openDatabase(file);
+
+    db.exec(`CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        updated_at INTEGER NOT NULL,
+        data TEXT NOT NULL
+    )`);
+
+    const selectOne = db.prepare('SELECT data FROM sessions WHERE id = ?');
+    const selectAll = db.prepare('SELECT data FROM sessions');
+    const upsert = db.prepare(`INSERT INTO sessions (id, updated_at, data) VALUES (?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET updated_at = excluded.updated_at, data = excluded.data`);
+    const deleteOne = db.prepare('DELETE FROM sessions WHERE id = ?');
+
+    return {
+        name: 'sqlite',
+        async load(id) {
+            const row = selectOne.get(id);
+            return row ? JSON.parse(row.data) : null;
+        },
+        async update(id, change) {
+            // Read and write in one transaction, so concurrent updates can't drop each other's changes
+            db.exec('BEGIN IMMEDIATE');
+            try {
+                const row = selectOne.get(id);
+                const session = change(row ? JSON.parse(row.data) : null);
+                if (session) upsert.run(session.id, session.updatedAt, JSON.stringify(session));
+                db.exec('COMMIT');
+                return session;
+            } catch (error) {
+                db.exec('ROLLBACK');
+                throw error;
+            }
+        },
+        async remove(id) { deleteOne.run(id); },
+        async all() { return selectAll.all().map(row => JSON.parse(row.data)); },
+    };
+}
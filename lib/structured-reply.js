@@ -0,0 +1,240 @@
+/**
+ * Structured Replies
+ *
+ * The main completion answers with one JSON object instead of plain text:
+ *   { "emotion": "happy", "intensity": 0.6, "blend": { "happy": 0.6, "surprised": 0.3 },
+ *     "gestures": [{ "name": "wave", "sentence": 0 }], "text": "..." }
+ * `text` comes last so the metadata is known before speech starts streaming.
+ *
+ * Parsing is forgiving: code fences are stripped, broken JSON is repaired where
+ * possible, and output that isn't JSON at all is treated as plain speech with
+ * the emotion picked by the local lexicon classifier.
+ */
+
+import { EMOTION_NAMES, classifyEmotion, normalizeBlend, emotionState } from './emotion.js';
+
+export const GESTURE_NAMES = ['nod', 'shake', 'shrug', 'wave', 'point', 'think'];
+
+const TEXT_KEYS = ['text', 'response', 'reply', 'message', 'content'];
+
+export function structuredReplyInstructions() {
+    return `RESPONSE FORMAT:
+Reply with ONE JSON object and nothing else, with the keys in exactly this order:
+{"emotion": "<one of: ${EMOTION_NAMES.join(', ')}>", "intensity": <0.0-1.0, how strongly the emotion shows>, "blend": {"<emotion>": <0.0-1.0>, ...}, "gestures": [{"name": "<one of: ${GESTURE_NAMES.join(', ')}>", "sentence": <0-based index of the sentence it goes with>}], "text": "<what you say out loud>"}
+Match the intensity to the text: mild remarks get 0.2-0.4, strong feelings 0.7-1.0.
+"blend" lists up to three emotions when feelings are mixed (weights add up to at most 1), e.g. {"happy": 0.6, "surprised": 0.3}; otherwise use {}.
+Use an empty gestures list when no gesture fits. All formatting rules above apply to "text".`;
+}
+
+// ─── Validation ─────────────────────────────────────────────────────────────
+
+function normalizeGestures(gestures) {
+    if (!Array.isArray(gestures)) return [];
+    return gestures
+        .map(g => (typeof g === 'string' ? { name: g, sentence: 0 } : g))
+        .filter(g => g && GESTURE_NAMES.includes(String(g.name).toLowerCase()))
+        .map(g => ({ name: String(g.name).toLowerCase(), sentence: Math.max(0, Math.floor(Number(g.sentence) || 0)) }));
+}
+
+/**
+ * Validate a (possibly partial) reply object and fill gaps from the classifier.
+ * A valid blend decides the dominant emotion and its intensity.
+ * @returns {{ text: string, emotion: string, intensity: number, blend: Object<string, number>, gestures: object[] }}
+ */
+export function normalizeReply(data = {}) {
+    const text = typeof data.text === 'string' ? data.text.trim() : '';
+    const emotion = String(data.emotion || '').toLowerCase();
+    const intensity = Number(data.intensity);
+    const blend = normalizeBlend(data.blend);
+
+    let state;
+    if (Object.keys(blend).length > 0) state = emotionState({ blend });
+    else if (!EMOTION_NAMES.includes(emotion)) state = classifyEmotion(text);
+    else state = emotionState({ emotion, intensity: Number.isFinite(intensity) ? intensity : classifyEmotion(text).intensity });
+
+    return {
+        text,
+        emotion: state.emotion,
+        intensity: state.intensity,
+        blend: state.blend,
+        gestures: normalizeGestures(data.gestures),
+    };
+}
+
+// ─── Parsing & Repair ───────────────────────────────────────────────────────
+
+function stripCodeFence(raw) {
+    return raw.replace(/^```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '').trim();
+}
+
+function tryParse(text) {
+    try {
+        const value = JSON.parse(text);
+        return value && typeof value === 'object' ? value : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Best-effort fixes for the usual LLM JSON mistakes: prose around the object,
+ * raw newlines inside strings, trailing commas and truncated output.
+ */
+export function repairJson(raw) {
+    const start = raw.indexOf('{');
+    if (start === -1) return null;
+    const source = raw.slice(start);
+
+    let out = '';
+    let inString = false;
+    let escaped = false;
+    const closers = [];
+
+    for (const ch of source) {
+        if (inString) {
+            if (escaped) { escaped = false; out += ch; continue; }
+            if (ch === '\\') { escaped = true; out += ch; continue; }
+            if (ch === '"') { inString = false; out += ch; continue; }
+            out += ch === '\n' ? '\\n' : ch === '\r' ? '' : ch === '\t' ? '\\t' : ch;
+            continue;
+        }
+        if (ch === '"') inString = true;
+        else if (ch === '{') closers.push('}');
+        else if (ch === '[') closers.push(']');
+        else if (ch === '}' || ch === ']') {
+            closers.pop();
+            out += ch;
+            if (closers.length === 0) break;   // ignore anything after the object
+            continue;
+        }
+        out += ch;
+    }
+
+    if (escaped) out = out.slice(0, -1);
+    if (inString) out += '"';
+    out = out.replace(/,\s*$/, '');
+    while (closers.length > 0) out += closers.pop();
+    return out.replace(/,(\s*[}\]])/g, '$1');
+}
+
+/**
+ * Decode a JSON string value starting at `start` (just after its opening quote).
+ * Works on incomplete input: stops before a dangling escape sequence.
+ * @returns {{ value: string, complete: boolean }}
+ */
+export function decodeJsonString(raw, start) {
+    const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' };
+    let value = '';
+    for (let i = start; i < raw.length; i++) {
+        const ch = raw[i];
+        if (ch === '"') return { value, complete: true };
+        if (ch !== '\\') { value += ch; continue; }
+        const next = raw[i + 1];
+        if (next === undefined) break;
+        if (next === 'u') {
+            const hex = raw.slice(i + 2, i + 6);
+            if (hex.length < 4) break;
+            value += String.fromCharCode(parseInt(hex, 16));
+            i += 5;
+        } else {
+            value += ESCAPES[next] ?? next;
+            i += 1;
+        }
+    }
+    return { value, complete: false };
+}
+
+function findTextValueStart(raw) {
+    const match = raw.match(new RegExp(`"(?:${TEXT_KEYS.join('|')})"\\s*:\\s*"`));
+    return match ? { keyIndex: match.index, valueStart: match.index + match[0].length } : null;
+}
+
+function pickText(data) {
+    const key = TEXT_KEYS.find(k => typeof data[k] === 'string' && data[k].trim());
+    return key ? data[key] : '';
+}
+
+/**
+ * Parse a complete model output into a validated reply.
+ * `source` records how it was obtained: 'json' | 'repaired' | 'fallback'.
+ */
+export function parseStructuredReply(raw = '') {
+    const cleaned = stripCodeFence(raw.trim());
+
+    let data = tryParse(cleaned);
+    let source = 'json';
+    if (!data) {
+        data = tryParse(repairJson(cleaned) || '');
+        source = 'repaired';
+    }
+    if (data && pickText(data)) {
+        return { ...normalizeReply({ ...data, text: pickText(data) }), source };
+    }
+
+    // Output that isn't JSON is plain speech
+    if (!cleaned.startsWith('{')) return { ...normalizeReply({ text: cleaned }), source: 'fallback' };
+
+    // Salvage the spoken text from broken JSON. JSON without any (e.g. a stream
+    // cut off before "text") says nothing: it is never read out as it is
+    const textValue = findTextValueStart(cleaned);
+    const text = textValue ? decodeJsonString(cleaned, textValue.valueStart).value : '';
+    return { ...normalizeReply({ ...data, text }), source: 'fallback' };
+}
+
+/**
+ * Incremental parser for streamed structured output. push() returns the newly
+ * available part of the spoken text; `header` exposes emotion/intensity/blend/gestures
+ * as soon as everything before "text" has arrived. Plain-text output is passed through.
+ */
+export function createStructuredStreamParser() {
+    let raw = '';
+    let mode = null;          // 'json' | 'text'
+    let valueStart = -1;
+    let streamed = '';
+    let header = null;
+
+    return {
+        push(chunk) {
+            raw += chunk;
+            if (!mode) {
+                const first = raw.trimStart()[0];
+                if (!first) return '';
+                mode = first === '{' || first === '`' ? 'json' : 'text';
+            }
+            if (mode === 'text') {
+                const delta = raw.slice(streamed.length);
+                streamed = raw;
+                return delta;
+            }
+
+            if (valueStart === -1) {
+                const found = findTextValueStart(raw);
+                if (!found) return '';
+                valueStart = found.valueStart;
+                const head = stripCodeFence(raw.slice(0, found.keyIndex)).replace(/,\s*$/, '');
+                const parsed = tryParse(`${head}}`);
+                if (parsed) header = normalizeReply({ ...parsed, text: '' });
+            }
+
+            const { value } = decodeJsonString(raw, valueStart);
+            const delta = value.slice(streamed.length);
+            streamed = value;
+            return delta;
+        },
+
+        get header() {
+            return header;
+        },
+
+        /** Text already returned by push(). */
+        get streamed() {
+            return streamed;
+        },
+
+        finish() {
+            return mode === 'text'
+                ? { ...normalizeReply({ text: raw }), source: 'fallback' }
+                : parseStructuredReply(raw);
+        },
+    };
+}
@@ -0,0 +1,60 @@
+/**
+ * Command recognizer — any local speech-to-text program that prints the
+ * transcript to stdout (whisper.cpp, vosk-transcriber, a script around ffmpeg, ...).
+ *
+ *   STT_COMMAND       e.g. "whisper-cli -m models/ggml-base.bin -l {lang} -nt -f {file}"
+ *   STT_TIMEOUT_MS    give up after this long (default: 20000)
+ *
+ * Placeholders: {lang} (primary language subtag of a supported language,
+ * English otherwise) and {file} (the recording,
+ * saved to a temporary file with an extension matching its type). Without
+ * {file} the recording is piped to the command's stdin. Browsers record
+ * WebM or Ogg Opus, so a program that only reads WAV needs ffmpeg in front.
+ */
+
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseCommand, runCommand } from '../command.js';
+import { getLanguage } from '../phonemes/index.js';
+
+const DEFAULT_TIMEOUT_MS = 20000;
+
+const EXTENSIONS = {
+    'audio/webm': 'webm', 'video/webm': 'webm',
+    'audio/ogg': 'ogg', 'audio/mp4': 'm4a', 'audio/mpeg': 'mp3',
+    'audio/wav': 'wav', 'audio/x-wav': 'wav', 'audio/wave': 'wav',
+};
+
+export function createCommandRecognizer() {
+    const template = process.env.STT_COMMAND || '';
+    const timeoutMs = Number(process.env.STT_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+    return {
+        name: 'command',
+
+        isConfigured() {
+            return Boolean(template.trim());
+        },
+
+        async transcribe(audio, { lang, contentType = '' } = {}) {
+            if (!this.isConfigured()) throw new Error('STT_COMMAND is not set');
+            const parts = parseCommand(template);
+            const usesFile = parts.some(part => part.includes('{file}'));
+            const dir = usesFile ? await mkdtemp(join(tmpdir(), 'nova-stt-')) : null;
+            try {
+                const values = {
+                    lang: getLanguage(lang).code,
+                    file: dir && join(dir, `utterance.${EXTENSIONS[contentType.split(';')[0].trim()] || 'bin'}`),
+                };
+                if (dir) await writeFile(values.file, audio);
+                const [command, ...args] = parts.map(part => part.replace(/\{(lang|file)\}/g, (_, name) => values[name]));
+
+                const output = await runCommand(command, args, usesFile ? '' : audio, { timeoutMs, label: 'STT' });
+                return { transcript: output.toString('utf8').replace(/\s+/g, ' ').trim() };
+            } finally {
+                if (dir) await rm(dir, { recursive: true, force: true });
+            }
+        },
+    };
+}
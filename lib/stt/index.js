@@ -0,0 +1,42 @@
+/**
+ * Speech Recognition Engines
+ *
+ * Server-side recognizers for POST /api/stt, which transcribes microphone
+ * audio for browsers without SpeechRecognition. Every engine implements:
+ *   name
+ *   isConfigured()                                       → false means "missing setup, not usable"
+ *   transcribe(audio, { lang, contentType, final, offset, repeat })  → Promise<{ transcript, confidence? }>
+ *
+ * `audio` is one file (Buffer) of MediaRecorder chunks, concatenated. With
+ * `final` set it is the whole utterance. Otherwise it is an interim result for
+ * the audio that arrived since the previous one, which starts `offset` bytes
+ * into the utterance; when that isn't the start, the first chunk (it holds the
+ * container header) comes first again, its `repeat` bytes already transcribed.
+ * The server joins the interim pieces and drops the repeated chunk's words.
+ *
+ * The engine comes from STT_ENGINE (local | command, default: local).
+ */
+
+import { createLocalRecognizer } from './local.js';
+import { createCommandRecognizer } from './command.js';
+
+const ENGINES = {
+    local: createLocalRecognizer,
+    command: createCommandRecognizer,
+};
+
+const recognizers = new Map();
+
+export function getRecognizer(name) {
+    if (!ENGINES[name]) {
+        throw new Error(`Unknown STT engine "${name}" (available: ${Object.keys(ENGINES).join(', ')})`);
+    }
+    if (!recognizers.has(name)) recognizers.set(name, ENGINES[name]());
+    return recognizers.get(name);
+}
+
+/** The deployment's recognizer, or the local stand-in when it isn't set up. */
+export function resolveRecognizer() {
+    const recognizer = getRecognizer(process.env.STT_ENGINE || 'local');
+    return recognizer.isConfigured() ? recognizer : getRecognizer('local');
+}
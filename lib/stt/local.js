@@ -0,0 +1,43 @@
+/**
+ * Local stand-in recognizer — no model, no network, no decoding. It can't
+ * hear words: it "recognizes" one of a few fixed phrases in the requested
+ * language, picked from the start of the recording, and reveals more of it
+ * as the recording grows. That is enough to exercise POST /api/stt (interim →
+ * final results) during development; GET /api/stt reports it as a stand-in, so
+ * the browser doesn't offer voice input through it. Set STT_ENGINE=command for
+ * real transcripts.
+ */
+
+import { createHash } from 'crypto';
+
+const PHRASES = {
+    en: ['Hello, how are you today?', 'What time is it?', 'Tell me something interesting.', 'What can you do?'],
+    es: ['Hola, ¿cómo estás hoy?', '¿Qué hora es?', 'Cuéntame algo interesante.'],
+    de: ['Hallo, wie geht es dir heute?', 'Wie spät ist es?', 'Erzähl mir etwas Interessantes.'],
+    fr: ['Bonjour, comment ça va ?', 'Quelle heure est-il ?', 'Raconte-moi quelque chose d\'intéressant.'],
+    hi: ['Namaste, aap kaise ho?', 'Kya samay hua hai?', 'Mujhe kuch dilchasp batao.'],
+};
+
+const BYTES_PER_WORD = 4000;  // roughly a word per quarter second of Opus
+const PICK_BYTES = 1024;      // enough to get past the container header
+
+export function createLocalRecognizer() {
+    return {
+        name: 'local',
+
+        isConfigured() {
+            return true;
+        },
+
+        async transcribe(audio, { lang, final = false, offset = 0, repeat = 0 } = {}) {
+            const phrases = PHRASES[String(lang || 'en').toLowerCase().split(/[-_]/)[0]] || PHRASES.en;
+            const digest = createHash('sha1').update(audio.subarray(0, PICK_BYTES)).digest();
+            const words = phrases[digest[0] % phrases.length].split(' ');
+            if (final) return { transcript: words.join(' ') };
+            // Interim pieces reveal the words their stretch of the recording would hold
+            const from = Math.floor(offset / BYTES_PER_WORD);
+            const to = Math.floor((offset + audio.length - repeat) / BYTES_PER_WORD);
+            return { transcript: words.slice(from, to).join(' ') };
+        },
+    };
+}
@@ -0,0 +1,109 @@
+/**
+ * Built-in local tools: clock, calculator, unit conversion and a notes store.
+ */
+
+import { evaluate } from './calculator.js';
+import { convert } from './units.js';
+
+export function registerBuiltinTools(registry, { notes }) {
+    registry.register({
+        name: 'get_current_time',
+        description: 'Get the current local date and time, optionally for a specific IANA time zone such as "Europe/London".',
+        status: 'Checking the time',
+        parameters: {
+            type: 'object',
+            properties: {
+                timezone: { type: 'string', description: 'IANA time zone name. Defaults to the server time zone.' },
+            },
+        },
+        handler({ timezone }) {
+            const now = new Date();
+            const options = timezone ? { timeZone: timezone } : {};
+            return {
+                time: now.toLocaleTimeString('en-US', { ...options, hour: 'numeric', minute: '2-digit' }),
+                date: now.toLocaleDateString('en-US', { ...options, weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+                timezone: timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+                iso: now.toISOString(),
+            };
+        },
+    });
+
+    registry.register({
+        name: 'calculate',
+        description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, sqrt, abs, round, sin, cos, tan, log, ln, pi and e.',
+        status: 'Doing the math',
+        parameters: {
+            type: 'object',
+            properties: {
+                expression: { type: 'string', description: 'The expression, e.g. "(12.5 * 4) / 3"' },
+            },
+            required: ['expression'],
+        },
+        handler({ expression }) {
+            return { expression, result: evaluate(expression) };
+        },
+    });
+
+    registry.register({
+        name: 'convert_units',
+        description: 'Convert a value between units of length, mass, volume, speed, time, data size or temperature.',
+        status: 'Converting units',
+        parameters: {
+            type: 'object',
+            properties: {
+                value: { type: 'number' },
+                from: { type: 'string', description: 'Source unit, e.g. "miles", "kg", "fahrenheit"' },
+                to: { type: 'string', description: 'Target unit, e.g. "km", "lb", "celsius"' },
+            },
+            required: ['value', 'from', 'to'],
+        },
+        handler({ value, from, to }) {
+            return convert(value, from, to);
+        },
+    });
+
+    registry.register({
+        name: 'save_note',
+        description: 'Save a short note for the user so it can be recalled later in the conversation.',
+        status: 'Taking a note',
+        parameters: {
+            type: 'object',
+            properties: {
+                text: { type: 'string', description: 'The note to remember' },
+            },
+            required: ['text'],
+        },
+        async handler({ text }, { sessionId }) {
+            if (!text) throw new Error('Note text is required');
+            return { saved: await notes.add(sessionId, String(text)) };
+        },
+    });
+
+    registry.register({
+        name: 'list_notes',
+        description: "List the notes saved for this user.",
+        status: 'Checking my notes',
+        parameters: { type: 'object', properties: {} },
+        handler(args, { sessionId }) {
+            return { notes: notes.list(sessionId) };
+        },
+    });
+
+    registry.register({
+        name: 'delete_note',
+        description: 'Delete one of the saved notes by id.',
+        status: 'Updating my notes',
+        parameters: {
+            type: 'object',
+            properties: {
+                id: { type: 'number' },
+            },
+            required: ['id'],
+        },
+        async handler({ id }, { sessionId }) {
+            return { deleted: await notes.remove(sessionId, id) };
+        },
+    });
+
+    return registry;
+}
@@ -0,0 +1,91 @@
+/**
+ * Safe arithmetic evaluator for the calculate tool — a small recursive-descent
+ * parser, so model-supplied expressions never reach eval().
+ *
+ * Supports + - * / % ^ (or **), parentheses, unary minus, the constants pi and e,
+ * and the functions sqrt, abs, round, floor, ceil, sin, cos, tan, log (base 10), ln.
+ */
+
+const FUNCTIONS = {
+    sqrt: Math.sqrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+    sin: Math.sin, cos: Math.cos, tan: Math.tan, log: Math.log10, ln: Math.log,
+};
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+function tokenize(expression) {
+    const tokens = [];
+    const pattern = /\s*(\d+(?:\.\d+)?|\.\d+|\*\*|[-+*/%^(),×÷]|[a-z]+)\s*/y;
+    const source = expression.toLowerCase();
+    while (pattern.lastIndex < source.length) {
+        const start = pattern.lastIndex;
+        const match = pattern.exec(source);
+        if (!match) throw new Error(`Unexpected character in expression: "${source.slice(start).trim()[0]}"`);
+        tokens.push(match[1]);
+    }
+    return tokens.map(t => (t === '×' ? '*' : t === '÷' ? '/' : t === '**' ? '^' : t));
+}
+
+export function evaluate(expression) {
+    const tokens = tokenize(String(expression));
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const expect = (token) => {
+        if (next() !== token) throw new Error(`Expected "${token}"`);
+    };
+
+    function parseExpression() {
+        let value = parseTerm();
+        while (peek() === '+' || peek() === '-') {
+            value = next() === '+' ? value + parseTerm() : value - parseTerm();
+        }
+        return value;
+    }
+
+    function parseTerm() {
+        let value = parseUnary();
+        while (peek() === '*' || peek() === '/' || peek() === '%') {
+            const op = next();
+            const rhs = parseUnary();
+            value = op === '*' ? value * rhs : op === '/' ? value / rhs : value % rhs;
+        }
+        return value;
+    }
+
+    function parseUnary() {
+        if (peek() === '-') { next(); return -parseUnary(); }
+        if (peek() === '+') { next(); return parseUnary(); }
+        return parsePower();
+    }
+
+    function parsePower() {
+        const base = parsePrimary();
+        if (peek() === '^') { next(); return base ** parseUnary(); }
+        return base;
+    }
+
+    function parsePrimary() {
+        const token = next();
+        if (token === undefined) throw new Error('Unexpected end of expression');
+        if (token === '(') {
+            const value = parseExpression();
+            expect(')');
+            return value;
+        }
+        if (/^[\d.]/.test(token)) return parseFloat(token);
+        if (Object.hasOwn(CONSTANTS, token)) return CONSTANTS[token];
+        if (Object.hasOwn(FUNCTIONS, token)) {
+            expect('(');
+            const value = parseExpression();
+            expect(')');
+            return FUNCTIONS[token](value);
+        }
+        throw new Error(`Unknown token "${token}"`);
+    }
+
+    const result = parseExpression();
+    if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos]}"`);
+    if (!Number.isFinite(result)) throw new Error('Result is not a finite number');
+    return result;
+}
@@ -0,0 +1,55 @@
+/**
+ * Tool Registry
+ *
+ * Server-side functions the LLM may call. A tool is:
+ *   {
+ *     name, description, parameters,   // OpenAI function-calling schema
+ *     status,                          // short UI text shown while it runs ("Checking the time")
+ *     handler(args, context)           // → JSON-serializable result; context = { sessionId }
+ *   }
+ */
+
+export function createToolRegistry() {
+    const tools = new Map();
+
+    return {
+        register(tool) {
+            if (!tool.name || typeof tool.handler !== 'function') {
+                throw new Error('A tool needs a name and a handler');
+            }
+            tools.set(tool.name, tool);
+            return this;
+        },
+
+        has(name) {
+            return tools.has(name);
+        },
+
+        names() {
+            return [...tools.keys()];
+        },
+
+        status(name) {
+            return tools.get(name)?.status || 'Looking that up';
+        },
+
+        /** Tool definitions in OpenAI chat-completions format. */
+        definitions() {
+            return [...tools.values()].map(({ name, description, parameters }) => ({
+                type: 'function',
+                function: { name, description, parameters: parameters || { type: 'object', properties: {} } },
+            }));
+        },
+
+        /** Run a tool. Failures are returned as { error } so the model can recover. */
+        async run(name, args, context = {}) {
+            const tool = tools.get(name);
+            if (!tool) return { error: `Unknown tool "${name}"` };
+            try {
+                return await tool.handler(args || {}, context);
+            } catch (error) {
+                return { error: error.message };
+            }
+        },
+    };
+}
@@ -0,0 +1,66 @@
+/**
+ * Per-session notes for the save_note / list_notes tools, persisted to a JSON file.
+ * Notes go with their conversation (see clear()); at most MAX_SESSIONS sessions
+ * keep notes, the ones written to least recently are dropped first.
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+const MAX_NOTES_PER_SESSION = 100;
+const MAX_SESSIONS = 500;
+
+export async function createNotesStore({ file = process.env.NOTES_FILE || 'data/notes.json' } = {}) {
+    // sessionId → notes, least recently written first
+    let notes = new Map();
+    try {
+        notes = new Map(Object.entries(JSON.parse(await readFile(file, 'utf8'))));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.warn(`Could not read notes file ${file}:`, error.message);
+    }
+
+    let writing = Promise.resolve();
+    function persist() {
+        const snapshot = JSON.stringify(Object.fromEntries(notes), null, 2);
+        writing = writing.then(async () => {
+            await mkdir(dirname(file), { recursive: true });
+            await writeFile(`${file}.tmp`, snapshot);
+            await rename(`${file}.tmp`, file);
+        }).catch(error => console.error('Failed to persist notes:', error.message));
+        return writing;
+    }
+
+    return {
+        list(sessionId) {
+            return notes.get(sessionId) || [];
+        },
+
+        async add(sessionId, text) {
+            const list = notes.get(sessionId) || [];
+            notes.delete(sessionId);
+            notes.set(sessionId, list);
+            while (notes.size > MAX_SESSIONS) notes.delete(notes.keys().next().value);
+            const note = { id: (list[list.length - 1]?.id || 0) + 1, text, createdAt: Date.now() };
+            list.push(note);
+            if (list.length > MAX_NOTES_PER_SESSION) list.shift();
+            await persist();
+            return note;
+        },
+
+        async remove(sessionId, id) {
+            const list = notes.get(sessionId) || [];
+            const index = list.findIndex(note => note.id === Number(id));
+            if (index === -1) return false;
+            list.splice(index, 1);
+            await persist();
+            return true;
+        },
+
+        /** Drop a session's notes, e.g. when its conversation is deleted or reset. */
+        async clear(sessionId) {
+            if (!notes.delete(sessionId)) return false;
+            await persist();
+            return true;
+        },
+    };
+}
@@ -0,0 +1,76 @@
+/**
+ * Unit conversion for the convert_units tool.
+ * Linear units are stored as factors to a base unit per dimension; temperature is special-cased.
+ */
+
+const LINEAR_UNITS = {
+    length: {
+        m: 1, km: 1000, cm: 0.01, mm: 0.001, mi: 1609.344, yd: 0.9144, ft: 0.3048, in: 0.0254, nmi: 1852,
+    },
+    mass: {
+        kg: 1, g: 0.001, mg: 1e-6, t: 1000, lb: 0.45359237, oz: 0.028349523125, st: 6.35029318,
+    },
+    volume: {
+        l: 1, ml: 0.001, m3: 1000, gal: 3.785411784, qt: 0.946352946, pt: 0.473176473, cup: 0.2365882365, floz: 0.0295735295625,
+    },
+    speed: {
+        'm/s': 1, 'km/h': 1 / 3.6, mph: 0.44704, kn: 0.514444,
+    },
+    time: {
+        s: 1, ms: 0.001, min: 60, h: 3600, day: 86400, week: 604800,
+    },
+    data: {
+        b: 1, kb: 1e3, mb: 1e6, gb: 1e9, tb: 1e12, kib: 1024, mib: 1024 ** 2, gib: 1024 ** 3,
+    },
+};
+
+const ALIASES = {
+    meter: 'm', meters: 'm', metre: 'm', metres: 'm', kilometer: 'km', kilometers: 'km', kilometres: 'km',
+    centimeter: 'cm', centimeters: 'cm', millimeter: 'mm', millimeters: 'mm', mile: 'mi', miles: 'mi',
+    yard: 'yd', yards: 'yd', foot: 'ft', feet: 'ft', inch: 'in', inches: 'in', 'nautical mile': 'nmi',
+    kilogram: 'kg', kilograms: 'kg', kilo: 'kg', kilos: 'kg', gram: 'g', grams: 'g', milligram: 'mg',
+    tonne: 't', tonnes: 't', pound: 'lb', pounds: 'lb', lbs: 'lb', ounce: 'oz', ounces: 'oz', stone: 'st',
+    liter: 'l', liters: 'l', litre: 'l', litres: 'l', milliliter: 'ml', milliliters: 'ml',
+    gallon: 'gal', gallons: 'gal', quart: 'qt', quarts: 'qt', pint: 'pt', pints: 'pt', cups: 'cup',
+    'fl oz': 'floz', 'fluid ounce': 'floz', 'fluid ounces': 'floz',
+    kph: 'km/h', kmh: 'km/h', 'miles per hour': 'mph', knot: 'kn', knots: 'kn',
+    second: 's', seconds: 's', sec: 's', minute: 'min', minutes: 'min', hour: 'h', hours: 'h', hr: 'h',
+    days: 'day', weeks: 'week',
+    byte: 'b', bytes: 'b', kilobyte: 'kb', megabyte: 'mb', gigabyte: 'gb', terabyte: 'tb',
+    c: 'celsius', '°c': 'celsius', f: 'fahrenheit', '°f': 'fahrenheit', k: 'kelvin',
+};
+
+const TEMPERATURE = {
+    celsius: { toK: v => v + 273.15, fromK: v => v - 273.15 },
+    fahrenheit: { toK: v => (v - 32) * 5 / 9 + 273.15, fromK: v => (v - 273.15) * 9 / 5 + 32 },
+    kelvin: { toK: v => v, fromK: v => v },
+};
+
+function canonical(unit) {
+    const key = String(unit).trim().toLowerCase();
+    return Object.hasOwn(ALIASES, key) ? ALIASES[key] : key;
+}
+
+function dimensionOf(unit) {
+    if (Object.hasOwn(TEMPERATURE, unit)) return 'temperature';
+    return Object.keys(LINEAR_UNITS).find(dim => Object.hasOwn(LINEAR_UNITS[dim], unit)) || null;
+}
+
+export function convert(value, from, to) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) throw new Error(`"${value}" is not a number`);
+
+    const fromUnit = canonical(from);
+    const toUnit = canonical(to);
+    const fromDim = dimensionOf(fromUnit);
+    const toDim = dimensionOf(toUnit);
+    if (!fromDim) throw new Error(`Unknown unit "${from}"`);
+    if (!toDim) throw new Error(`Unknown unit "${to}"`);
+    if (fromDim !== toDim) throw new Error(`Cannot convert ${fromDim} to ${toDim}`);
+
+    const result = fromDim === 'temperature'
+        ? TEMPERATURE[toUnit].fromK(TEMPERATURE[fromUnit].toK(number))
+        : number * LINEAR_UNITS[fromDim][fromUnit] / LINEAR_UNITS[toDim][toUnit];
+
+    return { value: number, from: fromUnit, to: toUnit, result: Number(result.toPrecision(10)), dimension: fromDim };
+}
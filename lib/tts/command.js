@@ -0,0 +1,55 @@
+/**
+ * Command engine — any local synthesizer that reads text on stdin and writes
+ * a WAV file to stdout (espeak-ng --stdout, piper --output_file -, ...).
+ *
+ *   TTS_COMMAND       e.g. "espeak-ng --stdout -v {lang} -s {wpm}"
+ *   TTS_TIMEOUT_MS    give up after this long (default: 15000)
+ *
+ * Placeholders: {lang} (primary language subtag of a supported language,
+ * English otherwise), {rate} (1 = normal) and
+ * {wpm} (rate as words per minute, 175 = normal). The external voice has its
+ * own pacing, so the phoneme timeline is stretched to the real audio length.
+ * The command gets the same normalized plain text the timeline is built from,
+ * with lexicon respellings in place of the words they cover.
+ */
+
+import { parseCommand, runCommand } from '../command.js';
+import { generatePhonemeData, scaleTimeline, applyRespellings, getLanguage } from '../phonemes/index.js';
+import { decodeWav } from '../audio/wav.js';
+import { ssmlToSpeech } from '../../public/shared/ssml.js';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+export function createCommandEngine() {
+    const template = process.env.TTS_COMMAND || '';
+    const timeoutMs = Number(process.env.TTS_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+    return {
+        name: 'command',
+
+        isConfigured() {
+            return Boolean(template.trim());
+        },
+
+        async synthesize(text, { lang, rate = 1 } = {}) {
+            if (!this.isConfigured()) throw new Error('TTS_COMMAND is not set');
+            const values = {
+                lang: getLanguage(lang).code,
+                rate: String(rate),
+                wpm: String(Math.round(175 * rate)),
+            };
+            const [command, ...args] = parseCommand(template)
+                .map(part => part.replace(/\{(lang|rate|wpm)\}/g, (_, name) => values[name]));
+
+            const spoken = applyRespellings(ssmlToSpeech(text, { lang }).text);
+            const audio = await runCommand(command, args, spoken, { timeoutMs, label: 'TTS' });
+            const { sampleRate, duration } = decodeWav(audio);
+
+            const predicted = generatePhonemeData(text, { lang, rate });
+            const timeline = predicted.totalDuration > 0
+                ? scaleTimeline(predicted, duration / predicted.totalDuration)
+                : predicted;
+            return { audio, sampleRate, timeline };
+        },
+    };
+}
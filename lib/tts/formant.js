@@ -0,0 +1,275 @@
+/**
+ * Built-in formant synthesizer — a dependency-free stand-in voice.
+ *
+ * It does not guess at timing: it renders the phoneme timeline itself. Every
+ * timeline entry starts a segment that lasts until the next one begins, and
+ * each segment is voiced through a cascade of three formant resonators
+ * (vowels, liquids, nasals), shaped noise (fricatives, bursts) or silence.
+ * The mouth and the audio therefore share one clock by construction.
+ *
+ * Robotic, but intelligible enough for development and offline demos.
+ */
+
+import { generatePhonemeData } from '../phonemes/index.js';
+import { VOWEL_FORMANTS as VOWELS } from '../../public/shared/phonemes/visemes.js';
+import { encodeWav } from '../audio/wav.js';
+
+const SAMPLE_RATE = 16000;
+const FRAME = 80; // 5 ms parameter updates
+const BASE_F0 = 165;
+
+// Diphthongs start on one vowel and glide to another (the timeline splits them in two)
+const GLIDES = { AW: ['AA', 'UH'], AY: ['AA', 'IH'], EY: ['EH', 'IY'], OW: ['AO', 'UH'], OY: ['AO', 'IY'] };
+
+const CONSONANTS = {
+    L: { kind: 'sonorant', formants: [360, 1300, 2700] },
+    R: { kind: 'sonorant', formants: [420, 1300, 1600] },
+    W: { kind: 'sonorant', formants: [300, 610, 2200] },
+    Y: { kind: 'sonorant', formants: [260, 2070, 3020] },
+    M: { kind: 'nasal', formants: [280, 1000, 2200] },
+    N: { kind: 'nasal', formants: [280, 1700, 2600] },
+    NG: { kind: 'nasal', formants: [280, 2300, 2750] },
+    F: { kind: 'fricative', formants: [400, 1100, 2300], noise: [4000, 3000, 0.25] },
+    V: { kind: 'fricative', voiced: true, formants: [400, 1100, 2300], noise: [4000, 3000, 0.2] },
+    TH: { kind: 'fricative', formants: [400, 1400, 2500], noise: [4500, 3500, 0.2] },
+    DH: { kind: 'fricative', voiced: true, formants: [400, 1400, 2500], noise: [4500, 3500, 0.15] },
+    S: { kind: 'fricative', formants: [400, 1700, 2600], noise: [5500, 1500, 0.55] },
+    Z: { kind: 'fricative', voiced: true, formants: [400, 1700, 2600], noise: [5500, 1500, 0.4] },
+    SH: { kind: 'fricative', formants: [400, 1900, 2500], noise: [2800, 1200, 0.9] },
+    ZH: { kind: 'fricative', voiced: true, formants: [400, 1900, 2500], noise: [2800, 1200, 0.65] },
+    P: { kind: 'stop', formants: [400, 900, 2200], noise: [900, 1500, 0.5] },
+    B: { kind: 'stop', voiced: true, formants: [400, 900, 2200], noise: [900, 1500, 0.35] },
+    T: { kind: 'stop', formants: [400, 1700, 2600], noise: [4000, 2500, 0.5] },
+    D: { kind: 'stop', voiced: true, formants: [400, 1700, 2600], noise: [4000, 2500, 0.35] },
+    K: { kind: 'stop', formants: [400, 1900, 2500], noise: [2000, 1200, 0.5] },
+    G: { kind: 'stop', voiced: true, formants: [400, 1900, 2500], noise: [2000, 1200, 0.35] },
+    CH: { kind: 'affricate', formants: [400, 1900, 2500], noise: [2800, 1200, 0.9] },
+    JH: { kind: 'affricate', voiced: true, formants: [400, 1900, 2500], noise: [2800, 1200, 0.65] },
+    HH: { kind: 'aspirate' },
+};
+
+const NEUTRAL = [500, 1500, 2500];
+
+/** Seeded noise so the same text always renders the same audio. */
+function createNoise(seed = 1) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return (((t ^ (t >>> 14)) >>> 0) / 4294967296) * 2 - 1;
+    };
+}
+
+/** Two-pole resonator (Klatt); unity gain at DC. */
+function createResonator() {
+    let a = 0, b = 0, c = 0, y1 = 0, y2 = 0;
+    return {
+        set(frequency, bandwidth) {
+            const nyquist = SAMPLE_RATE / 2 - 200;
+            const f = Math.min(frequency, nyquist);
+            c = -Math.exp(-2 * Math.PI * bandwidth / SAMPLE_RATE);
+            b = 2 * Math.exp(-Math.PI * bandwidth / SAMPLE_RATE) * Math.cos(2 * Math.PI * f / SAMPLE_RATE);
+            a = 1 - b - c;
+        },
+        tick(x) {
+            const y = a * x + b * y1 + c * y2;
+            y2 = y1;
+            y1 = y;
+            return y;
+        },
+    };
+}
+
+// Rosenberg glottal pulse, open for 60% of the period
+function glottalPulse(phase) {
+    if (phase < 0.4) return 0.5 * (1 - Math.cos(Math.PI * phase / 0.4));
+    if (phase < 0.6) return Math.cos(Math.PI * (phase - 0.4) / 0.4);
+    return 0;
+}
+
+/**
+ * One segment per distinct start time in the timeline; diphthong halves and
+ * HH (which borrows the next sound's shape) are resolved here.
+ */
+function timelineSegments({ phonemes, totalDuration }) {
+    const segments = [];
+    for (const entry of [...phonemes].sort((x, y) => x.time - y.time)) {
+        const last = segments[segments.length - 1];
+        if (last && Math.abs(last.start - entry.time) < 1e-6) continue;
+        segments.push({
+            start: entry.time,
+            phoneme: entry.phoneme,
+            intensity: entry.intensity ?? 0.7,
+            glide: Boolean(last && GLIDES[entry.phoneme] && last.phoneme === entry.phoneme),
+        });
+    }
+    segments.forEach((segment, i) => { segment.end = segments[i + 1]?.start ?? totalDuration; });
+    return segments;
+}
+
+function formantsOf(phoneme, glide) {
+    if (VOWELS[phoneme]) return VOWELS[phoneme];
+    if (GLIDES[phoneme]) return VOWELS[GLIDES[phoneme][glide ? 1 : 0]];
+    return CONSONANTS[phoneme]?.formants || null;
+}
+
+/**
+ * Targets for one moment of a segment: formants, voicing, aspiration and
+ * frication amplitudes. `progress` is 0..1 through the segment.
+ */
+function segmentTarget(segment, next, progress) {
+    const { phoneme, intensity, glide } = segment;
+    const target = { formants: null, bandwidths: [60, 90, 150], voice: 0, aspiration: 0, noise: 0, noiseShape: null };
+    if (!phoneme) return target;
+
+    if (VOWELS[phoneme] || GLIDES[phoneme]) {
+        target.formants = formantsOf(phoneme, glide);
+        target.voice = 0.6 + 0.4 * intensity;
+        return target;
+    }
+
+    const consonant = CONSONANTS[phoneme];
+    if (!consonant) return target;
+    target.formants = consonant.formants;
+
+    switch (consonant.kind) {
+        case 'sonorant':
+            target.voice = 0.6;
+            break;
+        case 'nasal':
+            target.voice = 0.45;
+            target.bandwidths = [100, 200, 300];
+            break;
+        case 'fricative':
+            target.voice = consonant.voiced ? 0.3 : 0;
+            target.noise = consonant.noise[2];
+            target.noiseShape = consonant.noise;
+            break;
+        case 'stop':
+        case 'affricate': {
+            // Closure (silent, or a low voice bar), then the release
+            const release = consonant.kind === 'stop' ? 0.65 : 0.4;
+            if (progress < release) {
+                target.voice = consonant.voiced ? 0.12 : 0;
+            } else {
+                target.voice = consonant.voiced ? 0.3 : 0;
+                const decay = consonant.kind === 'stop' ? 1 - (progress - release) / (1 - release) : 1;
+                target.noise = consonant.noise[2] * decay;
+                target.noiseShape = consonant.noise;
+            }
+            break;
+        }
+        case 'aspirate':
+            target.formants = (next && formantsOf(next.phoneme, next.glide)) || NEUTRAL;
+            target.aspiration = 0.5;
+            break;
+        default:
+            break;
+    }
+    return target;
+}
+
+/**
+ * Render a phoneme timeline to mono samples.
+ * @param {{ phonemes: object[], totalDuration: number }} timeline
+ * @param {{ pitch?: number }} [options] pitch 1 = the default voice
+ * @returns {Float32Array}
+ */
+export function renderTimeline(timeline, { pitch = 1 } = {}) {
+    const segments = timelineSegments(timeline);
+    const length = Math.ceil((timeline.totalDuration + 0.05) * SAMPLE_RATE);
+    const samples = new Float32Array(length);
+    const noise = createNoise(length);
+    const formantScale = Math.min(1.2, Math.max(0.85, pitch));
+    const baseF0 = BASE_F0 * Math.min(2, Math.max(0.5, pitch));
+
+    const resonators = [createResonator(), createResonator(), createResonator()];
+    const fricator = createResonator();
+    const formants = [...NEUTRAL];
+    let voice = 0, aspiration = 0, noiseLevel = 0;
+    let phase = 0, lastPulse = 0, lastNoise = 0;
+    let phraseStart = 0;
+    let segmentIndex = 0;
+
+    for (let frameStart = 0; frameStart < length; frameStart += FRAME) {
+        const time = frameStart / SAMPLE_RATE;
+        while (segmentIndex < segments.length - 1 && time >= segments[segmentIndex].end) segmentIndex++;
+        const segment = segments[segmentIndex];
+        const inside = segment && time >= segment.start && time < segment.end;
+        const target = inside
+            ? segmentTarget(segment, segments[segmentIndex + 1], (time - segment.start) / (segment.end - segment.start))
+            : segmentTarget({ phoneme: null }, null, 0);
+
+        // Pitch falls gently over a phrase and resets after a pause
+        if (target.voice === 0 && target.noise === 0 && target.aspiration === 0 && segment && segment.end - segment.start > 0.15) {
+            phraseStart = segment.end;
+        }
+        const declination = 1.08 - 0.12 * Math.min(1, (time - phraseStart) / 2);
+        const accent = inside && segment.intensity >= 0.85 && VOWELS[segment.phoneme] ? 1.06 : 1;
+        const f0 = baseF0 * declination * accent * (1 + 0.008 * Math.sin(2 * Math.PI * 5 * time));
+
+        // Formants glide towards their targets (coarticulation); amplitudes ramp per sample
+        if (target.formants) {
+            for (let k = 0; k < 3; k++) formants[k] += (target.formants[k] * formantScale - formants[k]) * 0.35;
+        }
+        resonators.forEach((resonator, k) => resonator.set(formants[k], target.bandwidths[k]));
+        if (target.noiseShape) fricator.set(target.noiseShape[0], target.noiseShape[1]);
+
+        const voiceEnd = voice + (target.voice - voice) * 0.5;
+        const aspirationEnd = aspiration + (target.aspiration - aspiration) * 0.5;
+        const noiseEnd = noiseLevel + (target.noise - noiseLevel) * 0.6;
+        const frameLength = Math.min(FRAME, length - frameStart);
+
+        for (let i = 0; i < frameLength; i++) {
+            const mix = i / FRAME;
+            const voiceAmp = voice + (voiceEnd - voice) * mix;
+            const aspirationAmp = aspiration + (aspirationEnd - aspiration) * mix;
+            const noiseAmp = noiseLevel + (noiseEnd - noiseLevel) * mix;
+
+            phase += f0 / SAMPLE_RATE;
+            if (phase >= 1) phase -= 1;
+            const pulse = glottalPulse(phase);
+            const source = (pulse - lastPulse) * 12 * voiceAmp + noise() * 0.5 * aspirationAmp;
+            lastPulse = pulse;
+
+            let out = source;
+            for (const resonator of resonators) out = resonator.tick(out);
+
+            const white = noise();
+            out += fricator.tick(white - 0.9 * lastNoise) * noiseAmp * 0.5;
+            lastNoise = white;
+
+            samples[frameStart + i] = out;
+        }
+        voice = voiceEnd;
+        aspiration = aspirationEnd;
+        noiseLevel = noiseEnd;
+    }
+
+    let peak = 0;
+    for (const sample of samples) peak = Math.max(peak, Math.abs(sample));
+    if (peak > 0) {
+        const gain = 0.85 / peak;
+        for (let i = 0; i < samples.length; i++) samples[i] *= gain;
+    }
+    return samples;
+}
+
+export function createFormantEngine() {
+    return {
+        name: 'formant',
+        sampleRate: SAMPLE_RATE,
+
+        isConfigured() {
+            return true;
+        },
+
+        async synthesize(text, { lang, rate, pitch } = {}) {
+            const timeline = generatePhonemeData(text, { lang, rate });
+            const samples = renderTimeline(timeline, { pitch });
+            return { audio: encodeWav(samples, SAMPLE_RATE), sampleRate: SAMPLE_RATE, timeline };
+        },
+    };
+}
@@ -0,0 +1,39 @@
+/**
+ * Speech Synthesis Engines
+ *
+ * Server-side voices for POST /api/tts. Every engine implements:
+ *   name
+ *   isConfigured()                          → false means "missing setup, not usable"
+ *   synthesize(text, { lang, rate, pitch }) → Promise<{ audio, sampleRate, timeline }>
+ *
+ * `audio` is a WAV file (Buffer) and `timeline` is the viseme timeline the
+ * audio actually follows ({ phonemes, totalDuration, lang }, as produced by
+ * lib/phonemes), so the client can lip-sync against the audio clock.
+ * Text may contain the SSML subset from public/shared/ssml.js.
+ *
+ * The engine comes from TTS_ENGINE (formant | command, default: formant).
+ */
+
+import { createFormantEngine } from './formant.js';
+import { createCommandEngine } from './command.js';
+
+const ENGINES = {
+    formant: createFormantEngine,
+    command: createCommandEngine,
+};
+
+const engines = new Map();
+
+export function getEngine(name) {
+    if (!ENGINES[name]) {
+        throw new Error(`Unknown TTS engine "${name}" (available: ${Object.keys(ENGINES).join(', ')})`);
+    }
+    if (!engines.has(name)) engines.set(name, ENGINES[name]());
+    return engines.get(name);
+}
+
+/** The deployment's engine, or the built-in formant synth when it isn't set up. */
+export function resolveEngine() {
+    const engine = getEngine(process.env.TTS_ENGINE || 'formant');
+    return engine.isConfigured() ? engine : getEngine('formant');
+}
@@ -9,6 +9,10 @@
  * realistic eye gaze/blink, idle body animation, face tracking.
  */
 
+// Phoneme timeline and SSML code shared with the server (public/shared/)
+import { generatePhonemeData, getLanguage, LANGUAGE_CODES, setLexicon, applyRespellings } from './shared/phonemes/index.js';
+import { ssmlToSpeech, stripSsml } from './shared/ssml.js';
+
 // ─── Helpers ─────────────────────────────────────────────────────────────
 function showError(title, msg) {
     const d = document.createElement('div');
@@ -217,8 +221,70 @@ function updateLoadStatus(msg) {
     if (el) el.textContent = msg;
 }
 
+// ─── Persona ─────────────────────────────────────────────────────────────
+// Picked with ?persona=<id>; falls back to the built-in Nova defaults when the
+// server can't provide the pack.
+const DEFAULT_PERSONA = {
+    id: 'nova',
+    name: 'Nova',
+    role: 'AI Virtual Human',
+    avatarUrl: '/models/avatar.glb',
+    voice: {
+        lang: 'en',
+        preferred: ['Google UK English Female', 'Google US English', 'Microsoft Zira', 'Samantha', 'Karen', 'Victoria'],
+        keyword: 'Female',
+        rate: 0.92,
+        pitch: 1.12,
+    },
+    emotions: {},
+};
+
+async function loadPersona(id) {
+    try {
+        const response = await fetch(`/api/personas/${encodeURIComponent(id)}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        return { ...DEFAULT_PERSONA, ...data, voice: { ...DEFAULT_PERSONA.voice, ...data.voice } };
+    } catch (error) {
+        console.warn(`⚠️ Persona "${id}" unavailable, using defaults:`, error.message);
+        return DEFAULT_PERSONA;
+    }
+}
+
+const personaId = new URLSearchParams(window.location.search).get('persona') || DEFAULT_PERSONA.id;
+const persona = await loadPersona(personaId);
+
+// Replace the Nova placeholders in index.html with the persona's identity
+function applyPersonaToPage() {
+    document.title = `${persona.name} — ${persona.role}`;
+    document.querySelectorAll('[data-persona="name"]').forEach(el => { el.textContent = persona.name; });
+    document.querySelectorAll('[data-persona="role"]').forEach(el => { el.textContent = persona.role; });
+    const thinking = document.querySelector('.thinking-text');
+    if (thinking) thinking.textContent = `${persona.name} is thinking`;
+    const input = document.getElementById('chat-input');
+    if (input) input.placeholder = `Message ${persona.name}`;
+    const greeting = document.getElementById('greeting-time')?.previousElementSibling;
+    if (greeting && persona.greeting) greeting.textContent = persona.greeting;
+}
+applyPersonaToPage();
+console.log(`🎭 Persona: ${persona.name} (${persona.id})`);
+
+// Custom pronunciations: respellings for the browser voice, phonemes for local timelines
+async function loadLexicon() {
+    try {
+        const response = await fetch('/api/lexicon');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { entries } = await response.json();
+        const size = setLexicon(entries);
+        if (size > 0) console.log(`🗣️ Lexicon: ${size} custom pronunciations`);
+    } catch (error) {
+        console.warn('⚠️ Pronunciation lexicon unavailable:', error.message);
+    }
+}
+loadLexicon();
+
 // ─── Load the model ──────────────────────────────────────────────────────
-const AVATAR_URL = '/models/avatar.glb';
+const AVATAR_URL = persona.avatarUrl;
 
 async function loadAvatar() {
     const loader = new GLTFLoader();
@@ -562,6 +628,7 @@ function updateBlink(time, delta) {
 // ═══════════════════════════════════════════════════════════════════════════
 // SECTION 5 — Emotions & Body Idle via Morph + Bones
 // ═══════════════════════════════════════════════════════════════════════════
+// Built-in expression presets; a persona's emotion map overrides them per emotion
 const EMOTIONS = {
     happy: {
         mouthSmileLeft: 0.55, mouthSmileRight: 0.55,
@@ -583,20 +650,90 @@ const EMOTIONS = {
         noseSneerLeft: 0.3, noseSneerRight: 0.3,
         jawForward: 0.15,
     },
+    confused: {
+        browDownLeft: 0.35, browOuterUpRight: 0.4, browInnerUp: 0.15,
+        mouthPressLeft: 0.2, mouthLeft: 0.15,
+        eyeSquintLeft: 0.15,
+    },
+    thinking: {
+        browDownLeft: 0.2, browDownRight: 0.2,
+        mouthPressLeft: 0.25, mouthPressRight: 0.25, mouthRollLower: 0.15,
+        eyeSquintLeft: 0.1, eyeSquintRight: 0.1,
+    },
+    fearful: {
+        eyeWideLeft: 0.5, eyeWideRight: 0.5,
+        browInnerUp: 0.6, browOuterUpLeft: 0.2, browOuterUpRight: 0.2,
+        mouthStretchLeft: 0.3, mouthStretchRight: 0.3,
+        jawOpen: 0.1,
+    },
+    disgusted: {
+        noseSneerLeft: 0.5, noseSneerRight: 0.5,
+        mouthUpperUpLeft: 0.35, mouthUpperUpRight: 0.35,
+        browDownLeft: 0.3, browDownRight: 0.3,
+        mouthFrownLeft: 0.2, mouthFrownRight: 0.2,
+    },
+    amused: {
+        mouthSmileLeft: 0.6, mouthSmileRight: 0.45,
+        cheekSquintLeft: 0.3, cheekSquintRight: 0.25,
+        eyeSquintLeft: 0.25, eyeSquintRight: 0.2,
+        jawOpen: 0.08,
+    },
+    concerned: {
+        browInnerUp: 0.45, browDownLeft: 0.15, browDownRight: 0.15,
+        mouthFrownLeft: 0.15, mouthFrownRight: 0.15,
+        mouthPressLeft: 0.15, mouthPressRight: 0.15,
+    },
+    proud: {
+        mouthSmileLeft: 0.35, mouthSmileRight: 0.35,
+        mouthPressLeft: 0.1, mouthPressRight: 0.1,
+        cheekSquintLeft: 0.1, cheekSquintRight: 0.1,
+        eyeSquintLeft: 0.1, eyeSquintRight: 0.1,
+    },
     neutral: {},
+    ...persona.emotions,
 };
 
 let currentEmotion = {};
 let emotionTargetMap = {};
 let emotionTimeout = null;
 
-function setEmotion(name) {
-    emotionTargetMap = { ...(EMOTIONS[name] || EMOTIONS.neutral) };
-    updateEmotionBadge(name);
+/**
+ * Blend expression presets into the morph targets. `state` is an emotion name
+ * or the server's { emotion, intensity, blend }; every preset is scaled by its
+ * weight, so a mild "happy" is only a hint of a smile and blends add up.
+ */
+function setEmotion(state) {
+    const { emotion = 'neutral', intensity = 1, blend } = typeof state === 'string' ? { emotion: state } : state || {};
+    const weights = blend && Object.keys(blend).length > 0 ? blend : { [emotion]: intensity };
+
+    emotionTargetMap = {};
+    for (const [name, weight] of Object.entries(weights)) {
+        for (const [morph, value] of Object.entries(EMOTIONS[name] || {})) {
+            emotionTargetMap[morph] = Math.min(1, (emotionTargetMap[morph] || 0) + value * weight);
+        }
+    }
+    updateEmotionBadge(EMOTIONS[emotion] ? emotion : 'neutral', weights);
     if (emotionTimeout) clearTimeout(emotionTimeout);
 }
 
+// Emotion keyframes ({ time, emotion, intensity, blend }) of the utterance being
+// spoken; during timeline lip sync the expression follows them mid-sentence.
+let emotionKeyframes = null;
+let emotionKeyframeIndex = -1;
+
+function followEmotionKeyframes() {
+    if (lipSyncMode !== 'timeline' || !emotionKeyframes?.length) return;
+    const elapsed = lipSyncElapsed();
+    let index = emotionKeyframeIndex;
+    while (index + 1 < emotionKeyframes.length && emotionKeyframes[index + 1].time <= elapsed) index++;
+    if (index !== emotionKeyframeIndex) {
+        emotionKeyframeIndex = index;
+        setEmotion(emotionKeyframes[index]);
+    }
+}
+
 function updateEmotionMorphs(delta) {
+    followEmotionKeyframes();
     const rate = 1 - Math.exp(-5 * delta);
     for (const name in emotionTargetMap) {
         const target = emotionTargetMap[name] || 0;
@@ -691,6 +828,132 @@ function animateTalkingBody(time, delta) {
     }
 }
 
+// ─── Listening posture ──────────────────────────────────────────────────
+// While the mic is open Nova leans in slightly with her head tilted and brows
+// raised, so it's clear she is listening. Blended in and out like a gesture.
+const LISTENING_POSE = {
+    head: { x: 0.04, z: 0.07 },
+    spine: { x: 0.03 },
+    morphs: { browInnerUp: 0.18, browOuterUpLeft: 0.1, browOuterUpRight: 0.1, eyeWideLeft: 0.08, eyeWideRight: 0.08 },
+};
+let listeningWeight = 0;
+
+function animateListeningPose(time, delta) {
+    const target = isListening && !isSpeaking ? 1 : 0;
+    listeningWeight += (target - listeningWeight) * (1 - Math.exp(-4 * delta));
+    if (listeningWeight < 0.01) return;
+
+    const rate = 0.06 * listeningWeight;
+    const bones = { head: headBone, spine: spineBone };
+    for (const [part, bone] of Object.entries(bones)) {
+        if (!bone) continue;
+        for (const [axis, value] of Object.entries(LISTENING_POSE[part])) {
+            // A slow sway keeps the held pose from looking frozen
+            const sway = axis === 'z' ? Math.sin(time * 0.6) * 0.01 : 0;
+            bone.rotation[axis] = THREE.MathUtils.lerp(bone.rotation[axis], value + sway, rate);
+        }
+    }
+    for (const [name, value] of Object.entries(LISTENING_POSE.morphs)) {
+        setMorph(name, value * listeningWeight);
+    }
+}
+
+// ─── Gestures ───────────────────────────────────────────────────────────
+// Short procedural poses layered over idle/talking motion. A gesture fades in
+// while active and fades out after stopGesture(), or on its own once its
+// GESTURE_DURATIONS entry has elapsed; each pose is a function of the time
+// since the gesture started.
+const GESTURES = {
+    // Head tilted, hand raised towards the chin, eyes up — "let me look that up"
+    lookup: (t) => ({
+        head: { x: 0.05, z: 0.08 + Math.sin(t * 1.4) * 0.015 },
+        rightArm: { z: -0.25 },
+        rightForeArm: { x: -0.6 + Math.sin(t * 2.1) * 0.04 },
+        morphs: { eyeLookUpLeft: 0.3, eyeLookUpRight: 0.3, browInnerUp: 0.18, mouthPressLeft: 0.12, mouthPressRight: 0.12 },
+    }),
+    // The remaining gestures are requested by the LLM alongside its reply
+    nod: (t) => ({
+        head: { x: 0.12 + Math.sin(t * 9) * 0.1 },
+    }),
+    shake: (t) => ({
+        head: { y: Math.sin(t * 10) * 0.16 },
+        morphs: { browDownLeft: 0.1, browDownRight: 0.1 },
+    }),
+    shrug: () => ({
+        head: { z: 0.08 },
+        leftArm: { z: 0.12 },
+        rightArm: { z: -0.12 },
+        leftForeArm: { x: -0.35 },
+        rightForeArm: { x: -0.35 },
+        morphs: { browInnerUp: 0.35, mouthShrugLower: 0.25 },
+    }),
+    wave: (t) => ({
+        head: { z: -0.04 },
+        rightArm: { x: -0.3, z: -0.9 },
+        rightForeArm: { z: -0.5 + Math.sin(t * 9) * 0.35 },
+        morphs: { mouthSmileLeft: 0.25, mouthSmileRight: 0.25 },
+    }),
+    point: () => ({
+        head: { y: -0.06 },
+        rightArm: { x: -0.55, z: -0.35 },
+        rightForeArm: { x: -0.15 },
+    }),
+    think: (t) => ({
+        head: { x: -0.05, z: -0.1 + Math.sin(t * 1.2) * 0.02 },
+        rightArm: { z: -0.3 },
+        rightForeArm: { x: -0.9 },
+        morphs: { eyeLookUpLeft: 0.25, eyeLookUpRight: 0.25, eyeLookOutLeft: 0.2, eyeLookInRight: 0.2, mouthPressLeft: 0.15 },
+    }),
+};
+
+// Seconds before a one-shot gesture releases itself; lookup is held until stopGesture()
+const GESTURE_DURATIONS = { nod: 1.1, shake: 1.2, shrug: 1.4, wave: 1.8, point: 1.5, think: 2.2 };
+
+let gestureName = null;
+let gestureActive = false;
+let gestureStart = 0;
+let gestureWeight = 0;
+
+function playGesture(name) {
+    if (!GESTURES[name]) return;
+    if (gestureName !== name || !gestureActive) gestureStart = elapsedTime;
+    gestureName = name;
+    gestureActive = true;
+}
+
+function stopGesture() {
+    gestureActive = false;
+}
+
+/** Play each gesture the server attached to a reply or sentence (the last one wins). */
+function playGestures(gestures) {
+    for (const gesture of gestures || []) playGesture(typeof gesture === 'string' ? gesture : gesture.name);
+}
+
+function animateGesture(time, delta) {
+    if (gestureActive && time - gestureStart > (GESTURE_DURATIONS[gestureName] ?? Infinity)) stopGesture();
+    gestureWeight += ((gestureActive ? 1 : 0) - gestureWeight) * (1 - Math.exp(-6 * delta));
+    if (!gestureName || gestureWeight < 0.01) return;
+
+    const pose = GESTURES[gestureName](time - gestureStart);
+    const rate = 0.08 * gestureWeight;
+    const bones = {
+        head: headBone,
+        leftArm: leftArmBone, rightArm: rightArmBone,
+        leftForeArm: leftForeArmBone, rightForeArm: rightForeArmBone,
+    };
+    for (const [part, rotation] of Object.entries(pose)) {
+        const bone = bones[part];
+        if (!bone) continue;
+        for (const axis in rotation) {
+            bone.rotation[axis] = THREE.MathUtils.lerp(bone.rotation[axis], rotation[axis], rate);
+        }
+    }
+    for (const [name, value] of Object.entries(pose.morphs || {})) {
+        setMorph(name, value * gestureWeight);
+    }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // SECTION 6 — Lip Sync Engine
 // ═══════════════════════════════════════════════════════════════════════════
@@ -698,78 +961,55 @@ let lipSyncAnimFrame = null;
 let isSpeaking = false;
 let currentPhonemes = null;
 
-const CHAR_VISEME = {
-    'th': 'viseme_TH', 'ch': 'viseme_CH', 'sh': 'viseme_CH',
-    'ng': 'viseme_nn', 'wh': 'viseme_U', 'ph': 'viseme_FF',
-    'a': 'viseme_aa', 'e': 'viseme_E', 'i': 'viseme_I', 'o': 'viseme_O', 'u': 'viseme_U',
-    'b': 'viseme_PP', 'p': 'viseme_PP', 'm': 'viseme_PP',
-    'f': 'viseme_FF', 'v': 'viseme_FF',
-    't': 'viseme_DD', 'd': 'viseme_DD', 'n': 'viseme_nn', 'l': 'viseme_DD',
-    'k': 'viseme_kk', 'g': 'viseme_kk', 'c': 'viseme_kk',
-    's': 'viseme_SS', 'z': 'viseme_SS',
-    'r': 'viseme_RR', 'j': 'viseme_CH', 'y': 'viseme_CH', 'w': 'viseme_U', 'h': 'viseme_CH',
-};
+// Realtime mode: the word the browser voice just reached, timed from its boundary event
+let wordTimeline = null;
+let wordTimelineStart = 0;
 
-function wordToVisemes(word) {
-    const w = word.toLowerCase().replace(/[^a-z]/g, '');
-    const result = [];
-    const BASE = 0.075;  // longer hold per viseme for clarity
-    for (let i = 0; i < w.length; i++) {
-        const di = i < w.length - 1 ? w.substr(i, 2) : '';
-        const vis = CHAR_VISEME[di] || CHAR_VISEME[w[i]];
-        if (vis) {
-            const isVowel = 'aeiou'.includes(w[i]);
-            result.push({
-                viseme: vis,
-                duration: isVowel ? BASE * 1.5 : BASE * 0.9,
-                intensity: isVowel ? 1.0 : 0.75,  // boosted intensity
-            });
-            if (CHAR_VISEME[di]) i++;
+// Lip sync mode: 'none' | 'realtime' | 'timeline' | 'audio' | 'fallback'
+let lipSyncMode = 'none';
+let lipSyncStartTime = 0;
+// Timeline playback follows this clock when set (e.g. Web Audio's), else wall time
+let lipSyncClock = null;
+
+function lipSyncElapsed() {
+    return lipSyncClock ? lipSyncClock() : (performance.now() - lipSyncStartTime) / 1000;
+}
+
+// Shape the mouth for one moment of a timeline
+function applyTimelineAt(phonemes, elapsed) {
+    for (let pi = 0; pi < phonemes.length; pi++) {
+        const ph = phonemes[pi];
+        if (elapsed >= ph.time && elapsed < ph.time + ph.duration) {
+            const progress = (elapsed - ph.time) / ph.duration;
+            const envelope = Math.sin(progress * Math.PI);
+            applyViseme(ph.viseme, (ph.intensity || 1.0) * (0.5 + envelope * 0.5));
+        }
+        // Co-articulation into next phoneme
+        if (elapsed >= ph.time + ph.duration * 0.7 && elapsed < ph.time + ph.duration) {
+            if (pi + 1 < phonemes.length) {
+                const next = phonemes[pi + 1];
+                const blend = (elapsed - (ph.time + ph.duration * 0.7)) / (ph.duration * 0.3);
+                applyViseme(next.viseme, (next.intensity || 0.5) * blend * 0.35);
+            }
         }
     }
-    return result;
 }
 
-let wordVisemeQueue = [];
-let wordVisemeStart = 0;
-
-// Lip sync mode: 'none' | 'realtime' | 'timeline' | 'fallback'
-let lipSyncMode = 'none';
-let lipSyncStartTime = 0;
-
 // Called from the main animation loop — no separate rAF needed
 function tickLipSync() {
     if (!isSpeaking) return;
 
     if (lipSyncMode === 'realtime') {
-        // Boundary-event driven: play the current word's viseme queue
-        if (wordVisemeQueue.length > 0) {
-            const elapsed = (performance.now() - wordVisemeStart) / 1000;
-            let t = 0;
-            let matched = false;
-            for (let vi = 0; vi < wordVisemeQueue.length; vi++) {
-                const v = wordVisemeQueue[vi];
-                if (elapsed >= t && elapsed < t + v.duration) {
-                    const progress = (elapsed - t) / v.duration;
-                    const envelope = Math.sin(progress * Math.PI);
-                    applyViseme(v.viseme, v.intensity * (0.5 + envelope * 0.5));
-                    // Co-articulation: blend into next viseme
-                    if (vi + 1 < wordVisemeQueue.length && progress > 0.6) {
-                        const next = wordVisemeQueue[vi + 1];
-                        const coblend = (progress - 0.6) / 0.4;
-                        applyViseme(next.viseme, next.intensity * coblend * 0.4);
-                    }
-                    matched = true;
-                    break;
-                }
-                t += v.duration;
-            }
-            if (elapsed > t) wordVisemeQueue = [];
+        // Boundary-event driven: play the current word's own timeline
+        if (wordTimeline) {
+            const elapsed = (performance.now() - wordTimelineStart) / 1000;
+            applyTimelineAt(wordTimeline.phonemes, elapsed);
+            if (elapsed > wordTimeline.totalDuration) wordTimeline = null;
         }
 
     } else if (lipSyncMode === 'timeline') {
-        // Server phoneme timeline
-        const elapsed = (performance.now() - lipSyncStartTime) / 1000;
+        // Phoneme timeline (server's or generated locally)
+        const elapsed = lipSyncElapsed();
 
         // Auto-stop when timeline completes (prevents lingering mouth pose)
         if (currentPhonemes?.totalDuration && elapsed > currentPhonemes.totalDuration + 0.15) {
@@ -777,24 +1017,10 @@ function tickLipSync() {
             return;
         }
 
-        if (currentPhonemes?.phonemes) {
-            for (let pi = 0; pi < currentPhonemes.phonemes.length; pi++) {
-                const ph = currentPhonemes.phonemes[pi];
-                if (elapsed >= ph.time && elapsed < ph.time + ph.duration) {
-                    const progress = (elapsed - ph.time) / ph.duration;
-                    const envelope = Math.sin(progress * Math.PI);
-                    applyViseme(ph.viseme, (ph.intensity || 1.0) * (0.5 + envelope * 0.5));
-                }
-                // Co-articulation into next phoneme
-                if (elapsed >= ph.time + ph.duration * 0.7 && elapsed < ph.time + ph.duration) {
-                    if (pi + 1 < currentPhonemes.phonemes.length) {
-                        const next = currentPhonemes.phonemes[pi + 1];
-                        const blend = (elapsed - (ph.time + ph.duration * 0.7)) / (ph.duration * 0.3);
-                        applyViseme(next.viseme, (next.intensity || 0.5) * blend * 0.35);
-                    }
-                }
-            }
-        }
+        if (currentPhonemes?.phonemes) applyTimelineAt(currentPhonemes.phonemes, elapsed);
+
+    } else if (lipSyncMode === 'audio') {
+        tickAudioLipSync();
 
     } else if (lipSyncMode === 'fallback') {
         // Cyclic vowel sequence fallback
@@ -809,12 +1035,19 @@ function tickLipSync() {
     }
 }
 
-function startLipSyncFromTimeline(phonemeData) {
+/**
+ * Play a phoneme timeline. `clock` returns seconds since the audio started;
+ * without one the timeline runs against wall time from now.
+ */
+function startLipSyncFromTimeline(phonemeData, keyframes = null, clock = null) {
     stopLipSync();
     isSpeaking = true;
     currentPhonemes = phonemeData;
+    emotionKeyframes = keyframes;
+    emotionKeyframeIndex = -1;
     lipSyncMode = 'timeline';
     lipSyncStartTime = performance.now();
+    lipSyncClock = clock;
     talkGesturePhase = 0;
     showSpeakingUI();
 }
@@ -824,16 +1057,19 @@ function startRealtimeLipSync() {
     isSpeaking = true;
     lipSyncMode = 'realtime';
     talkGesturePhase = 0;
-    wordVisemeQueue = [];
+    wordTimeline = null;
     showSpeakingUI();
 }
 
 function stopLipSync() {
     isSpeaking = false;
     lipSyncMode = 'none';
+    lipSyncClock = null;
+    detachAudioAnalyser();
     if (lipSyncAnimFrame) { cancelAnimationFrame(lipSyncAnimFrame); lipSyncAnimFrame = null; }
     talkGesturePhase = 0;
-    wordVisemeQueue = [];
+    wordTimeline = null;
+    emotionKeyframes = null;
     hideSpeakingUI();
 }
 
@@ -846,6 +1082,118 @@ function startLipSyncFallback() {
     showSpeakingUI();
 }
 
+// ─── Audio-driven lip sync ──────────────────────────────────────────────
+// No transcript, no timeline: an AnalyserNode listens to whatever is playing.
+// Loudness opens the jaw; the strongest peaks in the F1 (250–950 Hz) and F2
+// (900–2700 Hz) bands pick the vowel shape, and energy above 3.5 kHz means a
+// fricative (S / SH / F). Works with any Web Audio node, a MediaStream (e.g.
+// a WebRTC call) or an <audio>/<video> element.
+const AUDIO_VOWELS = [
+    { viseme: 'viseme_aa', f1: 750, f2: 1200 },
+    { viseme: 'viseme_E', f1: 550, f2: 1850 },
+    { viseme: 'viseme_I', f1: 320, f2: 2250 },
+    { viseme: 'viseme_O', f1: 560, f2: 900 },
+    { viseme: 'viseme_U', f1: 330, f2: 850 },
+];
+const AUDIO_SILENCE_RMS = 0.008;
+const mediaElementSources = new WeakMap();
+let audioAnalyser = null;
+let audioAnalyserInput = null;
+let audioAnalyserOwnsInput = false;
+let audioTimeData = null, audioFreqData = null;
+let audioLevelPeak = 0.05;
+
+function startAudioLipSync(input) {
+    stopLipSync();
+    const context = getAudioContext();
+    let node = input;
+    audioAnalyserOwnsInput = false;
+    if (input instanceof MediaStream) {
+        node = context.createMediaStreamSource(input);
+        audioAnalyserOwnsInput = true;
+    } else if (input instanceof HTMLMediaElement) {
+        // An element can only be wrapped once; it keeps playing through the speakers
+        node = mediaElementSources.get(input);
+        if (!node) {
+            node = context.createMediaElementSource(input);
+            node.connect(context.destination);
+            mediaElementSources.set(input, node);
+        }
+    }
+
+    audioAnalyser = context.createAnalyser();
+    audioAnalyser.fftSize = 2048;
+    audioAnalyser.smoothingTimeConstant = 0.3;
+    node.connect(audioAnalyser);
+    audioAnalyserInput = node;
+    audioTimeData = new Float32Array(audioAnalyser.fftSize);
+    audioFreqData = new Float32Array(audioAnalyser.frequencyBinCount);
+    audioLevelPeak = 0.05;
+
+    isSpeaking = true;
+    lipSyncMode = 'audio';
+    talkGesturePhase = 0;
+    showSpeakingUI();
+}
+
+function detachAudioAnalyser() {
+    if (!audioAnalyser) return;
+    try { audioAnalyserInput.disconnect(audioAnalyser); } catch { /* already disconnected */ }
+    if (audioAnalyserOwnsInput) audioAnalyserInput.disconnect();
+    audioAnalyser = null;
+    audioAnalyserInput = null;
+}
+
+// Strongest bin of a (lightly smoothed) power spectrum between two frequencies
+function spectralPeak(power, binHz, low, high) {
+    let best = low, bestValue = -Infinity;
+    for (let bin = Math.ceil(low / binHz); bin <= Math.floor(high / binHz) && bin < power.length - 2; bin++) {
+        const value = power[bin - 2] + power[bin - 1] + power[bin] + power[bin + 1] + power[bin + 2];
+        if (value > bestValue) { bestValue = value; best = bin * binHz; }
+    }
+    return best;
+}
+
+function tickAudioLipSync() {
+    if (!audioAnalyser) return;
+    audioAnalyser.getFloatTimeDomainData(audioTimeData);
+    let sum = 0;
+    for (const sample of audioTimeData) sum += sample * sample;
+    const rms = Math.sqrt(sum / audioTimeData.length);
+
+    // Level is relative to the loudest recent moment, so quiet sources still animate
+    audioLevelPeak = Math.max(rms, audioLevelPeak * 0.995, AUDIO_SILENCE_RMS);
+    const level = Math.min(1, rms / audioLevelPeak);
+    if (rms < AUDIO_SILENCE_RMS || level < 0.12) return; // mouth relaxes shut
+
+    audioAnalyser.getFloatFrequencyData(audioFreqData);
+    const binHz = audioAnalyser.context.sampleRate / audioAnalyser.fftSize;
+    const power = audioFreqData.map(db => 10 ** (db / 10));
+    let total = 0, high = 0, weighted = 0;
+    for (let bin = 1; bin < power.length; bin++) {
+        total += power[bin];
+        weighted += power[bin] * bin * binHz;
+        if (bin * binHz >= 3500) high += power[bin];
+    }
+    const centroid = total > 0 ? weighted / total : 0;
+
+    if (total > 0 && high / total > 0.5) {
+        const fricative = centroid > 4500 ? 'viseme_SS' : centroid > 3000 ? 'viseme_CH' : 'viseme_FF';
+        applyViseme(fricative, 0.4 + 0.4 * level);
+        return;
+    }
+
+    const f1 = spectralPeak(power, binHz, 250, 950);
+    const f2 = spectralPeak(power, binHz, Math.max(900, f1 + 250), 2700);
+    let vowel = AUDIO_VOWELS[0], bestDistance = Infinity;
+    for (const candidate of AUDIO_VOWELS) {
+        const distance = Math.log(f1 / candidate.f1) ** 2 + 0.6 * Math.log(f2 / candidate.f2) ** 2;
+        if (distance < bestDistance) { bestDistance = distance; vowel = candidate; }
+    }
+    applyViseme(vowel.viseme, 0.35 + 0.65 * level);
+    if (hasARKitMorphs) setMorph('jawOpen', level * 0.4);
+}
+
 function showSpeakingUI() {
     document.getElementById('waveform-container')?.classList.add('active');
     animateWaveform();
@@ -907,6 +1255,8 @@ function animate() {
         // 6. Body animation
         animateIdleBody(elapsedTime);
         if (isSpeaking) animateTalkingBody(elapsedTime, delta);
+        animateListeningPose(elapsedTime, delta);
+        animateGesture(elapsedTime, delta);
 
         // 7. Apply all accumulated morph targets with smoothing
         updateMorphTargets(delta);
@@ -945,56 +1295,298 @@ const autoSpeakToggle = document.getElementById('auto-speak-toggle');
 const voiceSelect = document.getElementById('voice-select');
 let voices = [];
 
+// Value of the voice-select option that speaks through POST /api/tts instead of the browser
+const SERVER_VOICE = '__server__';
+// ?lipsync=audio animates the server voice from its sound instead of its timeline
+const LIP_SYNC_PREFERENCE = new URLSearchParams(window.location.search).get('lipsync');
+
+// ─── Conversation language ──────────────────────────────────────────────
+// Picked in the header, or 'auto' to follow the language the user writes in:
+// the server detects it and tags its reply with `lang`. The conversation
+// language chooses the voice, the speech-recognition language and the
+// lip-sync rules. Browser speech recognition can't detect a language by
+// itself, so in auto mode it listens for the language last used.
+const LANGUAGE_KEY = 'nova.language';
+// Speech recognition wants a regional tag; used when the browser's own languages don't say
+const DEFAULT_REGIONS = { en: 'en-US', es: 'es-ES', de: 'de-DE', fr: 'fr-FR', hi: 'hi-IN' };
+const languageSelect = document.getElementById('language-select');
+
+let languageChoice = localStorage.getItem(LANGUAGE_KEY) || 'auto';
+let conversationLang = languageChoice === 'auto' ? persona.voice.lang || 'en' : languageChoice;
+
+function languageCode(tag) {
+    return String(tag || '').toLowerCase().split(/[-_]/)[0];
+}
+
+/** The conversation language as a regional tag for speech recognition ("es" → "es-ES"). */
+function recognitionLang() {
+    if (conversationLang.includes('-')) return conversationLang;
+    const code = languageCode(conversationLang);
+    return navigator.languages?.find(tag => tag.includes('-') && languageCode(tag) === code)
+        || DEFAULT_REGIONS[code] || conversationLang;
+}
+
+/**
+ * The persona's voice for a language: one of its preferred voices, else one
+ * matching its keyword (e.g. female voices for a female avatar), else any.
+ */
+function bestVoiceFor(lang) {
+    const code = languageCode(lang);
+    const { preferred = [], keyword } = persona.voice;
+    const candidates = voices.filter(v => languageCode(v.lang) === code);
+    return candidates.find(v => preferred.some(name => v.name.includes(name)))
+        || candidates.find(v => keyword && v.name.includes(keyword))
+        || candidates.find(v => v.lang === recognitionLang())
+        || candidates[0] || null;
+}
+
+/** Move the conversation to `lang` (BCP 47); the voice switches if it can't speak it. */
+function setConversationLanguage(lang) {
+    if (!lang || lang === conversationLang) return;
+    const changed = languageCode(lang) !== languageCode(conversationLang);
+    conversationLang = lang;
+    if (!usingServerVoice() && languageCode(selectedVoice()?.lang) !== languageCode(lang)) {
+        const voice = bestVoiceFor(lang);
+        if (voice) voiceSelect.value = voice.name;
+        else console.warn(`⚠️ No ${getLanguage(lang).name} voice installed in this browser`);
+    }
+    if (changed) console.log(`🌐 Conversation language: ${getLanguage(lang).name}`);
+}
+
+if (languageSelect) {
+    for (const code of LANGUAGE_CODES) {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = getLanguage(code).name;
+        languageSelect.appendChild(option);
+    }
+    languageSelect.value = languageChoice;
+    if (!languageSelect.value) languageSelect.value = languageChoice = 'auto';
+    languageSelect.addEventListener('change', () => {
+        languageChoice = languageSelect.value;
+        localStorage.setItem(LANGUAGE_KEY, languageChoice);
+        if (languageChoice !== 'auto') setConversationLanguage(languageChoice);
+    });
+}
+
 function populateVoiceList() {
     voices = window.speechSynthesis.getVoices();
+    const previous = voiceSelect.value;
     voiceSelect.innerHTML = '';
-    // Prefer female voices to match the female avatar character
-    const preferred = voices.filter(v =>
-        v.name.includes('Google UK English Female') ||
-        v.name.includes('Google US English') ||
-        v.name.includes('Microsoft Zira') ||
-        v.name.includes('Samantha') ||
-        v.name.includes('Karen') ||
-        v.name.includes('Victoria') ||
-        (v.name.includes('Female') && v.lang.startsWith('en'))
-    );
-    voices.sort((a, b) => {
-        const ap = preferred.includes(a), bp = preferred.includes(b);
-        return ap === bp ? 0 : ap ? -1 : 1;
-    });
-    let selectedSet = false;
+    // Voices in the conversation language first, the persona's choice among them on top
+    const best = bestVoiceFor(conversationLang);
+    const rank = v => v === best ? 0 : languageCode(v.lang) === languageCode(conversationLang) ? 1 : 2;
+    voices.sort((a, b) => rank(a) - rank(b));
     voices.forEach(v => {
         const o = document.createElement('option');
         o.textContent = `${v.name} (${v.lang})`;
         o.value = v.name;
-        if (!selectedSet && preferred.includes(v)) { o.selected = true; selectedSet = true; }
+        if (v === best) o.selected = true;
         voiceSelect.appendChild(o);
     });
+    const server = document.createElement('option');
+    server.textContent = 'Server voice (exact lip sync)';
+    server.value = SERVER_VOICE;
+    voiceSelect.appendChild(server);
+    // Rebuilding the list (voiceschanged) must not lose the user's choice
+    if ([...voiceSelect.options].some(o => o.value === previous)) voiceSelect.value = previous;
 }
 populateVoiceList();
 if (speechSynthesis.onvoiceschanged !== undefined) speechSynthesis.onvoiceschanged = populateVoiceList;
 
-function speak(text, phonemeData) {
+function selectedVoice() {
+    return voices.find(v => v.name === voiceSelect.value) || voices[0];
+}
+
+function usingServerVoice() {
+    return voiceSelect.value === SERVER_VOICE;
+}
+
+/** Language of the voice Nova speaks with; also selects the server's lip-sync rules. */
+function speechLang() {
+    if (usingServerVoice()) return conversationLang;
+    return selectedVoice()?.lang || conversationLang;
+}
+
+// ─── Voice calibration ──────────────────────────────────────────────────
+// Every voice speaks at its own pace, so the server's timeline is only a
+// prediction. After each utterance the real length (onstart → onend) is
+// compared with the timeline's and a per-voice factor is nudged towards the
+// ratio; it is sent with every request so timelines converge on the audio.
+const CALIBRATION_KEY = 'nova.voiceCalibration';
+const CALIBRATION_SMOOTHING = 0.3;
+const CALIBRATION_MIN_SECONDS = 0.8;
+let voiceCalibrations = {};
+try {
+    voiceCalibrations = JSON.parse(localStorage.getItem(CALIBRATION_KEY)) || {};
+} catch {
+    voiceCalibrations = {};
+}
+
+function voiceCalibration() {
+    // Server audio is rendered from the timeline itself, nothing to learn
+    if (usingServerVoice()) return 1;
+    return voiceCalibrations[selectedVoice()?.name] || 1;
+}
+
+/** Timeline options sent with every request that returns phoneme data. */
+function timingParams() {
+    return { lang: speechLang(), rate: persona.voice.rate, calibration: voiceCalibration() };
+}
+
+function learnCalibration(voiceName, phonemeData, seconds) {
+    const predicted = phonemeData?.totalDuration;
+    if (!voiceName || !predicted || seconds < CALIBRATION_MIN_SECONDS) return;
+    // Ratio against the timeline as it was generated (with its calibration applied)
+    const observed = (phonemeData.calibration || 1) * seconds / predicted;
+    if (observed < 0.5 || observed > 2) return; // interrupted or stalled, not a real measurement
+
+    const current = voiceCalibrations[voiceName] || 1;
+    const next = current + (observed - current) * CALIBRATION_SMOOTHING;
+    voiceCalibrations[voiceName] = Math.round(next * 1000) / 1000;
+    try {
+        localStorage.setItem(CALIBRATION_KEY, JSON.stringify(voiceCalibrations));
+    } catch {
+        // Storage may be unavailable (private mode); keep the factor for this page
+    }
+}
+
+// ─── Server voice ───────────────────────────────────────────────────────
+// POST /api/tts returns WAV audio plus the timeline it was rendered from; the
+// audio plays through Web Audio and lip sync reads the same audio clock.
+let audioContext = null;
+let playbackSource = null; // Web Audio source now playing (server voice or a dropped clip)
+
+function getAudioContext() {
+    audioContext ??= new (window.AudioContext || window.webkitAudioContext)();
+    if (audioContext.state === 'suspended') audioContext.resume();
+    return audioContext;
+}
+
+function base64ToArrayBuffer(base64) {
+    const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    return bytes.buffer;
+}
+
+function stopPlayback() {
+    const source = playbackSource;
+    if (!source) return;
+    // Cleared first so the pending speak() sees it was stopped, not finished
+    playbackSource = null;
+    try { source.stop(); } catch { /* not started yet or already stopped */ }
+}
+
+// Bumped by stopSpeech(), so speech still being fetched knows it was cancelled
+let speechEpoch = 0;
+
+// How far the utterance now playing has got (0–1), for barge-in reports
+let utteranceProgress = () => 0;
+
+/** Stop whatever Nova is saying, on either voice path. */
+function stopSpeech() {
+    speechEpoch++;
+    window.speechSynthesis.cancel();
+    stopPlayback();
+    stopLipSync();
+}
+
+async function speakWithServerVoice(text, phonemeData, keyframes) {
+    const epoch = speechEpoch;
+    const response = await fetch('/api/tts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text, persona: persona.id, ...timingParams(), pitch: persona.voice.pitch }),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+
+    const context = getAudioContext();
+    const buffer = await context.decodeAudioData(base64ToArrayBuffer(data.audio));
+    if (epoch !== speechEpoch) return; // stopped while the audio was on its way
+    window.speechSynthesis.cancel();
+    stopPlayback();
+
+    // Emotion keyframes were timed against the chat reply's timeline; fit them to this audio
+    const scale = phonemeData?.totalDuration ? data.totalDuration / phonemeData.totalDuration : 1;
+    const fitted = keyframes?.map(k => ({ ...k, time: k.time * scale })) || null;
+
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(context.destination);
+    playbackSource = source;
+
+    const startAt = context.currentTime + 0.05;
+    showSubtitle(data.text);
+    source.start(startAt);
+    utteranceProgress = () => Math.min(1, Math.max(0, (context.currentTime - startAt) / buffer.duration));
+    if (LIP_SYNC_PREFERENCE === 'audio') startAudioLipSync(source);
+    else startLipSyncFromTimeline(data, fitted, () => context.currentTime - startAt);
+    console.log(`🔊 Server voice (${data.engine}) started`);
+
+    await new Promise((resolve) => { source.onended = resolve; });
+    if (playbackSource !== source) return; // stopped or replaced by newer speech
+    playbackSource = null;
+    stopLipSync();
+}
+
+function speak(text, phonemeData, keyframes) {
+    // No server timeline (chat failed, or a static deployment): build one here.
+    // Should that fail too, the browser voice lip-syncs from its word boundaries
+    if (!phonemeData?.phonemes?.length) {
+        try {
+            phonemeData = generatePhonemeData(text, timingParams());
+        } catch (error) {
+            console.warn('⚠️ Could not build a phoneme timeline:', error.message);
+            phonemeData = null;
+        }
+    }
+
+    pauseHandsFree();
+    return speakWithVoice(text, phonemeData, keyframes).finally(resumeHandsFree);
+}
+
+function speakWithVoice(text, phonemeData, keyframes) {
+    if (autoSpeakToggle.checked && usingServerVoice()) {
+        return speakWithServerVoice(text, phonemeData, keyframes).catch((error) => {
+            console.warn('⚠️ Server voice failed, using the browser voice:', error.message);
+            return speakWithBrowserVoice(text, phonemeData, keyframes);
+        });
+    }
+    return speakWithBrowserVoice(text, phonemeData, keyframes);
+}
+
+function speakWithBrowserVoice(text, phonemeData, keyframes) {
     return new Promise((resolve) => {
         if (!autoSpeakToggle.checked) { resolve(); return; }
         window.speechSynthesis.cancel();
-
+        stopPlayback();
+
+        // The voice reads the same normalized words the timeline was built from,
+        // with lexicon respellings for names it would get wrong; the subtitle
+        // keeps the text as written
+        const caption = stripSsml(text);
+        const { text: spokenText, rate } = ssmlToSpeech(text, { lang: speechLang() });
+        text = applyRespellings(spokenText);
         const utt = new SpeechSynthesisUtterance(text);
-        utt.rate = 0.92;
-        utt.pitch = 1.12;
+        utt.rate = persona.voice.rate * rate;
+        utt.pitch = persona.voice.pitch;
         utt.volume = 1.0;
 
-        const selectedVoice = voices.find(v => v.name === voiceSelect.value) || voices[0];
-        if (selectedVoice) utt.voice = selectedVoice;
+        const voice = selectedVoice();
+        if (voice) utt.voice = voice;
+        const lang = speechLang();
 
-        showSubtitle(text);
+        showSubtitle(caption);
         let usedBoundary = false;
         let speechStarted = false;
+        let boundaryProgress = null;
 
-        // If server-provided phoneme timeline is available we IGNORE browser boundary
-        // events (they are unreliable across platforms) and use the timeline instead.
+        // If a phoneme timeline is available we IGNORE browser boundary events
+        // (they are unreliable across platforms) and use the timeline instead.
         utt.onboundary = (event) => {
-            if (phonemeData?.phonemes?.length) return; // prefer server timeline
+            // ...except to know how much has been said (the current word counts as heard)
+            if (event.name === 'word') boundaryProgress = (event.charIndex + (event.charLength || 0)) / text.length;
+            if (phonemeData?.phonemes?.length) return; // prefer the timeline
             if (event.name === 'word') {
                 // Start lip sync on FIRST word boundary — this ensures
                 // lips don't move before the voice is actually audible
@@ -1005,19 +1597,27 @@ function speak(text, phonemeData) {
                 const charLen = event.charLength || (text.indexOf(' ', event.charIndex) - event.charIndex);
                 const word = text.substr(event.charIndex, Math.max(charLen, 1) || 8);
                 if (word && word.trim()) {
-                    wordVisemeQueue = wordToVisemes(word.trim());
-                    wordVisemeStart = performance.now();
+                    try {
+                        wordTimeline = generatePhonemeData(word.trim(), { lang, rate: utt.rate });
+                    } catch {
+                        wordTimeline = null; // the word this timeline choked on stays unanimated
+                    }
+                    wordTimelineStart = performance.now();
                 }
             }
         };
 
+        let startedAt = 0;
         utt.onstart = () => {
             console.log('🔊 Speech started');
             speechStarted = true;
+            startedAt = performance.now();
+            utteranceProgress = () => boundaryProgress
+                ?? Math.min(1, (performance.now() - startedAt) / 1000 / (phonemeData?.totalDuration || Infinity));
 
-            // Prefer server phoneme timeline when available — start it exactly when audio starts
+            // Prefer the phoneme timeline when available — start it exactly when audio starts
             if (phonemeData?.phonemes?.length > 0) {
-                startLipSyncFromTimeline(phonemeData);
+                startLipSyncFromTimeline(phonemeData, keyframes);
                 usedBoundary = true;
                 return;
             }
@@ -1027,7 +1627,7 @@ function speak(text, phonemeData) {
                 if (!usedBoundary && speechStarted) {
                     console.log('⚠️ No boundary events — falling back to timeline lip sync');
                     if (phonemeData?.phonemes?.length > 0) {
-                        startLipSyncFromTimeline(phonemeData);
+                        startLipSyncFromTimeline(phonemeData, keyframes);
                     } else {
                         startLipSyncFallback();
                     }
@@ -1035,13 +1635,139 @@ function speak(text, phonemeData) {
             }, 400);
         };
 
-        utt.onend = () => { console.log('🔇 Speech ended'); stopLipSync(); resolve(); };
+        utt.onend = () => {
+            console.log('🔇 Speech ended');
+            if (startedAt) learnCalibration(voice?.name, phonemeData, (performance.now() - startedAt) / 1000);
+            stopLipSync();
+            resolve();
+        };
         utt.onerror = (e) => { console.error('Speech error:', e.error); stopLipSync(); resolve(); };
 
         window.speechSynthesis.speak(utt);
     });
 }
 
+// ─── Sentence queue (streamed replies) ──────────────────────────────────
+// Streamed sentences arrive faster than they can be spoken, so they are
+// played back one after another. Each item: { text, emotion, gestures, phonemes, keyframes, replyId },
+// where emotion is the sentence's { emotion, intensity, blend }.
+let speechQueue = [];
+let speechQueueDrain = null;
+
+// The stored reply being spoken, for barge-in reports: `words` counts the
+// sentences already finished, `current` is the queue item now playing
+let spokenReply = null; // { replyId, words, current }
+
+function beginReply(replyId) {
+    spokenReply = replyId ? { replyId, words: 0, current: null } : null;
+}
+
+function countWords(text) {
+    return stripSsml(text).split(/\s+/).filter(Boolean).length;
+}
+
+/** How much of the current reply has been heard: { replyId, spokenWords }, or null. */
+function spokenSoFar() {
+    if (!spokenReply) return null;
+    const { replyId, words, current } = spokenReply;
+    const partial = current ? Math.round(utteranceProgress() * countWords(current.text)) : 0;
+    return { replyId, spokenWords: words + partial };
+}
+
+function queueSpeech(item) {
+    speechQueue.push(item);
+    startBargeInMonitor();
+    if (!speechQueueDrain) speechQueueDrain = drainSpeechQueue();
+    return speechQueueDrain;
+}
+
+async function drainSpeechQueue() {
+    try {
+        while (speechQueue.length > 0) {
+            const item = speechQueue.shift();
+            const { text, emotion, gestures, phonemes, keyframes, replyId } = item;
+            if (replyId && spokenReply?.replyId === replyId) spokenReply.current = item;
+            utteranceProgress = () => 0;
+            try {
+                if (emotion) setEmotion(emotion);
+                playGestures(gestures);
+                await speak(text, phonemes, keyframes);
+            } catch (error) {
+                // Skip the sentence; the rest of the reply is still spoken
+                console.error('Speech error:', error);
+            }
+            if (spokenReply?.current === item) {
+                spokenReply.words += countWords(text);
+                spokenReply.current = null;
+            }
+        }
+    } finally {
+        speechQueueDrain = null;
+    }
+}
+
+function clearSpeechQueue() {
+    speechQueue = [];
+}
+
+/**
+ * Perform one of the persona's scripted lines (persona.scripts) exactly as
+ * written — the server times the SSML, speak() translates it for the voice.
+ */
+async function playScript(name) {
+    try {
+        const response = await fetch('/api/tts-data', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ persona: persona.id, script: name, ...timingParams() }),
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        await speak(persona.scripts[name], data);
+    } catch (error) {
+        // The text is on the persona, so the timeline can be built locally
+        console.warn(`⚠️ Script "${name}" timeline unavailable:`, error.message);
+        if (persona.scripts?.[name]) await speak(persona.scripts[name]);
+    }
+}
+
+/** Play a local audio file (e.g. dropped on the avatar) with audio-driven lip sync. */
+async function playAudioFile(file) {
+    stopSpeech();
+    pauseHandsFree();
+    try {
+        const context = getAudioContext();
+        const buffer = await context.decodeAudioData(await file.arrayBuffer());
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(context.destination);
+        playbackSource = source;
+        source.onended = () => {
+            if (playbackSource !== source) return;
+            playbackSource = null;
+            stopLipSync();
+            resumeHandsFree();
+        };
+        source.start();
+        startAudioLipSync(source);
+    } catch (error) {
+        console.error('Audio clip error:', error);
+        showNotification(`Could not play ${file.name}`, 'error');
+        resumeHandsFree();
+    }
+}
+
+const avatarSection = document.getElementById('avatar-section');
+avatarSection?.addEventListener('dragover', (e) => {
+    if ([...e.dataTransfer.items].some(item => item.type.startsWith('audio/'))) e.preventDefault();
+});
+avatarSection?.addEventListener('drop', (e) => {
+    const file = [...e.dataTransfer.files].find(f => f.type.startsWith('audio/'));
+    if (!file) return;
+    e.preventDefault();
+    playAudioFile(file);
+});
+
 const subtitleOverlay = document.getElementById('subtitle-overlay');
 const subtitleText = document.getElementById('subtitle-text');
 function showSubtitle(text) {
@@ -1054,15 +1780,24 @@ function hideSubtitle() { subtitleOverlay?.classList.remove('active'); }
 // SECTION 9 — Voice Input
 // ═══════════════════════════════════════════════════════════════════════════
 const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+// Without it, the mic is streamed to the server instead (see createServerRecognition()),
+// provided the server has a real recognizer: its stand-in only knows sample phrases
+const serverRecognitionAvailable = !SpeechRecognition
+    && Boolean(window.MediaRecorder && navigator.mediaDevices?.getUserMedia)
+    && await serverHasRecognizer();
 let recognition = null, isListening = false;
+let resultsHandled = 0; // final results of this recognition session already taken
 const micButton = document.getElementById('mic-button');
+const handsFreeButton = document.getElementById('hands-free-button');
 
-if (SpeechRecognition) {
-    recognition = new SpeechRecognition();
+if (SpeechRecognition || serverRecognitionAvailable) {
+    recognition = SpeechRecognition ? new SpeechRecognition() : createServerRecognition();
     recognition.continuous = false;
     recognition.interimResults = true;
-    recognition.lang = 'en-US';
+    recognition.lang = recognitionLang();
+    recognition.onstart = () => { resultsHandled = 0; };
     recognition.onresult = (e) => {
+        if (handsFree) { onHandsFreeResult(e); return; }
         let finalT = '', interimT = '';
         for (let i = e.resultIndex; i < e.results.length; i++) {
             const t = e.results[i][0].transcript;
@@ -1071,24 +1806,490 @@ if (SpeechRecognition) {
         if (interimT) chatInput.value = interimT;
         if (finalT) { chatInput.value = finalT; sendMessage(); stopListening(); }
     };
-    recognition.onerror = () => stopListening();
+    recognition.onerror = (e) => {
+        // Hands-free sessions end on silence; onend starts a new one
+        if (handsFree && (e.error === 'no-speech' || e.error === 'aborted')) return;
+        if (handsFree) {
+            console.warn('⚠️ Hands-free mode stopped:', e.error);
+            showNotification(`Hands-free mode stopped (${e.error})`, 'warning');
+            setHandsFree(false);
+        }
+        stopListening();
+    };
     recognition.onend = () => { if (isListening) try { recognition.start(); } catch { stopListening(); } };
-    micButton.addEventListener('click', () => isListening ? stopListening() : startListening());
+    // The mic button is push-to-talk, so it also leaves hands-free mode
+    micButton.addEventListener('click', () => {
+        if (handsFree) setHandsFree(false);
+        else if (isListening) stopListening();
+        else startListening();
+    });
+    handsFreeButton?.addEventListener('click', () => setHandsFree(!handsFree));
 } else {
     micButton.style.display = 'none';
+    if (handsFreeButton) handsFreeButton.style.display = 'none';
 }
 
-function startListening() {
+function startListening({ awaitWake = false } = {}) {
     if (!recognition) return;
-    try { recognition.start(); isListening = true; micButton.classList.add('mic-active'); chatInput.placeholder = '🎙️ Listening...'; }
-    catch (e) { console.error(e); }
+    recognition.continuous = handsFree;
+    recognition.lang = recognitionLang();
+    awaitingWake = handsFree && awaitWake;
+    resetTurn();
+    isListening = true;
+    micButton.classList.add('mic-active');
+    chatInput.placeholder = listeningPrompt();
+    try {
+        recognition.start();
+    } catch (e) {
+        // Still shutting down the previous session: onend starts this one
+        if (e.name !== 'InvalidStateError') { console.error(e); stopListening(); }
+    }
 }
 function stopListening() {
     if (!recognition) return;
     isListening = false;
+    clearTimeout(endOfTurnTimer);
     try { recognition.stop(); } catch {}
     micButton.classList.remove('mic-active');
-    chatInput.placeholder = 'Type your message...';
+    chatInput.placeholder = `Message ${persona.name}`;
+}
+
+// ─── Hands-free ─────────────────────────────────────────────────────────
+// Continuous conversation without the mic button. The mic stays open between
+// turns and a pause in the user's speech ends their turn. With the wake phrase
+// on ("Hey Nova", or the persona's wakePhrase), the first turn — and any turn
+// after a quiet spell — must start with it. Listening pauses whenever Nova
+// speaks (see speak()), so her own voice is never transcribed, and picks up
+// again shortly after she stops; talking over her is barge-in's job.
+// ?handsfree=on starts in this mode; ?wake=off drops the wake phrase.
+const handsFreeParams = new URLSearchParams(window.location.search);
+const WAKE_PHRASE_ENABLED = handsFreeParams.get('wake') !== 'off';
+const WAKE_PHRASE = persona.wakePhrase || `Hey ${persona.name}`;
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const WAKE_PATTERN = new RegExp(
+    `(?:^|\\s)${WAKE_PHRASE.trim().split(/\s+/).map(escapeRegExp).join('[\\s,.!]+')}(?=[\\s,.!?]|$)[\\s,.!?]*`,
+    'i',
+);
+const END_OF_TURN_MS = 1200;
+const END_OF_TURN_TRAILING_MS = 2600; // after "and…", "um…" the user probably isn't done
+const TRAILING_WORDS = /\b(?:and|or|but|so|because|um+|uh+|er|the|a|an|to|of|with|if)[\s,]*$/i;
+const RESUME_DELAY_MS = 600;          // lets the tail of Nova's voice and room echo die down
+const FOLLOW_UP_MS = 8000;            // how long after a reply the wake phrase isn't needed
+
+let handsFree = false, awaitingWake = false;
+let turnFinal = '', turnInterim = '';
+let endOfTurnTimer = null, resumeTimer = null, followUpTimer = null;
+
+function listeningPrompt() {
+    return awaitingWake ? `Say "${WAKE_PHRASE}" to talk` : '🎙️ Listening...';
+}
+
+function resetTurn() {
+    turnFinal = '';
+    turnInterim = '';
+    clearTimeout(endOfTurnTimer);
+}
+
+function setHandsFree(on) {
+    handsFree = on;
+    handsFreeButton?.classList.toggle('hands-free-active', on);
+    if (handsFreeButton) handsFreeButton.title = on ? 'Leave hands-free mode' : 'Hands-free conversation';
+    clearTimeout(resumeTimer);
+    clearTimeout(followUpTimer);
+    if (isListening) stopListening();
+    if (on && !isSpeaking && !isProcessing) startListening({ awaitWake: WAKE_PHRASE_ENABLED });
+    console.log(on ? `👂 Hands-free mode on${WAKE_PHRASE_ENABLED ? ` — say "${WAKE_PHRASE}"` : ''}` : '👂 Hands-free mode off');
+}
+
+function onHandsFreeResult(e) {
+    if (!isListening) return; // paused for Nova's voice: anything still arriving is her
+    turnInterim = '';
+    for (let i = Math.min(e.resultIndex, resultsHandled); i < e.results.length; i++) {
+        const { transcript } = e.results[i][0];
+        if (!e.results[i].isFinal) turnInterim += transcript;
+        else if (i >= resultsHandled) { turnFinal += ` ${transcript}`; resultsHandled = i + 1; }
+    }
+
+    if (awaitingWake) {
+        // Only finished phrases are checked, and anything before the wake phrase is dropped
+        const wake = WAKE_PATTERN.exec(turnFinal);
+        if (!wake) { turnFinal = ''; return; }
+        turnFinal = turnFinal.slice(wake.index + wake[0].length);
+        awaitingWake = false;
+        chatInput.placeholder = listeningPrompt();
+        playGesture('nod');
+        console.log('👂 Wake phrase heard');
+    }
+
+    const text = `${turnFinal} ${turnInterim}`.replace(/\s+/g, ' ').trim();
+    clearTimeout(endOfTurnTimer);
+    if (!text) return;
+    clearTimeout(followUpTimer);
+    chatInput.value = text;
+    endOfTurnTimer = setTimeout(endTurn, TRAILING_WORDS.test(text) ? END_OF_TURN_TRAILING_MS : END_OF_TURN_MS);
+}
+
+/** The user has stopped talking: send what they said. */
+function endTurn() {
+    resetTurn();
+    if (isListening && chatInput.value.trim()) sendMessage();
+}
+
+/** Close the mic while Nova speaks, so hands-free mode doesn't hear her. */
+function pauseHandsFree() {
+    clearTimeout(resumeTimer);
+    clearTimeout(followUpTimer);
+    if (handsFree && isListening) stopListening();
+}
+
+/** Reopen the mic once Nova is done — a reply, a script or the whole chat turn. */
+function resumeHandsFree() {
+    if (!handsFree) return;
+    clearTimeout(resumeTimer);
+    resumeTimer = setTimeout(() => {
+        if (!handsFree || isListening || isSpeaking || isProcessing || speechQueueDrain) return;
+        startListening();
+        if (!WAKE_PHRASE_ENABLED) return;
+        followUpTimer = setTimeout(() => {
+            if (!isListening || chatInput.value.trim()) return;
+            awaitingWake = true;
+            chatInput.placeholder = listeningPrompt();
+        }, FOLLOW_UP_MS);
+    }, RESUME_DELAY_MS);
+}
+
+// ─── Barge-in ───────────────────────────────────────────────────────────
+// While a reply plays, the microphone is watched for the user's voice (only
+// once mic access has been granted — it never asks on its own). Talking over
+// Nova stops her, tells the server how much of the reply was heard, and starts
+// listening. Echo cancellation keeps most of her own voice out of the mic and
+// the level threshold is measured with her already speaking; headphones avoid
+// the problem entirely. ?bargein=off turns it off.
+const BARGE_IN_ENABLED = new URLSearchParams(window.location.search).get('bargein') !== 'off';
+const VAD_INTERVAL_MS = 30;
+const VAD_CALIBRATION_MS = 300;  // noise floor (room + Nova's leakage) is measured first
+const VAD_SUSTAIN_MS = 250;      // this much continuous voice counts as talking
+const VAD_MIN_LEVEL = 0.02;      // RMS
+const VAD_FLOOR_RATIO = 3;
+
+let vadStream = null, vadSource = null, vadTimer = null, vadStarting = false;
+
+async function micPermissionGranted() {
+    try {
+        return (await navigator.permissions.query({ name: 'microphone' })).state === 'granted';
+    } catch {
+        return false; // not queryable (e.g. Firefox) — don't risk a prompt
+    }
+}
+
+async function startBargeInMonitor() {
+    if (!BARGE_IN_ENABLED || vadTimer || vadStarting || isListening || !navigator.mediaDevices?.getUserMedia) return;
+    vadStarting = true;
+    try {
+        if (!(await micPermissionGranted())) return;
+        vadStream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: false },
+        });
+    } catch (error) {
+        console.warn('⚠️ Barge-in unavailable:', error.message);
+        return;
+    } finally {
+        vadStarting = false;
+    }
+    // The reply may have ended, or been interrupted, while the mic was opening
+    if (!isProcessing) { stopBargeInMonitor(); return; }
+
+    const context = getAudioContext();
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 1024;
+    vadSource = context.createMediaStreamSource(vadStream);
+    vadSource.connect(analyser);
+    const samples = new Float32Array(analyser.fftSize);
+
+    const openedAt = performance.now();
+    let floor = 0, floorFrames = 0, voicedSince = 0;
+    vadTimer = setInterval(() => {
+        const level = micLevel(analyser, samples);
+        const now = performance.now();
+
+        if (now - openedAt < VAD_CALIBRATION_MS) {
+            floor = (floor * floorFrames + level) / ++floorFrames;
+            return;
+        }
+        if (level < Math.max(VAD_MIN_LEVEL, floor * VAD_FLOOR_RATIO)) {
+            voicedSince = 0;
+            floor = floor * 0.95 + level * 0.05; // follow the room while it's quiet
+            return;
+        }
+        voicedSince ||= now;
+        if (now - voicedSince >= VAD_SUSTAIN_MS) {
+            console.log('✋ Barge-in: user started talking');
+            bargeIn();
+            startListening();
+        }
+    }, VAD_INTERVAL_MS);
+}
+
+/** RMS level of the analyser's current input; `samples` is reused between calls. */
+function micLevel(analyser, samples) {
+    analyser.getFloatTimeDomainData(samples);
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+    return Math.sqrt(sum / samples.length);
+}
+
+function stopBargeInMonitor() {
+    clearInterval(vadTimer);
+    vadTimer = null;
+    vadSource?.disconnect();
+    vadSource = null;
+    vadStream?.getTracks().forEach(track => track.stop());
+    vadStream = null;
+}
+
+/**
+ * Interrupt Nova mid-reply: stop the voice and lip sync, drop the rest of the
+ * reply, and report how far she got so the stored turn matches what was said.
+ */
+function bargeIn() {
+    const heard = spokenSoFar();
+    spokenReply = null;
+    chatAbort?.abort();
+    clearSpeechQueue();
+    stopSpeech();
+    stopBargeInMonitor();
+    if (heard) reportInterruption(heard);
+}
+
+async function reportInterruption({ replyId, spokenWords }) {
+    try {
+        const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}/interrupt`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ replyId, spokenWords }),
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        console.log(`✋ Reply cut after ${spokenWords} spoken words`);
+    } catch (error) {
+        console.warn('⚠️ Could not report the interruption:', error.message);
+    }
+}
+
+// ─── Server speech recognition ──────────────────────────────────────────
+// Stands in for SpeechRecognition where the browser has none (Firefox, ...),
+// with the same surface used above: lang, continuous, interimResults,
+// start()/stop()/abort() and onstart/onresult/onerror/onend. Each utterance is
+// recorded with MediaRecorder and its chunks are posted to /api/stt as they
+// come; the mic level tells when the user starts and stops talking. Audio is
+// only uploaded once there is voice in it.
+const STT_CHUNK_MS = 500;
+const STT_SILENCE_MS = 900;          // this much quiet after speech ends the utterance
+const STT_IDLE_RESTART_MS = 5000;    // a recording with no voice yet is thrown away and restarted
+const STT_NO_SPEECH_MS = 8000;       // single-utterance sessions give up after this
+
+/** Does GET /api/stt report a recognizer that hears words (not the stand-in)? */
+async function serverHasRecognizer() {
+    try {
+        const response = await fetch('/api/stt');
+        return response.ok && (await response.json()).standIn === false;
+    } catch {
+        return false;
+    }
+}
+
+function createServerRecognition() {
+    let running = false, finishing = false;
+    let micStream = null, micSource = null, levelTimer = null;
+    let utterance = null;  // { id, recorder, pending, voiced, index, startedAt, sending }
+    let results = [];
+    let startedAt = 0;
+
+    const recognition = {
+        lang: 'en-US',
+        continuous: false,
+        interimResults: true,
+        onstart: null,
+        onresult: null,
+        onerror: null,
+        onend: null,
+
+        start() {
+            if (running) throw new DOMException('Recognition has already started', 'InvalidStateError');
+            running = true;
+            open().catch((error) => {
+                console.warn('⚠️ Microphone unavailable:', error.message);
+                fail(error.name === 'NotAllowedError' ? 'not-allowed' : 'audio-capture');
+            });
+        },
+
+        stop() {
+            if (running) finish();
+        },
+
+        abort() {
+            if (running) end();
+        },
+    };
+
+    async function open() {
+        micStream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: true, noiseSuppression: true },
+        });
+        if (!running) { end(); return; }
+
+        const context = getAudioContext();
+        const analyser = context.createAnalyser();
+        analyser.fftSize = 1024;
+        micSource = context.createMediaStreamSource(micStream);
+        micSource.connect(analyser);
+        const samples = new Float32Array(analyser.fftSize);
+
+        results = [];
+        startedAt = performance.now();
+        recognition.onstart?.();
+        beginUtterance();
+
+        let floor = 0, voicedSince = 0, quietSince = 0, heardAnything = false;
+        levelTimer = setInterval(() => {
+            const level = micLevel(analyser, samples);
+            const now = performance.now();
+            if (level >= Math.max(VAD_MIN_LEVEL, floor * VAD_FLOOR_RATIO)) {
+                quietSince = 0;
+                voicedSince ||= now;
+                if (!utterance.voiced && now - voicedSince >= VAD_SUSTAIN_MS) {
+                    utterance.voiced = true;
+                    utterance.index = results.length;
+                    results.push(null); // reserved until its first transcript
+                    heardAnything = true;
+                    send(utterance);
+                }
+            } else {
+                voicedSince = 0;
+                quietSince ||= now;
+                floor = floor * 0.95 + level * 0.05;
+            }
+
+            if (utterance.voiced && quietSince && now - quietSince >= STT_SILENCE_MS) {
+                if (!recognition.continuous) { finish(); return; }
+                const done = utterance;
+                beginUtterance();
+                closeUtterance(done).catch(() => fail('network'));
+            } else if (!utterance.voiced && now - utterance.startedAt >= STT_IDLE_RESTART_MS) {
+                if (!recognition.continuous && !heardAnything && now - startedAt >= STT_NO_SPEECH_MS) {
+                    fail('no-speech');
+                    return;
+                }
+                const idle = utterance;
+                beginUtterance();
+                stopRecorder(idle.recorder);
+            }
+        }, VAD_INTERVAL_MS);
+    }
+
+    function beginUtterance() {
+        const recorder = new MediaRecorder(micStream);
+        const current = {
+            id: `stt_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            recorder,
+            pending: [],
+            voiced: false,
+            index: -1,
+            startedAt: performance.now(),
+            sending: Promise.resolve(),
+        };
+        recorder.ondataavailable = (e) => {
+            if (e.data.size === 0) return;
+            current.pending.push(e.data);
+            if (current.voiced && current === utterance) send(current);
+        };
+        recorder.start(STT_CHUNK_MS);
+        utterance = current;
+    }
+
+    function stopRecorder(recorder) {
+        if (recorder.state === 'inactive') return Promise.resolve();
+        return new Promise((resolve) => {
+            recorder.onstop = resolve;
+            recorder.stop();
+        });
+    }
+
+    // Post the chunks not sent yet, after the posts already on their way
+    function send(current, final = false) {
+        const type = current.recorder.mimeType || 'application/octet-stream';
+        const body = new Blob(current.pending, { type });
+        current.pending = [];
+        current.sending = current.sending.then(async () => {
+            const params = new URLSearchParams({ stream: current.id, lang: recognition.lang });
+            if (final) params.set('final', '1');
+            const response = await fetch(`/api/stt?${params}`, { method: 'POST', headers: { 'Content-Type': type }, body });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+            deliver(current, data);
+        });
+        if (!final) current.sending.catch(() => fail('network'));
+        return current.sending;
+    }
+
+    function deliver(current, { results: [result] }) {
+        if (!running || current.index < 0) return;
+        const { transcript = '', confidence = null } = result.alternatives[0] || {};
+        if (!result.isFinal && (!recognition.interimResults || !transcript)) return;
+        results[current.index] = Object.assign([{ transcript, confidence }], { isFinal: result.isFinal });
+        // Earlier utterances still waiting for their first transcript count as empty for now
+        const snapshot = results.map(r => r || Object.assign([{ transcript: '', confidence: null }], { isFinal: false }));
+        recognition.onresult?.({ resultIndex: current.index, results: snapshot });
+    }
+
+    async function closeUtterance(current) {
+        await stopRecorder(current.recorder);
+        if (current.voiced) await send(current, true);
+    }
+
+    async function finish() {
+        if (finishing) return;
+        finishing = true;
+        clearInterval(levelTimer);
+        levelTimer = null;
+        const last = utterance;
+        utterance = null;
+        try {
+            if (last) await closeUtterance(last);
+        } catch (error) {
+            console.warn('⚠️ Speech recognition failed:', error.message);
+            fail('network');
+            return;
+        }
+        end();
+    }
+
+    function fail(error) {
+        if (!running) return;
+        release();
+        recognition.onerror?.({ error });
+        end();
+    }
+
+    function release() {
+        clearInterval(levelTimer);
+        levelTimer = null;
+        if (utterance) stopRecorder(utterance.recorder);
+        utterance = null;
+        micSource?.disconnect();
+        micSource = null;
+        micStream?.getTracks().forEach(track => track.stop());
+        micStream = null;
+    }
+
+    function end() {
+        if (!running) return;
+        release();
+        running = false;
+        finishing = false;
+        recognition.onend?.();
+    }
+
+    return recognition;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -1102,57 +2303,438 @@ const emotionBadge = document.getElementById('emotion-badge');
 const thinkingIndicator = document.getElementById('thinking-indicator');
 
 let isProcessing = false;
+let chatTurn = null;   // the sendMessage() turn in progress
+let chatAbort = null;  // aborts its request on barge-in
 const sessionId = 'session_' + Date.now();
 
 updateStatus('Online');
 
 async function sendMessage() {
     const message = chatInput.value.trim();
-    if (!message || isProcessing) return;
+    if (!message) return;
+    if (isProcessing) {
+        // Sending while Nova is answering talks over her
+        bargeIn();
+        await chatTurn;
+        if (isProcessing) return; // another message got in first
+    }
     if (isListening) stopListening();
-    window.speechSynthesis.cancel();
-    stopLipSync();
+    clearSpeechQueue();
+    stopSpeech();
 
     isProcessing = true;
-    sendButton.disabled = true;
     chatInput.value = '';
 
     addMessage(message, 'user');
     showThinking(true);
     const typingEl = addTypingIndicator();
+    const abort = chatAbort = new AbortController();
+
+    chatTurn = (async () => {
+        try {
+            // The realtime channel when connected, else the SSE stream, else a single request
+            const answered = await realtimeChat(message, typingEl, abort.signal)
+                || await streamChat(message, typingEl, abort.signal);
+            if (!answered) await requestChat(message, typingEl, abort.signal);
+        } catch (error) {
+            typingEl.remove();
+            showThinking(false);
+            if (error.name === 'AbortError') return; // barge-in
+            console.error('Chat error:', error);
+            addMessage("Sorry, I couldn't connect to the server. Please check if it's running.", 'assistant');
+        } finally {
+            spokenReply = null;
+            stopBargeInMonitor();
+            isProcessing = false;
+            chatAbort = null;
+            chatInput.focus();
+            resumeHandsFree();
+        }
+    })();
+    await chatTurn;
+}
+
+function notifyResponseMode(data) {
+    // Notify user if server is using demo / rate-limited responses
+    if (data.rateLimited) showNotification('AI provider unavailable — using demo responses', 'warning');
+    if (data.demo) showNotification('AI provider not configured — running demo mode', 'warning');
+}
 
+/**
+ * Single-shot request: waits for the full reply, then speaks it.
+ */
+async function requestChat(message, typingEl, signal) {
+    const response = await fetch('/api/chat', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message, sessionId, persona: persona.id, language: languageChoice, ...timingParams() }),
+        signal,
+    });
+    const data = await response.json();
+    typingEl.remove();
+    showThinking(false);
+    notifyResponseMode(data);
+
+    if (data.error) {
+        addMessage('Sorry, I encountered an error. Please try again.', 'assistant');
+        return;
+    }
+    const messageEl = addMessage(data.response, 'assistant');
+    addToolsNote(messageEl, data.tools);
+    addSourcesNote(messageEl, data.sources);
+    setConversationLanguage(data.lang);
+    beginReply(data.replyId);
+    const { emotion, intensity, blend } = data;
+    await queueSpeech({
+        text: data.response,
+        emotion: { emotion, intensity, blend },
+        gestures: data.gestures,
+        phonemes: data.phonemes,
+        keyframes: data.emotionKeyframes,
+        replyId: data.replyId,
+    });
+    emotionTimeout = setTimeout(() => setEmotion('neutral'), 3000);
+}
+
+/**
+ * Streaming request: speaks each sentence as soon as the server emits it.
+ * Returns false when streaming is unavailable so the caller can fall back.
+ */
+async function streamChat(message, typingEl, signal) {
+    let response;
     try {
-        const response = await fetch('/api/chat', {
+        response = await fetch('/api/chat/stream', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ message, sessionId }),
+            body: JSON.stringify({ message, sessionId, persona: persona.id, language: languageChoice, ...timingParams() }),
+            signal,
         });
-        const data = await response.json();
-        typingEl.remove();
-        showThinking(false);
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        return false;
+    }
+    const isEventStream = response.headers.get('Content-Type')?.includes('text/event-stream');
+    if (!response.ok || !isEventStream || !response.body) return false;
+
+    const reply = createReplyView(typingEl);
+    let replyId = null;
+    let failed = false;
+
+    await readEventStream(response, (event, data) => {
+        if (event === 'start') {
+            notifyResponseMode(data);
+            setConversationLanguage(data.lang);
+            ({ replyId } = data);
+            beginReply(replyId);
+        } else if (event === 'sentence') {
+            reply.addSentence(data, replyId);
+        } else if (event === 'tool') {
+            if (data.phase === 'start') showToolActivity(data.status);
+            else hideToolActivity();
+        } else if (event === 'done') {
+            reply.addNotes(data);
+        } else if (event === 'error') {
+            failed = true;
+        }
+    });
+    await reply.finish(failed);
+    return true;
+}
 
-        // Notify user if server is using demo / rate-limited responses
-        if (data.rateLimited) showNotification('Gemini API rate-limited — using demo responses', 'warning');
-        if (data.demo) showNotification('Gemini API key not set — running demo mode', 'warning');
+/**
+ * The assistant message a streamed reply is written into, sentence by
+ * sentence, each sentence being queued for speech as it arrives.
+ */
+function createReplyView(typingEl) {
+    let messageEl = null;
+    let replyText = '';
+
+    return {
+        addSentence({ text, emotion, intensity, blend, gestures, phonemes, emotionKeyframes }, replyId) {
+            if (!messageEl) {
+                typingEl.remove();
+                showThinking(false);
+                messageEl = addMessage('', 'assistant');
+            }
+            replyText = replyText ? `${replyText} ${text}` : text;
+            messageEl.querySelector('.message-content p').textContent = replyText;
+            chatMessages.scrollTop = chatMessages.scrollHeight;
+            queueSpeech({
+                text,
+                emotion: { emotion, intensity, blend },
+                gestures,
+                phonemes,
+                keyframes: emotionKeyframes,
+                replyId,
+            });
+        },
+
+        addNotes({ tools, sources }) {
+            if (!messageEl) return;
+            addToolsNote(messageEl, tools);
+            addSourcesNote(messageEl, sources);
+        },
+
+        /** Wait until the reply has been spoken (or apologise if none came). */
+        async finish(failed) {
+            hideToolActivity();
+            if (!messageEl) {
+                typingEl.remove();
+                showThinking(false);
+                if (failed) addMessage('Sorry, I encountered an error. Please try again.', 'assistant');
+                return;
+            }
+            await speechQueueDrain;
+            emotionTimeout = setTimeout(() => setEmotion('neutral'), 3000);
+        },
+    };
+}
 
-        if (data.error) {
-            addMessage('Sorry, I encountered an error. Please try again.', 'assistant');
-            return;
+/**
+ * Minimal Server-Sent Events reader for fetch() responses
+ * (EventSource only supports GET, the chat stream is a POST).
+ */
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            let event = 'message', data = '';
+            for (const line of block.split('\n')) {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data += line.slice(5).trim();
+            }
+            if (data) onEvent(event, JSON.parse(data));
+        }
+    }
+}
+
+// ─── Realtime channel ───────────────────────────────────────────────────
+// A WebSocket to /ws (see lib/realtime.js). Chat turns go over it while it is
+// connected; it also carries what the server pushes on its own — a remark to
+// say, an expression, a gesture, an order to stop talking. A dropped socket is
+// reopened with backoff, and until then sendMessage() falls back to HTTP.
+// ?realtime=off keeps everything on HTTP.
+const REALTIME_ENABLED = new URLSearchParams(window.location.search).get('realtime') !== 'off';
+const REALTIME_RETRY_MIN_MS = 1000;
+const REALTIME_RETRY_MAX_MS = 30000;
+
+let realtimeSocket = null;
+let realtimeRetryMs = REALTIME_RETRY_MIN_MS;
+let realtimeTurn = null;   // the chat turn running over the socket: { id, onState, onSentence, onClose }
+let realtimeTurnCount = 0;
+// emotion / gesture / viseme_timeline received for the sentence whose partial_reply comes next
+let pendingSentence = {};
+
+function connectRealtime() {
+    if (!REALTIME_ENABLED || !('WebSocket' in window)) return;
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(`${protocol}//${window.location.host}/ws?sessionId=${encodeURIComponent(sessionId)}`);
+    realtimeSocket = socket;
+
+    socket.onopen = () => {
+        realtimeRetryMs = REALTIME_RETRY_MIN_MS;
+        console.log('🔌 Realtime channel connected');
+    };
+    socket.onmessage = (message) => {
+        let event;
+        try {
+            event = JSON.parse(message.data);
+        } catch {
+            return console.warn('⚠️ Unreadable realtime event:', message.data);
         }
-        addMessage(data.response, 'assistant');
-        setEmotion(data.emotion || 'neutral');
-        await speak(data.response, data.phonemes);
-        emotionTimeout = setTimeout(() => setEmotion('neutral'), 3000);
+        onRealtimeEvent(event);
+    };
+    socket.onclose = () => {
+        if (realtimeSocket !== socket) return;
+        realtimeSocket = null;
+        pendingSentence = {};
+        realtimeTurn?.onClose();
+        // Back off exponentially, with jitter so a restarted server isn't hit by every tab at once
+        const delay = realtimeRetryMs * (0.75 + Math.random() * 0.5);
+        realtimeRetryMs = Math.min(REALTIME_RETRY_MAX_MS, realtimeRetryMs * 2);
+        setTimeout(connectRealtime, delay);
+    };
+}
+
+function realtimeSend(type, payload) {
+    if (realtimeSocket?.readyState !== WebSocket.OPEN) return false;
+    realtimeSocket.send(JSON.stringify({ ...payload, type }));
+    return true;
+}
+
+function onRealtimeEvent(event) {
+    const { type } = event;
+    // Events of a turn that was replaced or talked over are dropped
+    if (event.turn !== undefined && event.turn !== realtimeTurn?.id) return;
+
+    if (type === 'emotion') {
+        const { emotion, intensity, blend, emotionKeyframes } = event;
+        pendingSentence.emotion = { emotion, intensity, blend };
+        pendingSentence.keyframes = emotionKeyframes;
+    } else if (type === 'gesture') {
+        pendingSentence.gestures = event.gestures;
+    } else if (type === 'viseme_timeline') {
+        pendingSentence.phonemes = event.phonemes;
+    }
+
+    if (event.turn !== undefined) {
+        if (type === 'state') realtimeTurn.onState(event);
+        else if (type === 'partial_reply') realtimeTurn.onSentence(takePendingSentence(event.text));
+        return;
+    }
+    onPushedEvent(event);
+}
+
+function takePendingSentence(text) {
+    const { emotion = {}, keyframes, gestures, phonemes } = pendingSentence;
+    pendingSentence = {};
+    return { text, ...emotion, emotionKeyframes: keyframes, gestures, phonemes };
+}
+
+/**
+ * Something the server sent outside a chat turn (an operator, a proactive
+ * remark). A lone emotion or gesture shows at once; a partial_reply is said
+ * after whatever is already queued, with the parts sent just before it.
+ */
+function onPushedEvent(event) {
+    switch (event.type) {
+        case 'emotion':
+            setEmotion(event);
+            break;
+        case 'gesture':
+            playGestures(event.gestures);
+            break;
+        case 'partial_reply': {
+            const { text, emotion, intensity, blend, emotionKeyframes, gestures, phonemes } = takePendingSentence(event.text);
+            addMessage(text, 'assistant');
+            if (!isProcessing) beginReply(event.replyId);
+            const drained = queueSpeech({
+                text,
+                emotion: emotion && { emotion, intensity, blend },
+                gestures,
+                phonemes,
+                keyframes: emotionKeyframes,
+                replyId: event.replyId,
+            });
+            drained.then(() => {
+                if (spokenReply?.replyId === event.replyId) spokenReply = null;
+            });
+            break;
+        }
+        case 'interrupt':
+            console.log(`✋ Interrupted by the server (${event.reason || 'no reason given'})`);
+            bargeIn();
+            break;
+        case 'state':
+            if (event.state === 'tool') {
+                if (event.phase === 'start') showToolActivity(event.status);
+                else hideToolActivity();
+            }
+            break;
+    }
+}
+
+/**
+ * Chat turn over the realtime channel, the WebSocket twin of streamChat().
+ * Returns false when the channel is down, or drops before the server took the
+ * message, so the caller can fall back to HTTP.
+ */
+async function realtimeChat(message, typingEl, signal) {
+    const id = `turn_${++realtimeTurnCount}`;
+    const sent = realtimeSend('user_message', {
+        turn: id, message, sessionId, persona: persona.id, language: languageChoice, ...timingParams(),
+    });
+    if (!sent) return false;
+
+    const reply = createReplyView(typingEl);
+    let replyId = null;
+    let failed = false;
+
+    const outcome = await new Promise((resolve, reject) => {
+        let acknowledged = false;
+        realtimeTurn = {
+            id,
+            onState(event) {
+                switch (event.state) {
+                    case 'thinking':
+                        acknowledged = true;
+                        break;
+                    case 'replying':
+                        notifyResponseMode(event);
+                        setConversationLanguage(event.lang);
+                        ({ replyId } = event);
+                        beginReply(replyId);
+                        break;
+                    case 'tool':
+                        if (event.phase === 'start') showToolActivity(event.status);
+                        else hideToolActivity();
+                        break;
+                    case 'done':
+                        reply.addNotes(event);
+                        resolve('done');
+                        break;
+                    case 'error':
+                        failed = true;
+                        resolve('done');
+                        break;
+                }
+            },
+            onSentence(sentence) {
+                reply.addSentence(sentence, replyId);
+            },
+            onClose() {
+                if (acknowledged) reject(new Error('The realtime channel closed during the reply'));
+                else resolve('unsent');
+            },
+        };
+        signal.addEventListener('abort', () => {
+            // The spoken part is reported by bargeIn(); this only stops the server's turn
+            realtimeSend('interrupt', { turn: id });
+            reject(new DOMException('The reply was interrupted', 'AbortError'));
+        }, { once: true });
+    }).finally(() => {
+        if (realtimeTurn?.id === id) realtimeTurn = null;
+    });
+
+    if (outcome === 'unsent') return false;
+    await reply.finish(failed);
+    return true;
+}
+
+/**
+ * Start over without reloading: the server clears this session's history
+ * and the chat panel goes back to just the greeting.
+ */
+async function startNewConversation() {
+    if (isProcessing) return;
+    clearSpeechQueue();
+    stopSpeech();
+
+    try {
+        const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}/reset`, { method: 'POST' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
     } catch (error) {
-        typingEl.remove();
-        showThinking(false);
-        console.error('Chat error:', error);
-        addMessage("Sorry, I couldn't connect to the server. Please check if it's running.", 'assistant');
-    } finally {
-        isProcessing = false;
-        sendButton.disabled = false;
-        chatInput.focus();
+        console.error('Reset error:', error);
+        showNotification('Could not start a new conversation', 'error');
+        return;
     }
+
+    const greeting = document.getElementById('greeting-time')?.closest('.message');
+    chatMessages.querySelectorAll('.message').forEach(el => { if (el !== greeting) el.remove(); });
+    setEmotion('neutral');
+    showNotification('Started a new conversation', 'success');
+    chatInput.focus();
+    if (persona.scripts?.greeting) playScript('greeting');
 }
 
 function addMessage(text, role) {
@@ -1170,6 +2752,43 @@ function addMessage(text, role) {
     return div;
 }
 
+// Small line under a message that is shown but never spoken (tools used, sources...)
+function addMessageMeta(messageEl, label, text) {
+    const meta = document.createElement('div');
+    meta.className = 'msg-meta';
+    meta.innerHTML = `<span class="meta-label">${escapeHtml(label)}</span>${escapeHtml(text)}`;
+    messageEl.querySelector('.message-content').insertBefore(meta, messageEl.querySelector('.msg-time'));
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+function addToolsNote(messageEl, tools) {
+    if (!tools?.length) return;
+    const names = [...new Set(tools.map(t => t.name.replace(/_/g, ' ')))];
+    addMessageMeta(messageEl, '🔧 Used', names.join(', '));
+}
+
+// Knowledge-base passages the reply drew on — displayed, never spoken
+function addSourcesNote(messageEl, sources) {
+    if (!sources?.length) return;
+    const labels = [...new Set(sources.map(s => `${s.title} (${s.source})`))];
+    addMessageMeta(messageEl, '📄 Sources', labels.join(' · '));
+}
+
+// While a tool runs: "looking it up" gesture plus the tool's status text
+function showToolActivity(status) {
+    playGesture('lookup');
+    updateStatus(`${status}…`);
+    const thinkingText = thinkingIndicator?.querySelector('.thinking-text');
+    if (thinkingText) thinkingText.textContent = `${status}…`;
+}
+
+function hideToolActivity() {
+    stopGesture();
+    updateStatus('Online');
+    const thinkingText = thinkingIndicator?.querySelector('.thinking-text');
+    if (thinkingText) thinkingText.textContent = `${persona.name} is thinking`;
+}
+
 function addTypingIndicator() {
     const div = document.createElement('div');
     div.className = 'message assistant-message';
@@ -1192,12 +2811,17 @@ function updateStatus(text) {
     if (el) el.textContent = text;
 }
 
-function updateEmotionBadge(name) {
+const EMOTION_EMOJIS = {
+    happy: '😊', sad: '😢', surprised: '😲', angry: '😠', neutral: '😐',
+    confused: '😕', thinking: '🤔', fearful: '😨', disgusted: '🤢', amused: '😄', concerned: '😟', proud: '😌',
+};
+
+function updateEmotionBadge(name, weights = {}) {
     if (!emotionBadge) return;
-    const emojis = { happy: '😊', sad: '😢', surprised: '😲', angry: '😠', neutral: '😐' };
-    emotionBadge.classList.remove('emotion-happy', 'emotion-sad', 'emotion-surprised', 'emotion-angry');
+    emotionBadge.classList.remove(...Object.keys(EMOTION_EMOJIS).map(e => `emotion-${e}`));
     if (name !== 'neutral') emotionBadge.classList.add(`emotion-${name}`);
-    emotionBadge.textContent = `${emojis[name] || '😐'} ${name}`;
+    emotionBadge.textContent = `${EMOTION_EMOJIS[name] || '😐'} ${name}`;
+    emotionBadge.title = Object.entries(weights).map(([e, w]) => `${e} ${Math.round(w * 100)}%`).join(' + ');
 }
 
 function escapeHtml(text) {
@@ -1207,6 +2831,7 @@ function escapeHtml(text) {
 }
 
 sendButton.addEventListener('click', sendMessage);
+document.getElementById('new-chat-button')?.addEventListener('click', startNewConversation);
 chatInput.addEventListener('keydown', (e) => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); sendMessage(); } });
 chatInput.focus();
 
@@ -1394,4 +3019,7 @@ injectedStyles.textContent = `
 `;
 document.head.appendChild(injectedStyles);
 
+if (recognition && handsFreeParams.get('handsfree') === 'on') setHandsFree(true);
+connectRealtime();
+
 console.log('🚀 Nova AI Virtual Human (v7.0) — GLB Avatar with Morph-Target Lip Sync');
@@ -0,0 +1,325 @@
+/**
+ * Text Normalization
+ *
+ * Spells out what a voice would read its own way and the phoneme timeline
+ * would otherwise drop: numbers, currency, percentages, dates, times,
+ * ordinals, units, abbreviations, e-mail addresses and URLs.
+ *   "Dr. Lee raised $4.5M at 3:30pm" → "Doctor Lee raised four point five million dollars at three thirty P M"
+ *
+ * The browser voice and generatePhonemeData() are both given the normalized
+ * text, so the mouth says what the voice says. The full rules are English;
+ * Spanish, German, French and Hindi get their numbers, percentages, currency
+ * amounts and a few symbols spelled out in their own words, and other
+ * languages pass through unchanged. Surrounding whitespace is preserved, so
+ * SSML segments can be normalized one at a time.
+ *
+ * Shared by the server and the browser (served from /shared/).
+ */
+
+import { numberToWords, digitsToWords, ordinalToWords, yearToWords, pluralizeWords, spellNumber, SPELLED_LANGUAGES } from './numbers.js';
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+const MONTH = '(January|February|March|April|May|June|July|August|September|October|November|December'
+    + '|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sept?|Oct|Nov|Dec)\\.?';
+
+// Regions that write dates day first (15/3/2024)
+const DAY_FIRST = /^en-(gb|au|nz|ie|in|za)\b/i;
+
+const NUMBER = '(\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?)';
+
+const CURRENCIES = {
+    $: { one: 'dollar', many: 'dollars', cent: 'cent', cents: 'cents' },
+    '€': { one: 'euro', many: 'euros', cent: 'cent', cents: 'cents' },
+    '£': { one: 'pound', many: 'pounds', cent: 'penny', cents: 'pence' },
+    '¥': { one: 'yen', many: 'yen' },
+    '₹': { one: 'rupee', many: 'rupees', cent: 'paisa', cents: 'paise' },
+};
+
+// Words for the languages spellNumber() covers; currencies are [singular, plural]
+const LOCAL_WORDS = {
+    es: {
+        one: 'un', minus: 'menos', percent: 'por ciento', and: 'y', plus: 'más',
+        currencies: { '€': ['euro', 'euros'], $: ['dólar', 'dólares'], '£': ['libra', 'libras'] },
+    },
+    de: {
+        one: 'ein', minus: 'minus', percent: 'Prozent', and: 'und', plus: 'plus',
+        currencies: { '€': ['Euro', 'Euro'], $: ['Dollar', 'Dollar'], '£': ['Pfund', 'Pfund'] },
+    },
+    fr: {
+        one: 'un', minus: 'moins', percent: 'pour cent', and: 'et', plus: 'plus',
+        currencies: { '€': ['euro', 'euros'], $: ['dollar', 'dollars'], '£': ['livre', 'livres'] },
+    },
+    hi: {
+        one: 'ek', minus: 'minus', percent: 'pratishat', and: 'aur', plus: 'plus',
+        currencies: { '₹': ['rupaya', 'rupaye'], $: ['dollar', 'dollar'], '€': ['euro', 'euro'], '£': ['pound', 'pound'] },
+    },
+};
+
+// "1.500" groups thousands the continental way; "1,5" and "1.5" are decimals
+const LOCAL_NUMBER = '(\\d{1,3}(?:\\.\\d{3})+(?:,\\d+)?|\\d+(?:[.,]\\d+)?)';
+
+const MAGNITUDES = { k: 'thousand', m: 'million', mm: 'million', mn: 'million', b: 'billion', bn: 'billion', t: 'trillion' };
+
+// [singular, plural]
+const UNITS = {
+    'km/h': ['kilometer per hour', 'kilometers per hour'], mph: ['mile per hour', 'miles per hour'],
+    km: ['kilometer', 'kilometers'], cm: ['centimeter', 'centimeters'], mm: ['millimeter', 'millimeters'],
+    kg: ['kilogram', 'kilograms'], mi: ['mile', 'miles'], ft: ['foot', 'feet'], lb: ['pound', 'pounds'],
+    lbs: ['pound', 'pounds'], oz: ['ounce', 'ounces'], ms: ['millisecond', 'milliseconds'],
+    KB: ['kilobyte', 'kilobytes'], MB: ['megabyte', 'megabytes'], GB: ['gigabyte', 'gigabytes'],
+    TB: ['terabyte', 'terabytes'], Hz: ['hertz', 'hertz'], kHz: ['kilohertz', 'kilohertz'],
+    MHz: ['megahertz', 'megahertz'], GHz: ['gigahertz', 'gigahertz'],
+    '°C': ['degree Celsius', 'degrees Celsius'], '°F': ['degree Fahrenheit', 'degrees Fahrenheit'],
+    '°': ['degree', 'degrees'],
+};
+
+// Titles, expanded before the word that follows (Dr. and St. only before a name)
+const TITLES = {
+    Dr: 'Doctor', Mr: 'Mister', Mrs: 'Missus', Ms: 'Miz', Prof: 'Professor', St: 'Saint',
+    Gen: 'General', Capt: 'Captain', Lt: 'Lieutenant', Sgt: 'Sergeant', Rev: 'Reverend',
+};
+
+// Capitalized words that open a sentence rather than name someone ("Elm St. Then…")
+const SENTENCE_OPENERS = new Set(['The', 'Then', 'There', 'This', 'That', 'It', 'I', 'We', 'You', 'They', 'He',
+    'She', 'So', 'And', 'But', 'Turn', 'Go', 'Take', 'Next', 'After', 'From', 'If', 'When']);
+
+// Abbreviations that always mean the same thing. Those marked `true` can end
+// a sentence, and then keep their full stop.
+const ABBREVIATIONS = [
+    [/\be\.g\.?(?=[\s,;:)]|$)/gi, 'for example'],
+    [/\bi\.e\.?(?=[\s,;:)]|$)/gi, 'that is'],
+    [/\ba\.k\.a\.?(?=[\s,;:)]|$)/gi, 'also known as'],
+    [/\betc\.(?=\W|$)/gi, 'et cetera', true],
+    [/\bvs\.?(?=\s)/gi, 'versus'],
+    [/\bcf\.(?=\s)/gi, 'compare'],
+    [/\bapprox\.(?=\s)/gi, 'approximately'],
+    [/\bno\.(?=\s*\d)/gi, 'number'],
+    [/\bw\/o(?=\s)/gi, 'without'],
+    [/\bw\/(?=\s)/gi, 'with'],
+    [/\bJr\.?(?=\W|$)/g, 'Junior', true],
+    [/\bSr\.?(?=\W|$)/g, 'Senior', true],
+    [/\bSt\.(?=\W|$)/g, 'Street', true],
+    [/\bAve\.(?=\W|$)/g, 'Avenue', true],
+    [/\bRd\.(?=\W|$)/g, 'Road', true],
+    [/\bBlvd\.(?=\W|$)/g, 'Boulevard', true],
+    [/\bDr\.(?=\W|$)/g, 'Drive', true],
+];
+
+const TOP_LEVEL_DOMAINS = 'com|org|net|io|ai|dev|edu|gov|app|co|uk|de|fr|es|in|us|ca|au';
+const URL_PATTERN = new RegExp(`(?:https?://|www\\.)[^\\s<>"]+|\\b[\\w-]+(?:\\.[\\w-]+)*\\.(?:${TOP_LEVEL_DOMAINS})\\b(?:/[^\\s<>"]*)?`, 'gi');
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+
+// "etc." at the end of a sentence is also the sentence's full stop
+function withStop(words, match, offset, source) {
+    if (!match.endsWith('.')) return words;
+    return /^\s*($|[A-Z])/.test(source.slice(offset + match.length)) ? `${words}.` : words;
+}
+
+// "Dr." and "St." are titles when a name follows ("Call Dr. Smith"); before
+// the next sentence ("Elm St. Then…") or a lowercase word they are Drive and Street
+function expandTitle(match, title, offset, source) {
+    if (title !== 'Dr' && title !== 'St') return TITLES[title];
+    const next = source.slice(offset + match.length).match(/^\s+(\p{L}[\p{L}'’-]*)/u)[1];
+    if (!/^\p{Lu}/u.test(next)) return match;
+    return match.endsWith('.') && SENTENCE_OPENERS.has(next) ? match : TITLES[title];
+}
+
+function speakAddressPart(part) {
+    return part.split('.').filter(Boolean)
+        .map(piece => piece.replace(/-/g, ' dash ').replace(/_/g, ' underscore '))
+        .join(' dot ');
+}
+
+function speakUrl(url) {
+    const [address] = url.replace(/^https?:\/\//i, '').replace(/^www\./i, '').split(/[?#]/);
+    return address.split('/').filter(Boolean).map(speakAddressPart).join(' slash ');
+}
+
+function speakEmail(email) {
+    const [local, domain] = email.split('@');
+    return `${speakAddressPart(local)} at ${speakAddressPart(domain)}`;
+}
+
+function currencyToWords(symbol, amount, magnitude) {
+    const currency = CURRENCIES[symbol];
+    if (magnitude) return `${numberToWords(amount)} ${magnitude} ${currency.many}`;
+
+    const [whole, fraction = ''] = amount.replace(/,/g, '').split('.');
+    const units = Number(whole);
+    if (!currency.cents) return `${numberToWords(amount)} ${units === 1 && !fraction ? currency.one : currency.many}`;
+
+    const cents = Math.round(Number(`0.${fraction || 0}`) * 100);
+    const parts = [];
+    if (units > 0 || cents === 0) parts.push(`${numberToWords(whole)} ${units === 1 ? currency.one : currency.many}`);
+    if (cents > 0) parts.push(`${numberToWords(cents)} ${cents === 1 ? currency.cent : currency.cents}`);
+    return parts.join(' and ');
+}
+
+function timeToWords(hour, minute, meridiem) {
+    const h = Number(hour);
+    const m = Number(minute || 0);
+    let words = numberToWords(h);
+    if (m > 0) words += ` ${m < 10 ? 'oh ' : ''}${numberToWords(m)}`;
+    else if (!meridiem) words += h > 12 || h === 0 ? ' hundred' : " o'clock";
+    return meridiem ? `${words} ${meridiem.toUpperCase()} M` : words;
+}
+
+function dateToWords(month, day, year) {
+    const name = MONTHS[month - 1];
+    return `${name} ${ordinalToWords(day)}${year ? `, ${yearToWords(year)}` : ''}`;
+}
+
+function monthIndex(name) {
+    const prefix = name.replace('.', '').slice(0, 3).toLowerCase();
+    return MONTHS.findIndex(month => month.toLowerCase().startsWith(prefix)) + 1;
+}
+
+function fractionToWords(numerator, denominator) {
+    const [n, d] = [Number(numerator), Number(denominator)];
+    // "24/7", "50/50": read as two numbers
+    if (d < 2 || n >= d) return `${numberToWords(n)} ${numberToWords(d)}`;
+    const unit = d === 2 ? 'half' : d === 4 ? 'quarter' : ordinalToWords(d);
+    if (n === 1) return `one ${unit}`;
+    return `${numberToWords(n)} ${unit === 'half' ? 'halves' : pluralizeWords(unit)}`;
+}
+
+function isYear(value) {
+    return /^(1[1-9]|20)\d\d$/.test(value);
+}
+
+// Numbers glued to letters ("MP3", "4K") are spaced apart from them
+function spaced(words, offset, length, source) {
+    const before = /\p{L}/u.test(source[offset - 1] || '') ? ' ' : '';
+    const after = /\p{L}/u.test(source[offset + length] || '') ? ' ' : '';
+    return `${before}${words}${after}`;
+}
+
+function numberWords(value) {
+    const digits = value.replace(/[,.]/g, '');
+    // Identifiers and zero-padded codes are read digit by digit
+    if (digits.length > 15 || /^0\d/.test(value)) return digitsToWords(value);
+    return numberToWords(value);
+}
+
+function localNumber(value, code) {
+    if (/^0\d/.test(value)) return value.replace(/\D/g, '').split('').map(d => spellNumber(code, d)).join(' ');
+    const grouped = /^\d{1,3}(?:\.\d{3})+(?:,\d+)?$/.test(value);
+    const [whole, fraction] = grouped ? value.replace(/\./g, '').split(',') : value.split(/[.,]/);
+    return spellNumber(code, whole, fraction);
+}
+
+// Numbers, money, percentages and a few symbols, in one of SPELLED_LANGUAGES
+function normalizeLocal(text, code) {
+    const words = LOCAL_WORDS[code];
+    const currency = (match, value, symbol) => {
+        const names = words.currencies[symbol];
+        if (!names) return match;
+        return value === '1' ? `${words.one} ${names[0]}` : `${localNumber(value, code)} ${names[1]}`;
+    };
+    return text
+        .replace(/(^|[\s(])[-−](?=[$€£¥₹]?\d)/g, `$1${words.minus} `)
+        .replace(new RegExp(`([$€£¥₹])\\s?${LOCAL_NUMBER}`, 'g'), (match, symbol, value) => currency(match, value, symbol))
+        .replace(new RegExp(`${LOCAL_NUMBER}\\s?([$€£¥₹])`, 'g'), currency)
+        .replace(new RegExp(`${LOCAL_NUMBER}\\s?%`, 'g'), (_, value) => `${localNumber(value, code)} ${words.percent}`)
+        .replace(/(\p{L})&(\p{L})/gu, `$1 ${words.and} $2`)
+        .replace(/\s&\s/g, ` ${words.and} `)
+        .replace(/\s\+\s/g, ` ${words.plus} `)
+        .replace(new RegExp(LOCAL_NUMBER, 'g'), (match, value, offset, source) =>
+            spaced(localNumber(match, code), offset, match.length, source));
+}
+
+/**
+ * Spell out numbers, symbols and abbreviations so the text reads as it is spoken.
+ * @param {string} text plain text (no markup)
+ * @param {{ lang?: string }} [options] BCP 47 tag; English when omitted
+ * @returns {string}
+ */
+export function normalizeText(text, { lang } = {}) {
+    const code = String(lang || 'en').toLowerCase().split(/[-_]/)[0];
+    if (!text || code !== 'en') return text && SPELLED_LANGUAGES.includes(code) ? normalizeLocal(text, code) : text;
+    const dayFirst = DAY_FIRST.test(lang || '');
+
+    let result = text
+        // Addresses first: their dots and digits aren't sentences or numbers
+        .replace(EMAIL_PATTERN, speakEmail)
+        .replace(URL_PATTERN, (match) => {
+            const url = match.replace(/[.,!?;:)'"]+$/, '');
+            return speakUrl(url) + match.slice(url.length);
+        })
+
+        // Version numbers ("2.0.1"): every part is a number
+        .replace(/(?<![\d.])\d+(?:\.\d+){2,}(?![\d]|\.\d)/g, (match, offset, source) =>
+            spaced(match.split('.').map(part => numberToWords(part)).join(' point '), offset, match.length, source))
+
+        // Phone numbers, dates and times
+        .replace(/(?<![\d-])(?:\+?1[\s.-])?\(?(\d{3})\)?[\s.-](\d{3})[\s.-](\d{4})\b/g,
+            (_, area, exchange, line) => [area, exchange, line].map(digitsToWords).join(', '))
+        .replace(/(?<![\d-])(\d{3})-(\d{4})\b(?!-\d)/g,
+            (_, exchange, line) => [exchange, line].map(digitsToWords).join(', '))
+        .replace(/\b(\d{4})-(\d{2})-(\d{2})\b/g, (match, year, month, day) =>
+            (month >= 1 && month <= 12 && day >= 1 && day <= 31 ? dateToWords(Number(month), day, year) : match))
+        .replace(/\b(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\b/g, (match, first, second, year) => {
+            let [month, day] = dayFirst ? [second, first] : [first, second];
+            if (Number(month) > 12) [month, day] = [day, month];
+            if (month < 1 || month > 12 || day < 1 || day > 31) return match;
+            const fullYear = year.length === 2 ? Number(year) + (Number(year) < 50 ? 2000 : 1900) : year;
+            return dateToWords(Number(month), day, fullYear);
+        })
+        .replace(new RegExp(`\\b${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4})\\b)?`, 'g'),
+            (match, month, day, year) => (day >= 1 && day <= 31 ? dateToWords(monthIndex(month), day, year) : match))
+        .replace(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}(?:,?\\s+(\\d{4})\\b)?`, 'g'),
+            (match, day, month, year) => (day >= 1 && day <= 31
+                ? `the ${ordinalToWords(day)} of ${MONTHS[monthIndex(month) - 1]}${year ? `, ${yearToWords(year)}` : ''}`
+                : match))
+        .replace(new RegExp(`\\b${MONTH}\\s+(\\d{4})\\b`, 'g'),
+            (_, month, year) => `${MONTHS[monthIndex(month) - 1]} ${yearToWords(year)}`)
+        .replace(/\b([01]?\d|2[0-3]):([0-5]\d)(?::[0-5]\d)?(?:\s*([ap])\.?m\b(?:\.(?=\s+[a-z]))?)?/gi,
+            (_, hour, minute, meridiem) => timeToWords(hour, minute, meridiem))
+        .replace(/\b(1[0-2]|0?[1-9])\s*([ap])\.?m\b(?:\.(?=\s+[a-z]))?/gi,
+            (_, hour, meridiem) => timeToWords(hour, 0, meridiem))
+
+        // Money, percentages and measurements
+        .replace(/(^|[\s(])[-−](?=[$€£¥₹]?\d)/g, '$1minus ')
+        .replace(new RegExp(`([$€£¥₹])${NUMBER}(?:\\s?[-–]\\s?[$€£¥₹]?${NUMBER})?(?:([kKmMbBtT]|bn|mn|mm)\\b|\\s(thousand|million|billion|trillion)\\b)?`, 'g'),
+            (_, symbol, amount, upper, suffix, scale) => {
+                const magnitude = scale || (suffix && MAGNITUDES[suffix.toLowerCase()]);
+                if (!upper) return currencyToWords(symbol, amount, magnitude);
+                return `${numberToWords(amount)}${magnitude ? ` ${magnitude}` : ''} to ${currencyToWords(symbol, upper, magnitude)}`;
+            })
+        .replace(new RegExp(`${NUMBER}\\s?%`, 'g'), (_, value) => `${numberToWords(value)} percent`)
+        .replace(new RegExp(`${NUMBER}\\s?(km/h|mph|km|cm|mm|kg|mi|ft|lbs?|oz|ms|[KMGT]B|[kMG]?Hz|°[CF]?)(?![\\p{L}\\d])`, 'gu'),
+            (_, value, unit) => `${numberToWords(value)} ${UNITS[unit][value === '1' ? 0 : 1]}`)
+        .replace(new RegExp(`${NUMBER}(M|B|bn)\\b`, 'g'),
+            (_, value, suffix) => `${numberToWords(value)} ${MAGNITUDES[suffix.toLowerCase()]}`)
+
+        // Decades, ordinals, fractions, ranges and years
+        .replace(/['’]?\b(\d{2}|\d{4})s\b/g, (match, decade) =>
+            (decade.endsWith('0') ? pluralizeWords(decade.length === 4 ? yearToWords(decade) : numberToWords(decade)) : match))
+        .replace(/\b(\d+)(?:st|nd|rd|th)\b/gi, (_, value) => ordinalToWords(value))
+        .replace(/\b(\d+)\/(\d+)\b/g, (_, numerator, denominator) => fractionToWords(numerator, denominator))
+        .replace(new RegExp(`\\b${NUMBER}\\s?[-–]\\s?${NUMBER}\\b`, 'g'), (_, from, to) => (isYear(from) && isYear(to)
+            ? `${yearToWords(from)} to ${yearToWords(to)}`
+            : `${numberWords(from)} to ${numberWords(to)}`))
+        // Any whole four-digit number from 1100 to 2099 reads as a year ("in 1999", "Q3 2024")
+        .replace(/(?<![\d.,#]|\bno\.\s*)(\d{4})(?![\d]|[.,]\d)/gi, (match, year, offset, source) =>
+            (isYear(year) ? spaced(yearToWords(year), offset, match.length, source) : match))
+
+        // Titles and symbols
+        .replace(new RegExp(`\\b(${Object.keys(TITLES).join('|')})(?:\\.(?=\\s+\\p{L})|(?=\\s+[A-Z]))`, 'gu'), expandTitle)
+        .replace(/(^|\s)#(?=\d)/g, '$1number ')
+        .replace(/(^|\s)~(?=\d)/g, '$1about ')
+        .replace(/(\p{L})&(\p{L})/gu, '$1 and $2')
+        .replace(/\s&\s/g, ' and ')
+        .replace(/\s\+\s/g, ' plus ')
+        .replace(/\s=\s/g, ' equals ')
+        .replace(/\s@\s/g, ' at ');
+
+    for (const [pattern, words, endsSentence] of ABBREVIATIONS) {
+        result = result.replace(pattern, (match, offset, source) => (endsSentence ? withStop(words, match, offset, source) : words));
+    }
+
+    // Whatever digits are left
+    return result.replace(/\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?/g, (match, offset, source) =>
+        spaced(numberWords(match), offset, match.length, source));
+}
@@ -0,0 +1,211 @@
+/**
+ * Number Words
+ *
+ * English spelling of numbers for speech: 42 → "forty-two", 3rd → "third",
+ * 1984 → "nineteen eighty-four". spellNumber() covers the timeline's other
+ * languages: 42 → "cuarenta y dos", "zweiundvierzig", "quarante-deux".
+ */
+
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+    'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = [[1e12, 'trillion'], [1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']];
+
+const ORDINAL_WORDS = {
+    one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth',
+};
+
+function belowThousand(n) {
+    if (n < 20) return ONES[n];
+    if (n < 100) return TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : '');
+    const rest = n % 100;
+    return `${ONES[Math.floor(n / 100)]} hundred${rest ? ` ${belowThousand(rest)}` : ''}`;
+}
+
+/**
+ * Spell out an integer or decimal number.
+ * @param {number|string} value
+ */
+export function numberToWords(value) {
+    const [whole, fraction] = String(value).replace(/,/g, '').split('.');
+    let n = Math.abs(parseInt(whole, 10) || 0);
+    const parts = [];
+    if (String(whole).startsWith('-')) parts.push('minus');
+
+    if (n === 0) parts.push('zero');
+    for (const [size, name] of SCALES) {
+        if (n >= size) {
+            parts.push(`${belowThousand(Math.floor(n / size) % 1000)} ${name}`);
+            n %= size;
+        }
+    }
+    if (n > 0) parts.push(belowThousand(n));
+
+    if (fraction) parts.push('point', digitsToWords(fraction));
+    return parts.join(' ');
+}
+
+/** Read digits one by one: "2024" → "two zero two four". */
+export function digitsToWords(digits) {
+    return [...String(digits)].filter(d => /\d/.test(d)).map(d => ONES[Number(d)]).join(' ');
+}
+
+/** Spell out an ordinal: 1 → "first", 22 → "twenty-second". */
+export function ordinalToWords(value) {
+    const words = numberToWords(value);
+    return words.replace(/(\w+)$/, (last) => ORDINAL_WORDS[last]
+        || (last.endsWith('y') ? `${last.slice(0, -1)}ieth` : `${last}th`));
+}
+
+/** Read a year the way it is said: 1984 → "nineteen eighty-four", 1905 → "nineteen oh five". */
+export function yearToWords(value) {
+    const year = Number(value);
+    const century = Math.floor(year / 100);
+    const rest = year % 100;
+    // The first years of a millennium read as plain numbers ("two thousand five")
+    if (year < 1000 || year > 9999 || (century % 10 === 0 && rest < 10)) return numberToWords(year);
+    if (rest === 0) return `${numberToWords(century)} hundred`;
+    return `${numberToWords(century)} ${rest < 10 ? 'oh ' : ''}${numberToWords(rest)}`;
+}
+
+/** Plural of a spelled-out number: "ninety" → "nineties", "six" → "sixes". */
+export function pluralizeWords(words) {
+    return words.replace(/(\w+)$/, (last) => {
+        if (last.endsWith('y')) return `${last.slice(0, -1)}ies`;
+        if (/(x|s)$/.test(last)) return `${last}es`;
+        return `${last}s`;
+    });
+}
+
+// ─── Other languages ────────────────────────────────────────────────────────
+
+const SPANISH_ONES = ['cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve',
+    'diez', 'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho', 'diecinueve',
+    'veinte', 'veintiuno', 'veintidós', 'veintitrés', 'veinticuatro', 'veinticinco', 'veintiséis', 'veintisiete',
+    'veintiocho', 'veintinueve'];
+const SPANISH_TENS = ['', '', 'veinte', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'];
+const SPANISH_HUNDREDS = ['', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos',
+    'seiscientos', 'setecientos', 'ochocientos', 'novecientos'];
+
+const GERMAN_ONES = ['null', 'eins', 'zwei', 'drei', 'vier', 'fünf', 'sechs', 'sieben', 'acht', 'neun',
+    'zehn', 'elf', 'zwölf', 'dreizehn', 'vierzehn', 'fünfzehn', 'sechzehn', 'siebzehn', 'achtzehn', 'neunzehn'];
+const GERMAN_TENS = ['', '', 'zwanzig', 'dreißig', 'vierzig', 'fünfzig', 'sechzig', 'siebzig', 'achtzig', 'neunzig'];
+
+const FRENCH_ONES = ['zéro', 'un', 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf',
+    'dix', 'onze', 'douze', 'treize', 'quatorze', 'quinze', 'seize', 'dix-sept', 'dix-huit', 'dix-neuf'];
+// Seventy and ninety count on from sixty and eighty (soixante-dix, quatre-vingt-dix)
+const FRENCH_TENS = ['', '', 'vingt', 'trente', 'quarante', 'cinquante', 'soixante', 'soixante', 'quatre-vingt', 'quatre-vingt'];
+
+// Romanised, as the timeline's Hindi rules expect
+const HINDI_DIGITS = ['shoonya', 'ek', 'do', 'teen', 'chaar', 'paanch', 'chhah', 'saat', 'aath', 'nau'];
+
+// The three-digit groups of n: [millions, thousands, units]
+function groups(n) {
+    return [Math.floor(n / 1e6), Math.floor(n / 1e3) % 1000, n % 1000];
+}
+
+function spanishBelowThousand(n) {
+    if (n === 100) return 'cien';
+    const rest = n % 100;
+    const tens = rest < 30 ? (rest ? SPANISH_ONES[rest] : '')
+        : SPANISH_TENS[Math.floor(rest / 10)] + (rest % 10 ? ` y ${SPANISH_ONES[rest % 10]}` : '');
+    return [SPANISH_HUNDREDS[Math.floor(n / 100)], tens].filter(Boolean).join(' ');
+}
+
+// "uno" shortens before a noun: veintiún mil, un millón
+function spanishBeforeNoun(words) {
+    return words.replace(/veintiuno$/, 'veintiún').replace(/uno$/, 'un');
+}
+
+function spanishWords(n) {
+    if (n === 0) return SPANISH_ONES[0];
+    const [millions, thousands, units] = groups(n);
+    const parts = [];
+    if (millions) parts.push(millions === 1 ? 'un millón' : `${spanishBeforeNoun(spanishWords(millions))} millones`);
+    if (thousands) parts.push(thousands === 1 ? 'mil' : `${spanishBeforeNoun(spanishBelowThousand(thousands))} mil`);
+    if (units) parts.push(spanishBelowThousand(units));
+    return parts.join(' ');
+}
+
+// German writes everything below a million as one word, ones before tens
+function germanBelowThousand(n) {
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    const one = rest % 10;
+    let words = hundreds ? `${hundreds === 1 ? 'ein' : GERMAN_ONES[hundreds]}hundert` : '';
+    if (rest >= 20) words += `${one ? `${one === 1 ? 'ein' : GERMAN_ONES[one]}und` : ''}${GERMAN_TENS[Math.floor(rest / 10)]}`;
+    else if (rest) words += GERMAN_ONES[rest];
+    return words;
+}
+
+function germanWords(n) {
+    if (n === 0) return GERMAN_ONES[0];
+    const [millions, thousands, units] = groups(n);
+    const parts = [];
+    if (millions) parts.push(millions === 1 ? 'eine Million' : `${germanWords(millions).replace(/eins$/, 'ein')} Millionen`);
+    const below = (thousands ? `${germanBelowThousand(thousands).replace(/eins$/, 'ein')}tausend` : '')
+        + (units ? germanBelowThousand(units) : '');
+    if (below) parts.push(below);
+    return parts.join(' ');
+}
+
+function frenchBelowHundred(n) {
+    if (n < 20) return FRENCH_ONES[n];
+    const ten = Math.floor(n / 10);
+    const one = n % 10 + (ten === 7 || ten === 9 ? 10 : 0);
+    const tens = FRENCH_TENS[ten];
+    if (one === 0) return ten === 8 ? 'quatre-vingts' : tens;
+    if ((one === 1 || one === 11) && ten < 8) return `${tens} et ${FRENCH_ONES[one]}`;
+    return `${tens}-${FRENCH_ONES[one]}`;
+}
+
+function frenchBelowThousand(n) {
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    const parts = [];
+    if (hundreds) parts.push(hundreds === 1 ? 'cent' : `${FRENCH_ONES[hundreds]} cent${rest ? '' : 's'}`);
+    if (rest) parts.push(frenchBelowHundred(rest));
+    return parts.join(' ');
+}
+
+function frenchWords(n) {
+    if (n === 0) return FRENCH_ONES[0];
+    const [millions, thousands, units] = groups(n);
+    const parts = [];
+    if (millions) parts.push(millions === 1 ? 'un million' : `${frenchWords(millions)} millions`);
+    // "mille" never takes an s, and neither do cent and vingt before it
+    if (thousands) parts.push(thousands === 1 ? 'mille' : `${frenchBelowThousand(thousands).replace(/(cent|vingt)s$/, '$1')} mille`);
+    if (units) parts.push(frenchBelowThousand(units));
+    return parts.join(' ');
+}
+
+function hindiDigits(digits) {
+    return [...String(digits)].map(d => HINDI_DIGITS[Number(d)]).join(' ');
+}
+
+// Hindi numbers below a hundred are all irregular, so Hindi reads digit by digit
+const SPELLERS = {
+    es: { words: spanishWords, digits: d => SPANISH_ONES[d], point: 'coma' },
+    de: { words: germanWords, digits: d => GERMAN_ONES[d], point: 'Komma' },
+    fr: { words: frenchWords, digits: d => FRENCH_ONES[d], point: 'virgule' },
+    hi: { words: hindiDigits, digits: d => HINDI_DIGITS[d], point: 'dashamlav' },
+};
+
+/** Language codes spellNumber() knows besides English. */
+export const SPELLED_LANGUAGES = Object.keys(SPELLERS);
+
+/**
+ * Spell out a number in one of SPELLED_LANGUAGES. The fraction is read digit
+ * by digit after the language's decimal word; whole numbers of a trillion or
+ * more are read digit by digit too.
+ * @param {string} code language code, e.g. 'es'
+ * @param {string} whole digits before the decimal separator
+ * @param {string} [fraction] digits after it
+ */
+export function spellNumber(code, whole, fraction) {
+    const { words, digits, point } = SPELLERS[code];
+    const n = parseInt(whole, 10) || 0;
+    const spelled = n >= 1e12 ? [...whole].map(d => digits(Number(d))).join(' ') : words(n);
+    if (!fraction) return spelled;
+    return `${spelled} ${point} ${[...fraction].map(d => digits(Number(d))).join(' ')}`;
+}
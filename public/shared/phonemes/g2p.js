@@ -0,0 +1,117 @@
+/**
+ * Grapheme-to-Phoneme
+ *
+ * Words in the pronunciation lexicon (./lexicon.js) use its phonemes, or the
+ * pronunciation of its respelling. Other words are looked up in the
+ * language's pronouncing dictionary when one has
+ * been registered (the server registers the CMU dictionary for English), else
+ * in the language's small built-in word list. Unknown words, and every word
+ * in languages without either, go through that language's letter-to-sound
+ * rules (see ./languages/).
+ *
+ * Pronunciations are arrays of { phoneme, stress } with ARPAbet phonemes;
+ * stress is 0/1/2 for vowels and null for consonants.
+ */
+
+import { VOWELS } from './visemes.js';
+import { getLanguage } from './languages/index.js';
+import { lexiconEntry } from './lexicon.js';
+
+// Language code → { word: 'ARPAbet pronunciation' }
+const dictionaries = new Map();
+
+/**
+ * Use a pronouncing dictionary for a language, e.g. the CMU dictionary's
+ * { hello: 'HH AH0 L OW1', ... } for 'en'.
+ * @returns {number} the number of entries
+ */
+export function registerDictionary(lang, entries) {
+    dictionaries.set(getLanguage(lang).code, entries);
+    return Object.keys(entries).length;
+}
+
+function parseArpabet(pronunciation) {
+    return pronunciation.trim().split(/\s+/).map(symbol => {
+        const match = symbol.match(/^([A-Z]+)([012])?$/);
+        return { phoneme: match[1], stress: match[2] !== undefined ? Number(match[2]) : null };
+    });
+}
+
+/**
+ * Rule-based pronunciation.
+ * @param {string} word
+ * @param {string} [lang] BCP 47 tag, English by default
+ */
+export function letterToSound(word, lang) {
+    const { rules, vowels } = getLanguage(lang);
+    const letters = word.toLowerCase().normalize('NFC').replace(/[^\p{L}]/gu, '');
+    const result = [];
+    let i = 0;
+    while (i < letters.length) {
+        // Doubled consonants are pronounced once (butter, miss)
+        if (i > 0 && letters[i] === letters[i - 1] && !vowels.includes(letters[i])) {
+            i++;
+            continue;
+        }
+        const before = letters.slice(0, i);
+        const rule = rules.find(r => letters.startsWith(r.letters, i)
+            && (!r.before || r.before.test(before))
+            && (!r.after || r.after.test(letters.slice(i + r.letters.length))));
+        if (!rule) { i++; continue; }
+        if (rule.sounds) result.push(...parseArpabet(rule.sounds));
+        i += rule.letters.length;
+    }
+    return reduceStress(result);
+}
+
+// Only the first vowel of a rule-based word keeps primary stress
+function reduceStress(phonemes) {
+    let stressed = false;
+    return phonemes.map(p => {
+        if (p.stress === null) return p;
+        if (p.stress === 1 && !stressed) { stressed = true; return p; }
+        return { ...p, stress: p.phoneme === 'ER' || p.stress === 0 ? 0 : 2 };
+    });
+}
+
+/**
+ * Pronounce one word (letters and apostrophes). Hyphenated words are
+ * pronounced part by part.
+ * @param {string} word
+ * @param {string} [lang] BCP 47 tag, English by default
+ * @returns {{ phonemes: { phoneme: string, stress: number|null }[], source: 'lexicon'|'dictionary'|'rules' }}
+ */
+export function pronounce(word, lang) {
+    const language = getLanguage(lang);
+    const key = word.toLowerCase().normalize('NFC').replace(/[’]/g, "'").replace(/[^\p{L}'-]/gu, '').replace(/^'+|'+$/g, '');
+    if (!key) return { phonemes: [], source: 'rules' };
+
+    const custom = lexiconEntry(key);
+    if (custom?.phonemes) return { phonemes: parseArpabet(custom.phonemes), source: 'lexicon' };
+    if (custom?.say) {
+        // The respelling's own words skip the lexicon, so an entry can't refer to itself
+        const parts = custom.say.split(/[\s-]+/).filter(Boolean).map(part => pronounceWord(part, language));
+        return { phonemes: parts.flatMap(p => p.phonemes), source: 'lexicon' };
+    }
+    return pronounceWord(key, language);
+}
+
+function pronounceWord(key, language) {
+    const words = dictionaries.get(language.code) || language.words;
+    // Own entries only: "constructor" is a word, not Object.prototype.constructor
+    const entry = words && Object.hasOwn(words, key) ? words[key] : undefined;
+    if (entry) return { phonemes: parseArpabet(entry), source: 'dictionary' };
+
+    if (key.includes('-')) {
+        const parts = key.split('-').filter(Boolean).map(part => pronounce(part, language.code));
+        return {
+            phonemes: parts.flatMap(p => p.phonemes),
+            source: parts.every(p => p.source === 'dictionary') ? 'dictionary' : 'rules',
+        };
+    }
+    return { phonemes: letterToSound(key, language.code), source: 'rules' };
+}
+
+export function isVowel(phoneme) {
+    return VOWELS.has(phoneme);
+}
@@ -0,0 +1,183 @@
+/**
+ * Phoneme Timeline
+ *
+ * Turns text into the viseme timeline the client lip-syncs against:
+ *   { phonemes: [{ viseme, phoneme, time, duration, intensity }], totalDuration, lang }
+ *
+ * Text is normalized first (numbers, symbols and abbreviations become words,
+ * see ../normalize.js), then each word is pronounced through the G2P stage
+ * (dictionary, then the language's rules), each ARPAbet phoneme becomes one
+ * or two visemes with its own duration, and punctuation adds pauses from the
+ * language's pause table.
+ * SSML input can add breaks and change rate and emphasis along the way.
+ *
+ * Durations are for a voice speaking at rate 1. `rate` (the utterance rate
+ * the client will use) and `calibration` (how much longer than predicted this
+ * particular voice actually takes, learned by the client) rescale the whole
+ * timeline so it ends when the audio does.
+ *
+ * This folder is shared: the browser imports it from /shared/ for offline lip
+ * sync and the server imports it through lib/phonemes/, which adds the CMU
+ * dictionary. Keep it free of Node- and DOM-specific code.
+ */
+
+import { pronounce, isVowel } from './g2p.js';
+import { ARPABET_VISEMES, DIPHTHONGS, PHONEME_DURATIONS, STRESS_SCALE } from './visemes.js';
+import { getLanguage } from './languages/index.js';
+import { isSsml, parseSsml } from '../ssml.js';
+import { normalizeText } from '../normalize.js';
+
+export { pronounce, letterToSound, registerDictionary } from './g2p.js';
+export { setLexicon, normalizeLexicon, lexiconEntry, applyRespellings } from './lexicon.js';
+export { getLanguage, LANGUAGE_CODES } from './languages/index.js';
+
+const WORD_GAP = 0.07;
+const RATE_RANGE = [0.3, 3];
+const CALIBRATION_RANGE = [0.5, 2];
+
+// Visemes are held a little past the next phoneme's start so shapes blend
+const OVERLAP = 1.2;
+
+function escapeClass(chars) {
+    return chars.replace(/[\]\[^-]/g, '\\$&');
+}
+
+function clampOption(value, [min, max]) {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? Math.min(max, Math.max(min, number)) : 1;
+}
+
+// The longest pause of a punctuation run wins ("?!" pauses like "?")
+function pauseFor(punct, pauses) {
+    return Math.max(0, ...[...punct].map(char => pauses[char] ?? 0));
+}
+
+/**
+ * Visemes for one pronounced word, starting at `start`. `rate` speeds speech up
+ * (> 1) or slows it down; `emphasis` (> 1) makes the mouth shapes bigger and a
+ * little longer.
+ * @returns {{ entries: object[], duration: number }}
+ */
+function wordVisemes(phonemes, start, { emphasis = 1, rate = 1 } = {}) {
+    const entries = [];
+    const stretch = (1 + (emphasis - 1) * 0.5) / rate;
+    let time = start;
+
+    phonemes.forEach(({ phoneme, stress }, i) => {
+        const vowel = isVowel(phoneme);
+        const duration = (PHONEME_DURATIONS[phoneme] || 0.07) * (vowel ? STRESS_SCALE[stress] ?? 1 : 1) * stretch;
+        const intensity = Math.min(1, (vowel ? (stress === 1 ? 0.85 : 0.7) : 0.5) * emphasis);
+
+        let viseme = ARPABET_VISEMES[phoneme];
+        if (viseme === null) {
+            // Breathy sounds borrow the next shape, faintly
+            viseme = ARPABET_VISEMES[phonemes[i + 1]?.phoneme] || 'viseme_sil';
+            entries.push({ viseme, phoneme, time, duration: duration * OVERLAP, intensity: 0.25 });
+        } else if (DIPHTHONGS[phoneme]) {
+            const { to, split } = DIPHTHONGS[phoneme];
+            entries.push({ viseme, phoneme, time, duration: duration * split * OVERLAP, intensity });
+            entries.push({ viseme: to, phoneme, time: time + duration * split, duration: duration * (1 - split) * OVERLAP, intensity: intensity * 0.8 });
+        } else if (viseme) {
+            entries.push({ viseme, phoneme, time, duration: duration * OVERLAP, intensity });
+        }
+        time += duration;
+    });
+
+    return { entries, duration: time - start };
+}
+
+/**
+ * Split text into word tokens ({ word, rate, emphasis }) and SSML breaks ({ pause }),
+ * normalizing each stretch of text for `lang`. Text that continues a segment
+ * without a space ("<emphasis>Nova</emphasis>.") is glued back onto the previous word.
+ */
+function tokenize(text, lang) {
+    const segments = isSsml(text) ? parseSsml(text).segments : [{ type: 'text', text, rate: 1, emphasis: 1 }];
+    const tokens = [];
+    for (const segment of segments) {
+        if (segment.type === 'break') {
+            tokens.push({ pause: segment.time });
+            continue;
+        }
+        const words = normalizeText(segment.text, { lang }).split(/\s+/);
+        const previous = tokens[tokens.length - 1];
+        if (previous?.word !== undefined && !/^\s/.test(segment.text) && words[0]) {
+            previous.word += words.shift();
+        }
+        for (const word of words.filter(Boolean)) {
+            tokens.push({ word, rate: segment.rate, emphasis: segment.emphasis });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Generate phoneme timing data for text. SSML (see ../ssml.js) adjusts pauses,
+ * speaking rate and emphasis.
+ * @param {string} text plain text or SSML
+ * @param {{ lang?: string, rate?: number, calibration?: number }} [options]
+ *   lang is a BCP 47 tag (English by default); rate and calibration default to 1
+ * @returns {{ phonemes: object[], totalDuration: number, lang: string, rate: number, calibration: number }}
+ */
+export function generatePhonemeData(text, { lang, rate, calibration } = {}) {
+    const language = getLanguage(lang);
+    rate = clampOption(rate, RATE_RANGE);
+    calibration = clampOption(calibration, CALIBRATION_RANGE);
+    const punctuation = escapeClass(Object.keys(language.pauses).join(''));
+    const disallowed = new RegExp(`[^\\p{L}'’\\-${punctuation}]`, 'gu');
+    const trailingPunct = new RegExp(`[${punctuation}]+$`, 'u');
+    const anyPunct = new RegExp(`[${punctuation}]`, 'gu');
+    const phonemes = [];
+    let currentTime = 0;
+    let first = true;
+
+    for (const token of tokenize(text, lang)) {
+        if (token.pause !== undefined) {
+            if (token.pause > 0) {
+                phonemes.push({ viseme: 'viseme_sil', phoneme: null, time: currentTime, duration: token.pause, intensity: 0 });
+                currentTime += token.pause;
+            }
+            continue;
+        }
+
+        const rawWord = token.word.toLowerCase().normalize('NFC').replace(disallowed, '');
+        const punct = rawWord.match(trailingPunct)?.[0] || '';
+        const word = rawWord.replace(anyPunct, '');
+
+        const { phonemes: pronunciation } = pronounce(word, language.code);
+        if (pronunciation.length > 0) {
+            // Sentence beginning gets slightly more emphasis
+            const emphasis = token.emphasis * (first ? 1.1 : 1.0);
+            const { entries, duration } = wordVisemes(pronunciation, currentTime, { emphasis, rate: token.rate });
+            phonemes.push(...entries);
+            currentTime += duration;
+            first = false;
+        } else if (!punct) {
+            continue;
+        }
+
+        // Opening marks (¿ « „) have no pause of their own, but words still need their gap
+        const pause = punct ? pauseFor(punct, language.pauses) : WORD_GAP;
+        if (pronunciation.length === 0 && pause === 0) continue;
+        const gap = (pronunciation.length > 0 ? Math.max(pause, WORD_GAP) : pause) / token.rate;
+        phonemes.push({ viseme: 'viseme_sil', phoneme: null, time: currentTime, duration: gap, intensity: 0 });
+        currentTime += gap;
+    }
+
+    const timeline = scaleTimeline({ phonemes, totalDuration: currentTime }, calibration / rate);
+    return { ...timeline, lang: language.code, rate, calibration };
+}
+
+/**
+ * Stretch a timeline in time (factor > 1 is slower). Used to fit a predicted
+ * timeline onto audio whose real length is known.
+ * @returns a new { phonemes, totalDuration, ... } object
+ */
+export function scaleTimeline(timeline, factor) {
+    if (factor === 1) return timeline;
+    return {
+        ...timeline,
+        phonemes: timeline.phonemes.map(entry => ({ ...entry, time: entry.time * factor, duration: entry.duration * factor })),
+        totalDuration: timeline.totalDuration * factor,
+    };
+}
@@ -0,0 +1,77 @@
+/**
+ * German letter-to-sound rules: sch/ch, ei/ie/eu, umlauts, ß, sp/st at the
+ * start of a word, z as "ts", w as "v", final devoicing and the vocalised
+ * -er ending. German quotes („ “) are ignored.
+ */
+
+export const GERMAN = {
+    code: 'de',
+    name: 'German',
+    vowels: 'aeiouäöüy',
+    pauses: { '„': 0, '“': 0 },
+    rules: [
+        { letters: 'tsch', sounds: 'CH' },
+        { letters: 'sch', sounds: 'SH' },
+        { letters: 'sp', before: /^$/, sounds: 'SH P' },
+        { letters: 'st', before: /^$/, sounds: 'SH T' },
+        { letters: 'chs', sounds: 'K S' },
+        { letters: 'ch', sounds: 'HH' },
+        { letters: 'ck', sounds: 'K' },
+        { letters: 'tz', sounds: 'T S' },
+        { letters: 'pf', sounds: 'P F' },
+        { letters: 'ph', sounds: 'F' },
+        { letters: 'th', sounds: 'T' },
+        { letters: 'qu', sounds: 'K V' },
+        { letters: 'ng', sounds: 'NG' },
+        { letters: 'ig', after: /^$/, sounds: 'IH0 HH' },
+        // Diphthongs and long vowels
+        { letters: 'ei', sounds: 'AY1' },
+        { letters: 'ai', sounds: 'AY1' },
+        { letters: 'ie', sounds: 'IY1' },
+        { letters: 'eu', sounds: 'OY1' },
+        { letters: 'äu', sounds: 'OY1' },
+        { letters: 'au', sounds: 'AW1' },
+        { letters: 'aa', sounds: 'AA1' },
+        { letters: 'ee', sounds: 'EY1' },
+        { letters: 'oo', sounds: 'OW1' },
+        // Lengthening h after a vowel is silent
+        { letters: 'h', before: /[aeiouäöü]$/, after: /^([^aeiouäöü]|$)/, sounds: '' },
+        // Vocalised -er and reduced final -e(n)
+        { letters: 'er', after: /^$/, before: /.$/, sounds: 'ER0' },
+        { letters: 'e', after: /^n?$/, before: /.$/, sounds: 'AH0' },
+        // Final devoicing
+        { letters: 'b', after: /^$/, sounds: 'P' },
+        { letters: 'd', after: /^$/, sounds: 'T' },
+        { letters: 'g', after: /^$/, sounds: 'K' },
+        { letters: 'ä', sounds: 'EH1' },
+        { letters: 'ö', sounds: 'ER1' },
+        { letters: 'ü', sounds: 'UW1' },
+        { letters: 'ß', sounds: 'S' },
+        { letters: 'a', sounds: 'AA1' },
+        { letters: 'e', sounds: 'EH1' },
+        { letters: 'i', sounds: 'IH1' },
+        { letters: 'o', sounds: 'AO1' },
+        { letters: 'u', sounds: 'UH1' },
+        { letters: 'y', sounds: 'UW1' },
+        { letters: 'b', sounds: 'B' },
+        { letters: 'c', sounds: 'K' },
+        { letters: 'd', sounds: 'D' },
+        { letters: 'f', sounds: 'F' },
+        { letters: 'g', sounds: 'G' },
+        { letters: 'h', sounds: 'HH' },
+        { letters: 'j', sounds: 'Y' },
+        { letters: 'k', sounds: 'K' },
+        { letters: 'l', sounds: 'L' },
+        { letters: 'm', sounds: 'M' },
+        { letters: 'n', sounds: 'N' },
+        { letters: 'p', sounds: 'P' },
+        { letters: 'r', sounds: 'R' },
+        { letters: 's', after: /^[aeiouäöü]/, sounds: 'Z' },
+        { letters: 's', sounds: 'S' },
+        { letters: 't', sounds: 'T' },
+        { letters: 'v', sounds: 'F' },
+        { letters: 'w', sounds: 'V' },
+        { letters: 'x', sounds: 'K S' },
+        { letters: 'z', sounds: 'T S' },
+    ],
+};
@@ -0,0 +1,69 @@
+/**
+ * Pronunciations (from the CMU dictionary) of frequent English words that the
+ * letter-to-sound rules get wrong. They stand in for the dictionary wherever
+ * none is registered — i.e. in the browser — so offline lip sync gets the
+ * most common words right.
+ */
+
+export const ENGLISH_WORDS = {
+    the: 'DH AH0', to: 'T UW1', you: 'Y UW1', he: 'HH IY1', she: 'SH IY1', i: 'AY1', they: 'DH EY1',
+    be: 'B IY1', one: 'W AH1 N', have: 'HH AE1 V', word: 'W ER1 D', some: 'S AH1 M', we: 'W IY1', all: 'AO1 L',
+    there: 'DH EH1 R', use: 'Y UW1 S', your: 'Y AO1 R', how: 'HH AW1', do: 'D UW1', many: 'M EH1 N IY0',
+    would: 'W UH1 D', so: 'S OW1', long: 'L AO1 NG', two: 'T UW1', could: 'K UH1 D', go: 'G OW1',
+    come: 'K AH1 M', no: 'N OW1', most: 'M OW1 S T', who: 'HH UW1', over: 'OW1 V ER0', call: 'K AO1 L',
+    people: 'P IY1 P AH0 L', now: 'N AW1', find: 'F AY1 N D', any: 'EH1 N IY0', work: 'W ER1 K',
+    where: 'W EH1 R', little: 'L IH1 T AH0 L', only: 'OW1 N L IY0', me: 'M IY1', give: 'G IH1 V',
+    very: 'V EH1 R IY0', great: 'G R EY1 T', before: 'B IH0 F AO1 R', cause: 'K AA1 Z', move: 'M UW1 V',
+    old: 'OW1 L D', does: 'D AH1 Z', sentence: 'S EH1 N T AH0 N S', also: 'AO1 L S OW0', small: 'S M AO1 L',
+    put: 'P UH1 T', read: 'R EH1 D', even: 'IY1 V IH0 N', here: 'HH IY1 R', change: 'CH EY1 N JH',
+    kind: 'K AY1 N D', off: 'AO1 F', animal: 'AE1 N AH0 M AH0 L', world: 'W ER1 L D', build: 'B IH1 L D',
+    earth: 'ER1 TH', head: 'HH EH1 D', own: 'OW1 N', should: 'SH UH1 D', answer: 'AE1 N S ER0',
+    learn: 'L ER1 N', four: 'F AO1 R', eye: 'AY1', door: 'D AO1 R', between: 'B IH0 T W IY1 N',
+    cross: 'K R AO1 S', "don't": 'D OW1 N T', few: 'F Y UW1', open: 'OW1 P AH0 N',
+    together: 'T AH0 G EH1 DH ER0', children: 'CH IH1 L D R AH0 N', begin: 'B IH0 G IH1 N', walk: 'W AO1 K',
+    example: 'IH0 G Z AE1 M P AH0 L', paper: 'P EY1 P ER0', often: 'AO1 F AH0 N', always: 'AO1 L W EY2 Z',
+    music: 'M Y UW1 Z IH0 K', both: 'B OW1 TH', care: 'K EH1 R', group: 'G R UW1 P', friend: 'F R EH1 N D',
+    began: 'B IH0 G AE1 N', idea: 'AY0 D IY1 AH0', mountain: 'M AW1 N T AH0 N', once: 'W AH1 N S',
+    sure: 'SH UH1 R', color: 'K AH1 L ER0', enough: 'IH0 N AH1 F', usual: 'Y UW1 ZH AH0 W AH0 L',
+    ready: 'R EH1 D IY0', above: 'AH0 B AH1 V', though: 'DH OW1', talk: 'T AO1 K', dog: 'D AO1 G',
+    family: 'F AE1 M AH0 L IY0', song: 'S AO1 NG', measure: 'M EH1 ZH ER0', numeral: 'N UW1 M ER0 AH0 L',
+    wind: 'W AY1 N D', happen: 'HH AE1 P AH0 N', area: 'EH1 R IY0 AH0', half: 'HH AE1 F', fire: 'F AY1 ER0',
+    problem: 'P R AA1 B L AH0 M', told: 'T OW1 L D', whole: 'HH OW1 L', heard: 'HH ER1 D', hour: 'AW1 ER0',
+    during: 'D UH1 R IH0 NG', hundred: 'HH AH1 N D R AH0 D', remember: 'R IH0 M EH1 M B ER0',
+    early: 'ER1 L IY0', hold: 'HH OW1 L D', interest: 'IH1 N T R AH0 S T', listen: 'L IH1 S AH0 N',
+    table: 'T EY1 B AH0 L', travel: 'T R AE1 V AH0 L', simple: 'S IH1 M P AH0 L', vowel: 'V AW1 AH0 L',
+    toward: 'T AH0 W AO1 R D', war: 'W AO1 R', love: 'L AH1 V', money: 'M AH1 N IY0', science: 'S AY1 AH0 N S',
+    pull: 'P UH1 L', cold: 'K OW1 L D', notice: 'N OW1 T AH0 S', fall: 'F AO1 L', certain: 'S ER1 T AH0 N',
+    unit: 'Y UW1 N AH0 T', lead: 'L EH1 D', machine: 'M AH0 SH IY1 N', figure: 'F IH1 G Y ER0',
+    correct: 'K ER0 EH1 K T', able: 'EY1 B AH0 L', done: 'D AH1 N', beauty: 'B Y UW1 T IY0',
+    final: 'F AY1 N AH0 L', oh: 'OW1', develop: 'D IH0 V EH1 L AH0 P', warm: 'W AO1 R M',
+    minute: 'M IH1 N AH0 T', strong: 'S T R AO1 NG', special: 'S P EH1 SH AH0 L', mind: 'M AY1 N D',
+    behind: 'B IH0 HH AY1 N D', course: 'K AO1 R S', full: 'F UH1 L', decide: 'D IH2 S AY1 D',
+    surface: 'S ER1 F AH0 S', island: 'AY1 L AH0 N D', busy: 'B IH1 Z IY0', record: 'R AH0 K AO1 R D',
+    gold: 'G OW1 L D', possible: 'P AA1 S AH0 B AH0 L', laugh: 'L AE1 F', ago: 'AH0 G OW1',
+    language: 'L AE1 NG G W AH0 JH', hello: 'HH AH0 L OW1', hi: 'HH AY1', nova: 'N OW1 V AH0',
+    sorry: 'S AA1 R IY0', okay: 'OW2 K EY1', "i'm": 'AY1 M', "you're": 'Y UH1 R', "won't": 'W OW1 N T',
+    "didn't": 'D IH1 D AH0 N T', "doesn't": 'D AH1 Z AH0 N T', "isn't": 'IH1 Z AH0 N T', "i'll": 'AY1 L',
+    "we're": 'W IY1 R', "they're": 'DH EH1 R', "there's": 'DH EH1 R Z', "here's": 'HH IH1 R Z',
+
+    // Words the text normalizer (../../normalize.js) produces for digits and symbols
+    zero: 'Z IH1 R OW0', seven: 'S EH1 V AH0 N', eleven: 'IH0 L EH1 V AH0 N', thousand: 'TH AW1 Z AH0 N D',
+    million: 'M IH1 L Y AH0 N', billion: 'B IH1 L Y AH0 N', trillion: 'T R IH1 L Y AH0 N',
+    minus: 'M AY1 N AH0 S', second: 'S EH1 K AH0 N D', eighth: 'EY1 T TH', ninth: 'N AY1 N TH',
+    nineties: 'N AY1 N T IY0 Z', quarter: 'K W AO1 R T ER0', quarters: 'K W AO1 R T ER0 Z',
+    dollar: 'D AA1 L ER0', dollars: 'D AA1 L ER0 Z', euro: 'Y UW1 R OW0', euros: 'Y UW1 R OW2 Z',
+    rupee: 'R UW0 P IY1', doctor: 'D AA1 K T ER0', professor: 'P R AH0 F EH1 S ER0',
+    junior: 'JH UW1 N Y ER0', senior: 'S IY1 N Y ER0', that: 'DH AE1 T', is: 'IH1 Z', and: 'AH0 N D',
+    as: 'AE1 Z', cetera: 'S EH1 T ER0 AH0', approximately: 'AH0 P R AA1 K S AH0 M AH0 T L IY0',
+    degrees: 'D IH0 G R IY1 Z', celsius: 'S EH1 L S IY0 AH0 S', fahrenheit: 'F EH1 R AH0 N HH AY2 T',
+    miles: 'M AY1 L Z', hours: 'AW1 ER0 Z', january: 'JH AE1 N Y UW0 EH2 R IY0',
+    february: 'F EH1 B Y AH0 W EH2 R IY0', april: 'EY1 P R AH0 L', july: 'JH UW2 L AY1',
+    august: 'AA1 G AH0 S T', october: 'AA0 K T OW1 B ER0', november: 'N OW0 V EH1 M B ER0',
+    december: 'D IH0 S EH1 M B ER0',
+
+    // Letter names, for spelled-out abbreviations ("p m", "U S")
+    b: 'B IY1', c: 'S IY1', d: 'D IY1', e: 'IY1', f: 'EH1 F', g: 'JH IY1', h: 'EY1 CH', j: 'JH EY1',
+    k: 'K EY1', l: 'EH1 L', m: 'EH1 M', n: 'EH1 N', o: 'OW1', p: 'P IY1', q: 'K Y UW1', r: 'AA1 R',
+    s: 'EH1 S', t: 'T IY1', u: 'Y UW1', v: 'V IY1', w: 'D AH1 B AH0 L Y UW0', x: 'EH1 K S', y: 'W AY1',
+    z: 'Z IY1',
+};
@@ -0,0 +1,116 @@
+/**
+ * English letter-to-sound rules — the fallback for words missing from the
+ * CMU dictionary, and the only source in the browser. They handle the usual
+ * traps: silent letters (knight, wrap, lamb), digraphs (through, phone), magic
+ * e (make, time) and soft c/g.
+ */
+
+import { ENGLISH_WORDS } from './en-words.js';
+
+export const ENGLISH = {
+    code: 'en',
+    name: 'English',
+    vowels: 'aeiou',
+    words: ENGLISH_WORDS,
+    pauses: {},
+    rules: [
+        // Silent letters
+        { letters: 'kn', before: /^$/, sounds: 'N' },
+        { letters: 'gn', before: /^$/, sounds: 'N' },
+        { letters: 'wr', before: /^$/, sounds: 'R' },
+        { letters: 'ps', before: /^$/, sounds: 'S' },
+        { letters: 'mb', after: /^$/, sounds: 'M' },
+        { letters: 'gh', after: /^t/, sounds: '' },
+        // Common spellings
+        { letters: 'tion', sounds: 'SH AH0 N' },
+        { letters: 'sion', sounds: 'ZH AH0 N' },
+        { letters: 'ture', sounds: 'CH ER0' },
+        { letters: 'ough', after: /^t/, sounds: 'AO1' },
+        { letters: 'ough', after: /^$/, before: /thr$/, sounds: 'UW1' },
+        { letters: 'ough', sounds: 'AH1 F' },
+        { letters: 'augh', sounds: 'AO1' },
+        { letters: 'igh', sounds: 'AY1' },
+        { letters: 'eigh', sounds: 'EY1' },
+        { letters: 'tch', sounds: 'CH' },
+        { letters: 'dge', sounds: 'JH' },
+        { letters: 'sch', sounds: 'S K' },
+        { letters: 'ch', sounds: 'CH' },
+        { letters: 'sh', sounds: 'SH' },
+        { letters: 'th', sounds: 'TH' },
+        { letters: 'ph', sounds: 'F' },
+        { letters: 'wh', sounds: 'W' },
+        { letters: 'ck', sounds: 'K' },
+        { letters: 'ng', sounds: 'NG' },
+        { letters: 'qu', sounds: 'K W' },
+        // Vowel teams
+        { letters: 'ee', sounds: 'IY1' },
+        { letters: 'ea', sounds: 'IY1' },
+        { letters: 'ie', after: /^$/, sounds: 'AY1' },
+        { letters: 'ie', sounds: 'IY1' },
+        { letters: 'ei', sounds: 'EY1' },
+        { letters: 'oo', sounds: 'UW1' },
+        { letters: 'ou', sounds: 'AW1' },
+        { letters: 'ow', after: /^$/, sounds: 'OW1' },
+        { letters: 'ow', sounds: 'AW1' },
+        { letters: 'oa', sounds: 'OW1' },
+        { letters: 'oi', sounds: 'OY1' },
+        { letters: 'oy', sounds: 'OY1' },
+        { letters: 'ai', sounds: 'EY1' },
+        { letters: 'ay', sounds: 'EY1' },
+        { letters: 'au', sounds: 'AO1' },
+        { letters: 'aw', sounds: 'AO1' },
+        { letters: 'ue', sounds: 'UW1' },
+        { letters: 'ew', sounds: 'UW1' },
+        // R-coloured vowels
+        { letters: 'ar', sounds: 'AA1 R' },
+        { letters: 'or', sounds: 'AO1 R' },
+        { letters: 'er', sounds: 'ER0' },
+        { letters: 'ir', sounds: 'ER1' },
+        { letters: 'ur', sounds: 'ER1' },
+        // Magic e: vowel + single consonant + final e
+        { letters: 'a', after: /^[^aeiouy]e$/, sounds: 'EY1' },
+        { letters: 'i', after: /^[^aeiouy]e$/, sounds: 'AY1' },
+        { letters: 'o', after: /^[^aeiouy]e$/, sounds: 'OW1' },
+        { letters: 'o', after: /^$/, before: /^(t|d|wh)$/, sounds: 'UW1' },
+        { letters: 'o', after: /^$/, before: /./, sounds: 'OW1' },
+        { letters: 'u', after: /^[^aeiouy]e$/, sounds: 'UW1' },
+        { letters: 'e', after: /^[^aeiouy]e$/, sounds: 'IY1' },
+        // Silent final e
+        { letters: 'e', before: /[a-z]{2,}$/, after: /^$/, sounds: '' },
+        { letters: 'e', before: /[^aeiou][^aeiou]$/, after: /^s$/, sounds: '' },
+        // Soft c/g
+        { letters: 'c', after: /^[eiy]/, sounds: 'S' },
+        { letters: 'g', after: /^[eiy]/, before: /.$/, sounds: 'JH' },
+        // Y as consonant or vowel
+        { letters: 'y', before: /^$/, sounds: 'Y' },
+        { letters: 'y', after: /^$/, before: /^[^aeiou]+$/, sounds: 'AY1' },
+        { letters: 'y', after: /^$/, sounds: 'IY0' },
+        { letters: 'y', sounds: 'IH0' },
+        // Single letters
+        { letters: 'a', sounds: 'AE1' },
+        { letters: 'e', sounds: 'EH1' },
+        { letters: 'i', sounds: 'IH1' },
+        { letters: 'o', sounds: 'AA1' },
+        { letters: 'u', sounds: 'AH1' },
+        { letters: 'b', sounds: 'B' },
+        { letters: 'c', sounds: 'K' },
+        { letters: 'd', sounds: 'D' },
+        { letters: 'f', sounds: 'F' },
+        { letters: 'g', sounds: 'G' },
+        { letters: 'h', sounds: 'HH' },
+        { letters: 'j', sounds: 'JH' },
+        { letters: 'k', sounds: 'K' },
+        { letters: 'l', sounds: 'L' },
+        { letters: 'm', sounds: 'M' },
+        { letters: 'n', sounds: 'N' },
+        { letters: 'p', sounds: 'P' },
+        { letters: 'q', sounds: 'K' },
+        { letters: 'r', sounds: 'R' },
+        { letters: 's', sounds: 'S' },
+        { letters: 't', sounds: 'T' },
+        { letters: 'v', sounds: 'V' },
+        { letters: 'w', sounds: 'W' },
+        { letters: 'x', sounds: 'K S' },
+        { letters: 'z', sounds: 'Z' },
+    ],
+};
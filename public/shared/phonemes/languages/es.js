@@ -0,0 +1,58 @@
+/**
+ * Spanish letter-to-sound rules. Spelling is close to phonemic, so rules alone
+ * are enough: pure vowels, silent h, ll/y, ñ, soft c/g, the jota and the
+ * inverted ¿ ¡ marks (which open a clause and need no pause).
+ */
+
+export const SPANISH = {
+    code: 'es',
+    name: 'Spanish',
+    vowels: 'aeiouáéíóúü',
+    pauses: { '¿': 0, '¡': 0 },
+    rules: [
+        { letters: 'ch', sounds: 'CH' },
+        { letters: 'll', sounds: 'Y' },
+        { letters: 'rr', sounds: 'R' },
+        { letters: 'qu', sounds: 'K' },
+        { letters: 'gu', after: /^[eéií]/, sounds: 'G' },
+        { letters: 'gü', sounds: 'G W' },
+        { letters: 'c', after: /^[eéií]/, sounds: 'S' },
+        { letters: 'g', after: /^[eéií]/, sounds: 'HH' },
+        { letters: 'h', sounds: '' },
+        { letters: 'j', sounds: 'HH' },
+        { letters: 'ñ', sounds: 'N Y' },
+        { letters: 'v', sounds: 'B' },
+        { letters: 'z', sounds: 'S' },
+        { letters: 'x', sounds: 'K S' },
+        { letters: 'y', after: /^$/, sounds: 'IY0' },
+        { letters: 'y', sounds: 'Y' },
+        // Unstressed i/u next to another vowel glide
+        { letters: 'i', after: /^[aeouáéóú]/, sounds: 'Y' },
+        { letters: 'u', after: /^[aeioáéíó]/, before: /[^gq]$/, sounds: 'W' },
+        // Written accents mark stress
+        { letters: 'á', sounds: 'AA1' },
+        { letters: 'é', sounds: 'EH1' },
+        { letters: 'í', sounds: 'IY1' },
+        { letters: 'ó', sounds: 'AO1' },
+        { letters: 'ú', sounds: 'UW1' },
+        { letters: 'a', sounds: 'AA1' },
+        { letters: 'e', sounds: 'EH1' },
+        { letters: 'i', sounds: 'IY1' },
+        { letters: 'o', sounds: 'AO1' },
+        { letters: 'u', sounds: 'UW1' },
+        { letters: 'b', sounds: 'B' },
+        { letters: 'c', sounds: 'K' },
+        { letters: 'd', sounds: 'D' },
+        { letters: 'f', sounds: 'F' },
+        { letters: 'g', sounds: 'G' },
+        { letters: 'k', sounds: 'K' },
+        { letters: 'l', sounds: 'L' },
+        { letters: 'm', sounds: 'M' },
+        { letters: 'n', sounds: 'N' },
+        { letters: 'p', sounds: 'P' },
+        { letters: 'r', sounds: 'R' },
+        { letters: 's', sounds: 'S' },
+        { letters: 't', sounds: 'T' },
+        { letters: 'w', sounds: 'W' },
+    ],
+};
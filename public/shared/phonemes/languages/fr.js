@@ -0,0 +1,100 @@
+/**
+ * French letter-to-sound rules: vowel groups (eau, ou, oi), nasal vowels,
+ * silent h and final consonants, -er/-ez endings, soft c/g and gn. The space
+ * before ? ! : ; is ordinary whitespace here; guillemets are ignored.
+ */
+
+const V = 'aeiouyàâäéèêëîïôöùûüœ';
+
+export const FRENCH = {
+    code: 'fr',
+    name: 'French',
+    vowels: V,
+    pauses: { '«': 0, '»': 0 },
+    rules: [
+        { letters: 'eaux', sounds: 'OW1' },
+        { letters: 'eau', sounds: 'OW1' },
+        { letters: 'aux', after: /^$/, sounds: 'OW1' },
+        { letters: 'ille', before: /[^v]$/, sounds: 'IY1 Y' },
+        { letters: 'oin', sounds: 'W EH1' },
+        { letters: 'oi', sounds: 'W AA1' },
+        { letters: 'ou', sounds: 'UW1' },
+        { letters: 'où', sounds: 'UW1' },
+        { letters: 'au', sounds: 'OW1' },
+        { letters: 'ai', sounds: 'EH1' },
+        { letters: 'ei', sounds: 'EH1' },
+        { letters: 'œu', sounds: 'ER1' },
+        { letters: 'eu', sounds: 'ER1' },
+        // Nasal vowels: vowel + n/m not followed by a vowel or another n/m
+        { letters: 'ain', after: new RegExp(`^([^${V}nm]|$)`), sounds: 'EH1' },
+        { letters: 'ein', after: new RegExp(`^([^${V}nm]|$)`), sounds: 'EH1' },
+        { letters: 'an', after: new RegExp(`^([^${V}nm]|$)`), sounds: 'AA1' },
+        { letters: 'am', after: new RegExp(`^([^${V}nm]|$)`), sounds: 'AA1' },
+        { letters: 'en', after: new RegExp(`^([^${V}nm]|$)`), sounds: 'AA1' },
+        { letters: 'em', after: new RegExp(`^([^${V}nm]|$)`), sounds: 'AA1' },
+        { letters: 'on', after: new RegExp(`^([^${V}nm]|$)`), sounds: 'AO1' },
+        { letters: 'om', after: new RegExp(`^([^${V}nm]|$)`), sounds: 'AO1' },
+        { letters: 'in', after: new RegExp(`^([^${V}nm]|$)`), sounds: 'EH1' },
+        { letters: 'im', after: new RegExp(`^([^${V}nm]|$)`), sounds: 'EH1' },
+        { letters: 'un', after: new RegExp(`^([^${V}nm]|$)`), sounds: 'ER1' },
+        // Verb and plural endings
+        { letters: 'ent', after: /^$/, before: /.{2,}$/, sounds: '' },
+        { letters: 'er', after: /^$/, before: /.{2,}$/, sounds: 'EY1' },
+        { letters: 'ez', after: /^$/, sounds: 'EY1' },
+        { letters: 'es', after: /^$/, before: /^.$/, sounds: 'EY1' },
+        { letters: 'es', after: /^$/, before: /.$/, sounds: '' },
+        { letters: 'e', after: /^$/, before: /.$/, sounds: '' },
+        // Final consonants are usually silent (but not c, r, f, l)
+        { letters: 's', after: /^$/, sounds: '' },
+        { letters: 't', after: /^$/, sounds: '' },
+        { letters: 'd', after: /^$/, sounds: '' },
+        { letters: 'x', after: /^$/, sounds: '' },
+        { letters: 'z', after: /^$/, sounds: '' },
+        { letters: 'p', after: /^$/, sounds: '' },
+        { letters: 'ch', sounds: 'SH' },
+        { letters: 'gn', sounds: 'N Y' },
+        { letters: 'qu', sounds: 'K' },
+        { letters: 'ph', sounds: 'F' },
+        { letters: 'th', sounds: 'T' },
+        { letters: 'c', after: /^[eiyéèê]/, sounds: 'S' },
+        { letters: 'g', after: /^[eiyéèê]/, sounds: 'ZH' },
+        { letters: 'ç', sounds: 'S' },
+        { letters: 'h', sounds: '' },
+        { letters: 'j', sounds: 'ZH' },
+        { letters: 's', before: new RegExp(`[${V}]$`), after: new RegExp(`^[${V}]`), sounds: 'Z' },
+        { letters: 'é', sounds: 'EY1' },
+        { letters: 'è', sounds: 'EH1' },
+        { letters: 'ê', sounds: 'EH1' },
+        { letters: 'ë', sounds: 'EH1' },
+        { letters: 'à', sounds: 'AA1' },
+        { letters: 'â', sounds: 'AA1' },
+        { letters: 'î', sounds: 'IY1' },
+        { letters: 'ï', sounds: 'IY1' },
+        { letters: 'ô', sounds: 'OW1' },
+        { letters: 'û', sounds: 'UW1' },
+        { letters: 'ù', sounds: 'UW1' },
+        { letters: 'a', sounds: 'AA1' },
+        { letters: 'e', sounds: 'AH0' },
+        { letters: 'i', sounds: 'IY1' },
+        { letters: 'o', sounds: 'AO1' },
+        { letters: 'u', sounds: 'UW1' },
+        { letters: 'y', sounds: 'IY1' },
+        { letters: 'b', sounds: 'B' },
+        { letters: 'c', sounds: 'K' },
+        { letters: 'd', sounds: 'D' },
+        { letters: 'f', sounds: 'F' },
+        { letters: 'g', sounds: 'G' },
+        { letters: 'k', sounds: 'K' },
+        { letters: 'l', sounds: 'L' },
+        { letters: 'm', sounds: 'M' },
+        { letters: 'n', sounds: 'N' },
+        { letters: 'p', sounds: 'P' },
+        { letters: 'r', sounds: 'R' },
+        { letters: 's', sounds: 'S' },
+        { letters: 't', sounds: 'T' },
+        { letters: 'v', sounds: 'V' },
+        { letters: 'w', sounds: 'W' },
+        { letters: 'x', sounds: 'K S' },
+        { letters: 'z', sounds: 'Z' },
+    ],
+};
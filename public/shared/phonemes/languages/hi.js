@@ -0,0 +1,58 @@
+/**
+ * Transliterated (romanised) Hindi rules, as in "aap kaise ho". Aspirated
+ * consonants (kh, gh, bh, ...) keep their base mouth shape, "th"/"dh" are
+ * dental stops rather than English "th", and the danda (। ॥) ends a sentence.
+ */
+
+export const HINDI = {
+    code: 'hi',
+    name: 'Hindi (romanised)',
+    vowels: 'aeiou',
+    pauses: { '।': 0.35, '॥': 0.45 },
+    rules: [
+        { letters: 'cch', sounds: 'CH' },
+        { letters: 'chh', sounds: 'CH' },
+        { letters: 'ch', sounds: 'CH' },
+        { letters: 'kh', sounds: 'K' },
+        { letters: 'gh', sounds: 'G' },
+        { letters: 'jh', sounds: 'JH' },
+        { letters: 'th', sounds: 'T' },
+        { letters: 'dh', sounds: 'D' },
+        { letters: 'ph', sounds: 'F' },
+        { letters: 'bh', sounds: 'B' },
+        { letters: 'sh', sounds: 'SH' },
+        { letters: 'aa', sounds: 'AA1' },
+        { letters: 'ee', sounds: 'IY1' },
+        { letters: 'ii', sounds: 'IY1' },
+        { letters: 'oo', sounds: 'UW1' },
+        { letters: 'uu', sounds: 'UW1' },
+        { letters: 'ai', sounds: 'EH1' },
+        { letters: 'au', sounds: 'AO1' },
+        { letters: 'a', sounds: 'AH1' },
+        { letters: 'e', sounds: 'EY1' },
+        { letters: 'i', sounds: 'IH1' },
+        { letters: 'o', sounds: 'OW1' },
+        { letters: 'u', sounds: 'UH1' },
+        { letters: 'b', sounds: 'B' },
+        { letters: 'c', sounds: 'K' },
+        { letters: 'd', sounds: 'D' },
+        { letters: 'f', sounds: 'F' },
+        { letters: 'g', sounds: 'G' },
+        { letters: 'h', sounds: 'HH' },
+        { letters: 'j', sounds: 'JH' },
+        { letters: 'k', sounds: 'K' },
+        { letters: 'l', sounds: 'L' },
+        { letters: 'm', sounds: 'M' },
+        { letters: 'n', sounds: 'N' },
+        { letters: 'p', sounds: 'P' },
+        { letters: 'q', sounds: 'K' },
+        { letters: 'r', sounds: 'R' },
+        { letters: 's', sounds: 'S' },
+        { letters: 't', sounds: 'T' },
+        { letters: 'v', sounds: 'V' },
+        { letters: 'w', sounds: 'V' },
+        { letters: 'y', sounds: 'Y' },
+        { letters: 'z', sounds: 'Z' },
+        { letters: 'x', sounds: 'K S' },
+    ],
+};
@@ -0,0 +1,38 @@
+/**
+ * Per-language pronunciation settings for the phoneme timeline.
+ *
+ * Each language provides:
+ *   code, name
+ *   vowels       letters that count as vowels (doubled consonants collapse, vowels don't)
+ *   rules        ordered letter-to-sound rules: { letters, before?, after?, sounds }
+ *   pauses       punctuation → pause seconds, merged over DEFAULT_PAUSES
+ *                (0 means "opening mark, no pause")
+ *   words        optional built-in pronunciations used when no dictionary is registered
+ */
+
+import { ENGLISH } from './en.js';
+import { SPANISH } from './es.js';
+import { GERMAN } from './de.js';
+import { FRENCH } from './fr.js';
+import { HINDI } from './hi.js';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const DEFAULT_PAUSES = {
+    '.': 0.35, '!': 0.3, '?': 0.3, ',': 0.2, ';': 0.25, ':': 0.25, '…': 0.45,
+};
+
+const LANGUAGES = new Map([ENGLISH, SPANISH, GERMAN, FRENCH, HINDI].map(language => [
+    language.code,
+    { ...language, pauses: { ...DEFAULT_PAUSES, ...language.pauses } },
+]));
+
+export const LANGUAGE_CODES = [...LANGUAGES.keys()];
+
+/**
+ * Resolve a BCP 47 tag ("es-MX", "fr", "hi-Latn") to a language, falling back to English.
+ */
+export function getLanguage(lang) {
+    const code = String(lang || DEFAULT_LANGUAGE).toLowerCase().split(/[-_]/)[0];
+    return LANGUAGES.get(code) || LANGUAGES.get(DEFAULT_LANGUAGE);
+}
@@ -0,0 +1,110 @@
+/**
+ * Pronunciation Lexicon
+ *
+ * Deployment-specific pronunciations for product names and jargon, looked up
+ * before any dictionary. An entry gives ARPAbet phonemes, a respelling or both:
+ *   { "qwibble": { "phonemes": "K W IH1 B AH0 L", "say": "kwib-ul" } }
+ * A plain string is read as phonemes when every symbol is ARPAbet, else as a
+ * respelling ("nova": "noh-vuh").
+ *
+ * Phonemes drive the visemes; without them the respelling is pronounced
+ * instead. Voices that can't take phonemes (the browser's speechSynthesis,
+ * command engines) are given the respelling in place of the word.
+ *
+ * The server keeps the lexicon on disk (lib/lexicon.js); the browser loads it
+ * from GET /api/lexicon.
+ */
+
+import { ARPABET_VISEMES } from './visemes.js';
+
+const MAX_ENTRIES = 2000;
+const WORD = /^\p{L}+(?:'\p{L}+)*$/u;
+const RESPELLING = /^[\p{L}'\s-]+$/u;
+
+// word (lowercase) → { phonemes?, say? }
+let entries = new Map();
+
+function lexiconKey(word) {
+    return word.trim().toLowerCase().normalize('NFC').replace(/’/g, "'");
+}
+
+function isArpabetSymbol(symbol) {
+    return /^[A-Z]+[012]?$/.test(symbol) && symbol.replace(/\d$/, '') in ARPABET_VISEMES;
+}
+
+function checkPhonemes(word, phonemes) {
+    const symbols = String(phonemes).trim().toUpperCase().split(/\s+/).filter(Boolean);
+    if (symbols.length === 0) throw new Error(`"${word}": phonemes are empty`);
+    const unknown = symbols.find(symbol => !isArpabetSymbol(symbol));
+    if (unknown) throw new Error(`"${word}": unknown phoneme "${unknown}"`);
+    return symbols.join(' ');
+}
+
+function checkRespelling(word, say) {
+    const respelling = String(say).trim().replace(/\s+/g, ' ');
+    if (!respelling || !RESPELLING.test(respelling)) {
+        throw new Error(`"${word}": a respelling may only contain letters, spaces, hyphens and apostrophes`);
+    }
+    return respelling;
+}
+
+/**
+ * Validate a lexicon and bring it to its stored form: lowercase words, each
+ * with `phonemes` and/or `say`. Throws an Error describing the first bad entry.
+ * @param {object} input { word: 'ARPAbet or respelling' | { phonemes?, say? } }
+ * @returns {object}
+ */
+export function normalizeLexicon(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('The lexicon must be an object mapping words to pronunciations');
+    }
+    const words = Object.keys(input);
+    if (words.length > MAX_ENTRIES) throw new Error(`Too many entries (max ${MAX_ENTRIES})`);
+
+    const lexicon = {};
+    for (const word of words) {
+        const key = lexiconKey(word);
+        if (!WORD.test(key)) throw new Error(`"${word}" is not a single word`);
+
+        const value = input[word];
+        const entry = {};
+        if (typeof value === 'string') {
+            if (value.trim().split(/\s+/).every(isArpabetSymbol)) entry.phonemes = checkPhonemes(word, value);
+            else entry.say = checkRespelling(word, value);
+        } else if (value && typeof value === 'object') {
+            if (value.phonemes != null) entry.phonemes = checkPhonemes(word, value.phonemes);
+            if (value.say != null) entry.say = checkRespelling(word, value.say);
+        }
+        if (!entry.phonemes && !entry.say) throw new Error(`"${word}": give phonemes or a respelling ("say")`);
+        lexicon[key] = entry;
+    }
+    return Object.fromEntries(Object.entries(lexicon).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Replace the active lexicon.
+ * @param {object} lexicon as accepted by normalizeLexicon()
+ * @returns {number} the number of entries
+ */
+export function setLexicon(lexicon) {
+    entries = new Map(Object.entries(normalizeLexicon(lexicon)));
+    return entries.size;
+}
+
+/** The lexicon entry for a word, if any. */
+export function lexiconEntry(word) {
+    return entries.get(lexiconKey(word)) || null;
+}
+
+/**
+ * Swap words that have a respelling for it, for voices that read plain text.
+ * Capitalization of the first letter is kept.
+ */
+export function applyRespellings(text) {
+    if (entries.size === 0 || !text) return text;
+    return text.replace(/\p{L}+(?:['’]\p{L}+)*/gu, (word) => {
+        const say = lexiconEntry(word)?.say;
+        if (!say) return word;
+        return /^\p{Lu}/u.test(word) ? say[0].toUpperCase() + say.slice(1) : say;
+    });
+}
@@ -0,0 +1,60 @@
+/**
+ * ARPAbet → viseme mapping and phoneme durations.
+ *
+ * Visemes are the Oculus/Ready Player Me set (viseme_sil, viseme_PP, ...).
+ * Durations are typical conversational lengths in seconds at normal speaking
+ * rate; stress scales vowels up or down around them.
+ */
+
+export const ARPABET_VISEMES = {
+    // Vowels
+    AA: 'viseme_aa', AE: 'viseme_aa', AH: 'viseme_aa', AO: 'viseme_O',
+    EH: 'viseme_E', ER: 'viseme_RR', IH: 'viseme_I', IY: 'viseme_I',
+    UH: 'viseme_U', UW: 'viseme_U',
+    // Diphthongs (split into two shapes by DIPHTHONGS below)
+    AW: 'viseme_aa', AY: 'viseme_aa', EY: 'viseme_E', OW: 'viseme_O', OY: 'viseme_O',
+    // Stops
+    B: 'viseme_PP', P: 'viseme_PP', D: 'viseme_DD', T: 'viseme_DD', G: 'viseme_kk', K: 'viseme_kk',
+    // Fricatives & affricates
+    F: 'viseme_FF', V: 'viseme_FF', TH: 'viseme_TH', DH: 'viseme_TH',
+    S: 'viseme_SS', Z: 'viseme_SS', SH: 'viseme_CH', ZH: 'viseme_CH', CH: 'viseme_CH', JH: 'viseme_CH',
+    // Nasals, liquids, glides
+    M: 'viseme_PP', N: 'viseme_nn', NG: 'viseme_nn', L: 'viseme_nn', R: 'viseme_RR',
+    W: 'viseme_U', Y: 'viseme_I',
+    // HH has no shape of its own; it takes the shape of the following vowel
+    HH: null,
+};
+
+/** Diphthongs glide between two mouth shapes; the first takes `split` of the duration. */
+export const DIPHTHONGS = {
+    AW: { to: 'viseme_U', split: 0.6 },
+    AY: { to: 'viseme_I', split: 0.6 },
+    EY: { to: 'viseme_I', split: 0.7 },
+    OW: { to: 'viseme_U', split: 0.65 },
+    OY: { to: 'viseme_I', split: 0.6 },
+};
+
+export const PHONEME_DURATIONS = {
+    AA: 0.12, AE: 0.12, AH: 0.07, AO: 0.12, AW: 0.16, AY: 0.15, EH: 0.09, ER: 0.11,
+    EY: 0.13, IH: 0.07, IY: 0.1, OW: 0.13, OY: 0.16, UH: 0.08, UW: 0.11,
+    B: 0.065, D: 0.055, G: 0.065, K: 0.075, P: 0.085, T: 0.07,
+    F: 0.09, V: 0.06, TH: 0.08, DH: 0.04, S: 0.1, Z: 0.075, SH: 0.11, ZH: 0.08, HH: 0.06,
+    CH: 0.1, JH: 0.08,
+    M: 0.07, N: 0.06, NG: 0.07, L: 0.065, R: 0.065, W: 0.06, Y: 0.055,
+};
+
+export const VOWELS = new Set(['AA', 'AE', 'AH', 'AO', 'AW', 'AY', 'EH', 'ER', 'EY', 'IH', 'IY', 'OW', 'OY', 'UH', 'UW']);
+
+// Primary stress lengthens a vowel, unstressed vowels are reduced
+export const STRESS_SCALE = { 0: 0.8, 1: 1.2, 2: 1.0 };
+
+/**
+ * Typical first three formants (Hz) of the monophthong vowels (Peterson &
+ * Barney averages). The formant synth voices them; the aligner matches
+ * measured formants against them.
+ */
+export const VOWEL_FORMANTS = {
+    AA: [730, 1090, 2440], AE: [660, 1720, 2410], AH: [640, 1190, 2390], AO: [570, 840, 2410],
+    EH: [530, 1840, 2480], ER: [490, 1350, 1690], IH: [390, 1990, 2550], IY: [270, 2290, 3010],
+    UH: [440, 1020, 2240], UW: [300, 870, 2240],
+};
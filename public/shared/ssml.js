@@ -0,0 +1,194 @@
+/**
+ * SSML Subset
+ *
+ * Scripted lines can control pacing with a small part of SSML:
+ *   <break time="500ms"/> or <break strength="strong"/>
+ *   <emphasis level="strong|moderate|reduced">…</emphasis>
+ *   <prosody rate="slow|fast|80%|1.2">…</prosody>
+ *   <say-as interpret-as="characters|digits|cardinal|ordinal|telephone">…</say-as>
+ * plus <speak>, <p> and <s> wrappers. Other tags are dropped, their text kept.
+ *
+ * parseSsml() flattens the markup into segments the phoneme timeline can walk:
+ *   { type: 'text', text, rate, emphasis } and { type: 'break', time }
+ * ssmlToSpeech() turns it into normalized plain text and one rate for engines
+ * without SSML.
+ *
+ * Shared by the server and the browser (served from /shared/).
+ */
+
+import { numberToWords, digitsToWords, ordinalToWords } from './numbers.js';
+import { normalizeText } from './normalize.js';
+
+const BREAK_STRENGTHS = { none: 0, 'x-weak': 0.1, weak: 0.2, medium: 0.35, strong: 0.6, 'x-strong': 1.0 };
+const RATES = { 'x-slow': 0.6, slow: 0.8, medium: 1, default: 1, fast: 1.25, 'x-fast': 1.5 };
+const EMPHASIS = { strong: 1.3, moderate: 1.15, none: 1, reduced: 0.8 };
+const PARAGRAPH_BREAK = 0.6;
+const SENTENCE_BREAK = 0.35;
+const MAX_BREAK = 10;         // seconds, one <break>
+const MAX_TOTAL_BREAK = 30;   // seconds, all the pauses of one text
+const RATE_RANGE = [0.3, 3];  // also applies to nested <prosody> rates combined
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/** Does this text contain SSML markup we understand? */
+export function isSsml(text) {
+    return typeof text === 'string' && /<\/?(speak|break|emphasis|prosody|say-as|p|s)\b[^>]*>/i.test(text);
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => ENTITIES[name]);
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    for (const [, name, value] of source.matchAll(/([\w-]+)\s*=\s*["']([^"']*)["']/g)) {
+        attributes[name.toLowerCase()] = value;
+    }
+    return attributes;
+}
+
+/** "500ms", "1.5s" or a named strength → seconds. */
+export function parseBreakTime({ time, strength }) {
+    const match = String(time || '').trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s)$/i);
+    if (match) return Math.min(MAX_BREAK, Number(match[1]) / (match[2].toLowerCase() === 'ms' ? 1000 : 1));
+    return BREAK_STRENGTHS[strength] ?? BREAK_STRENGTHS.medium;
+}
+
+function clampRate(rate) {
+    return Math.min(RATE_RANGE[1], Math.max(RATE_RANGE[0], rate));
+}
+
+/** "slow", "80%", "+20%" or "1.2" → speed multiplier (1 = normal). */
+export function parseRate(rate) {
+    const value = String(rate || '').trim().toLowerCase();
+    if (value in RATES) return RATES[value];
+    const percent = value.match(/^([+-])?(\d+(?:\.\d+)?)%$/);
+    if (percent) {
+        const amount = Number(percent[2]) / 100;
+        const multiplier = percent[1] === '+' ? 1 + amount : percent[1] === '-' ? 1 - amount : amount;
+        return clampRate(multiplier);
+    }
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? clampRate(number) : 1;
+}
+
+/** Expand <say-as> content into words. */
+export function sayAs(text, interpretAs = '') {
+    const content = text.trim();
+    switch (interpretAs.toLowerCase()) {
+        case 'characters':
+        case 'spell-out':
+            return [...content.replace(/\s+/g, '')].join(' ');
+        case 'digits':
+        case 'telephone':
+            return content.split(/[^\d]+/).filter(Boolean).map(digitsToWords).join(', ');
+        case 'cardinal':
+        case 'number':
+            return /^-?[\d,]+(\.\d+)?$/.test(content) ? numberToWords(content) : content;
+        case 'ordinal':
+            return /^\d+/.test(content) ? ordinalToWords(content.match(/^\d+/)[0]) : content;
+        default:
+            return content;
+    }
+}
+
+/**
+ * Flatten SSML into timed segments. Plain text comes back as a single segment.
+ * @returns {{ text: string, segments: object[] }} `text` is the speakable plain text
+ */
+export function parseSsml(input) {
+    const segments = [];
+    const stack = [{ rate: 1, emphasis: 1 }];
+    let sayAsStack = null;
+    let breakTime = 0;
+
+    // Pauses add up to MAX_TOTAL_BREAK at most, however many breaks there are
+    const addBreak = (time) => {
+        const last = segments[segments.length - 1];
+        if (!last) return;
+        const previous = last.type === 'break' ? last.time : 0;
+        const allowed = Math.min(Math.max(previous, time), previous + MAX_TOTAL_BREAK - breakTime);
+        breakTime += allowed - previous;
+        if (last.type === 'break') last.time = allowed;
+        else segments.push({ type: 'break', time: allowed });
+    };
+    const addText = (raw) => {
+        const text = decodeEntities(raw).replace(/\s+/g, ' ');
+        if (!text.trim()) return;
+        const { rate, emphasis } = stack[stack.length - 1];
+        segments.push({ type: 'text', text, rate, emphasis });
+    };
+
+    for (const [, before, tag] of `${input}<end/>`.matchAll(/([^<]*)<([^>]*)>/g)) {
+        if (sayAsStack) sayAsStack.text += before;
+        else addText(before);
+
+        const match = tag.match(/^(\/)?\s*([\w-]+)([^]*?)(\/)?\s*$/);
+        if (!match) continue;
+        const [, closing, rawName, attributeSource, selfClosing] = match;
+        const name = rawName.toLowerCase();
+        const attributes = parseAttributes(attributeSource);
+        const current = stack[stack.length - 1];
+
+        if (name === 'break') {
+            addBreak(parseBreakTime(attributes));
+        } else if (name === 'say-as') {
+            if (closing && sayAsStack) {
+                addText(` ${sayAs(sayAsStack.text, sayAsStack.interpretAs)} `);
+                sayAsStack = null;
+            } else if (!closing) {
+                sayAsStack = { text: '', interpretAs: attributes['interpret-as'] || '' };
+            }
+        } else if (name === 'p' || name === 's') {
+            addBreak(name === 'p' ? PARAGRAPH_BREAK : SENTENCE_BREAK);
+        } else if (name === 'emphasis' || name === 'prosody') {
+            if (closing) {
+                if (stack.length > 1) stack.pop();
+            } else if (!selfClosing) {
+                stack.push(name === 'emphasis'
+                    ? { ...current, emphasis: current.emphasis * (EMPHASIS[attributes.level] ?? EMPHASIS.moderate) }
+                    : { ...current, rate: clampRate(current.rate * parseRate(attributes.rate)) });
+            }
+        }
+    }
+
+    // A trailing break has nothing left to separate
+    while (segments[segments.length - 1]?.type === 'break') segments.pop();
+
+    const text = segments.map(s => (s.type === 'text' ? s.text : ' ')).join('')
+        .replace(/\s+/g, ' ').replace(/\s+([,.!?;:])/g, '$1').trim();
+    return { text, segments };
+}
+
+/** Plain speakable text with every tag removed (say-as content expanded). */
+export function stripSsml(text) {
+    return isSsml(text) ? parseSsml(text).text : text;
+}
+
+/**
+ * Text and rate for a speech engine that doesn't understand SSML (the
+ * browser's speechSynthesis): breaks become punctuation — a full stop for
+ * long ones — and prosody rates become one rate, averaged over the text.
+ * The text is normalized the same way the phoneme timeline normalizes it.
+ * @param {string} input plain text or SSML
+ * @param {{ lang?: string }} [options]
+ * @returns {{ text: string, rate: number }}
+ */
+export function ssmlToSpeech(input, { lang } = {}) {
+    if (!isSsml(input)) return { text: normalizeText(input, { lang }), rate: 1 };
+    const { segments } = parseSsml(input);
+    let text = '', weighted = 0, length = 0;
+    for (const segment of segments) {
+        if (segment.type === 'break') {
+            text = text.trimEnd().replace(/[,.!?;:]*$/, match => match || (segment.time >= 0.5 ? '.' : ',')) + ' ';
+            continue;
+        }
+        text += normalizeText(segment.text, { lang });
+        weighted += segment.text.length * segment.rate;
+        length += segment.text.length;
+    }
+    return {
+        text: text.replace(/\s+/g, ' ').replace(/\s+([,.!?;:])/g, '$1').trim(),
+        rate: length > 0 ? weighted / length : 1,
+    };
+}
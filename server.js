@@ -3,14 +3,52 @@
  * 
  * Express server that provides:
  * 1. Static file serving for the frontend
- * 2. POST /api/chat - Groq LLM chat + AI-powered emotion detection
- * 3. POST /api/tts-data - Enhanced phoneme timing data for lip sync
+ * 2. POST /api/chat - LLM chat (Groq / OpenAI-compatible / mock) returning text, blended emotion and gestures
+ * 3. POST /api/chat/stream - Same as /api/chat, streamed sentence-by-sentence over SSE
+ * 4. POST /api/tts-data - Phoneme timing data for lip sync (dictionary G2P + rules, SSML subset)
+ *    POST /api/tts - Server-synthesized WAV speech plus the exact viseme timeline it follows
+ *    POST /api/align - Viseme timeline for recorded speech (WAV/PCM upload, optional transcript)
+ *    GET/POST /api/stt - Speech-to-text for MediaRecorder chunks, for browsers without SpeechRecognition
+ *    GET/PUT /api/lexicon - Custom pronunciations (phonemes or respellings) for names and jargon
+ * 5. /api/sessions - Inspect, delete and reset conversation sessions
+ *    POST /api/sessions/:id/interrupt - Barge-in: keep only the part of a reply that was spoken
+ *    POST /api/sessions/:id/events - Push a realtime event (remark, emotion, interrupt...) to a session's clients
+ * 6. GET /api/personas - Available persona packs (prompt, voice, avatar, emotions)
+ *
+ * 7. POST /api/admin/reindex - Rebuild the knowledge/ search index
+ *
+ * Replies can call local tools (time, calculator, unit conversion, notes); the
+ * tools that ran are reported back so the client can show what Nova is doing.
+ * Relevant knowledge/ passages are added to the prompt and returned as `sources`.
+ *
+ * The WebSocket endpoint /ws carries chat turns as typed events and lets the
+ * server push to the client (see lib/realtime.js).
  */
 
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import Groq from 'groq-sdk';
+import { resolveLLM } from './lib/llm/index.js';
+import { createSessionStore } from './lib/sessions/index.js';
+import { loadPersonas, publicPersona } from './lib/personas.js';
+import { createToolRegistry } from './lib/tools/index.js';
+import { registerBuiltinTools } from './lib/tools/builtins.js';
+import { createNotesStore } from './lib/tools/notes.js';
+import { createKnowledgeBase } from './lib/knowledge.js';
+import { generatePhonemeData, normalizeLexicon, DICTIONARY_SIZE } from './lib/phonemes/index.js';
+import { createLexiconStore } from './lib/lexicon.js';
+import { classifyEmotion, emotionState, emotionKeyframes } from './lib/emotion.js';
+import { resolveLanguage, languageInstructions, isSupportedLanguage } from './lib/language.js';
+import { isSsml, stripSsml } from './public/shared/ssml.js';
+import { resolveEngine } from './lib/tts/index.js';
+import { resolveRecognizer } from './lib/stt/index.js';
+import { createRealtimeHub, pushedStateEvent } from './lib/realtime.js';
+import { decodeWav, decodePcm16 } from './lib/audio/wav.js';
+import { alignAudio } from './lib/audio/align.js';
+import {
+    structuredReplyInstructions, normalizeReply, parseStructuredReply, createStructuredStreamParser,
+} from './lib/structured-reply.js';
+import { randomUUID } from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
@@ -25,174 +63,115 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(join(__dirname, 'public')));
 
-// ─── Groq LLM Setup ─────────────────────────────────────────────────────────
+// ─── LLM Setup ──────────────────────────────────────────────────────────────
 
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY || '' });
+// Deployment default; see lib/llm/index.js for the LLM_* environment variables
+const llm = resolveLLM();
 
-const SYSTEM_PROMPT = `You are Nova, a warm, charismatic, and highly intelligent AI virtual human represented by a photo-realistic 3D human avatar in a browser.
+// ─── Personas ───────────────────────────────────────────────────────────────
 
-PERSONALITY:
-- Speak naturally as if face-to-face — confident, warm, occasionally witty
-- Show genuine curiosity and enthusiasm about the user's topics
-- Be concise but substantive: 2-4 sentences max for most answers
-- Express emotions naturally through your word choice
-- Your name is Nova — use it naturally when relevant
-- You have a full human body with gestures and facial expressions
+const personas = await loadPersonas(join(__dirname, 'personas'));
+const DEFAULT_PERSONA = process.env.DEFAULT_PERSONA || 'nova';
+if (!personas.has(DEFAULT_PERSONA)) {
+    throw new Error(`Default persona "${DEFAULT_PERSONA}" not found in personas/`);
+}
 
-CONVERSATION STYLE:
-- Greet people warmly but briefly
-- Use natural pauses and emphasis in your speech
-- React emotionally to what people say — if something is exciting, be excited
-- If something is sad or difficult, show empathy
-- Occasionally use hand gestures verbally ("Let me explain..." "Think of it this way...")
+function resolvePersona(id) {
+    return personas.get(id || DEFAULT_PERSONA) || null;
+}
 
-CRITICAL FORMAT RULES:
-- NEVER use markdown, emojis, asterisks, bullet points, or special formatting
-- Speak in clean, natural sentences only
-- No numbered lists or headers
-- Respond as if literally speaking out loud to someone standing in front of you
-- Keep responses conversational and flowing, not lecture-like`;
+// Personas may pin their own provider/model; otherwise the deployment default applies
+function llmFor(persona) {
+    return persona.llm ? resolveLLM(persona.llm) : llm;
+}
 
 // chatSessions stores per-session message history for multi-turn conversations
-const chatSessions = new Map();
-
-// ─── Enhanced Phoneme Engine ────────────────────────────────────────────────
-
-/**
- * Advanced phoneme mapping with co-articulation awareness.
- * Maps character sequences to visemes with variable timing.
- */
-const CHAR_TO_VISEME = {
-    // Digraphs (checked first)
-    'th': 'viseme_TH', 'ch': 'viseme_CH', 'sh': 'viseme_CH',
-    'ng': 'viseme_nn', 'wh': 'viseme_U', 'ph': 'viseme_FF',
-    'ck': 'viseme_kk', 'qu': 'viseme_kk',
-    // Vowels
-    'a': 'viseme_aa', 'á': 'viseme_aa',
-    'e': 'viseme_E', 'é': 'viseme_E',
-    'i': 'viseme_I', 'í': 'viseme_I',
-    'o': 'viseme_O', 'ó': 'viseme_O',
-    'u': 'viseme_U', 'ú': 'viseme_U',
-    // Consonants
-    'b': 'viseme_PP', 'p': 'viseme_PP', 'm': 'viseme_PP',
-    'f': 'viseme_FF', 'v': 'viseme_FF',
-    't': 'viseme_DD', 'd': 'viseme_DD', 'n': 'viseme_nn', 'l': 'viseme_DD',
-    'k': 'viseme_kk', 'g': 'viseme_kk', 'q': 'viseme_kk', 'c': 'viseme_kk',
-    's': 'viseme_SS', 'z': 'viseme_SS', 'x': 'viseme_SS',
-    'r': 'viseme_RR',
-    'j': 'viseme_CH', 'y': 'viseme_CH',
-    'w': 'viseme_U',
-    'h': 'viseme_CH',
-};
-
-// Stressed vowel patterns
-const STRESSED_VOWEL_PATTERNS = /[aeiou][^aeiou\s]/i;
-
-/**
- * Generate enhanced phoneme timing data with co-articulation,
- * natural pauses at punctuation, and amplitude envelopes.
- */
-function generatePhonemeData(text) {
-    const words = text.toLowerCase().replace(/[^a-z\s.,!?;:'-]/g, '').split(/\s+/);
-    const phonemes = [];
-    let currentTime = 0;
-
-    const BASE_CHAR_DURATION = 0.06;
-    const WORD_GAP = 0.07;
-    const COMMA_PAUSE = 0.2;
-    const PERIOD_PAUSE = 0.35;
-    const EXCLAIM_PAUSE = 0.3;
-    const QUESTION_PAUSE = 0.3;
-
-    for (let wi = 0; wi < words.length; wi++) {
-        const rawWord = words[wi];
-        // Check for trailing punctuation
-        const punctMatch = rawWord.match(/([.,!?;:]+)$/);
-        const word = rawWord.replace(/[^a-z'-]/g, '');
-        const punct = punctMatch ? punctMatch[1] : '';
-
-        if (!word) {
-            if (punct) {
-                const pauseDuration = punct.includes('.')
-                    ? PERIOD_PAUSE : punct.includes('!') ? EXCLAIM_PAUSE
-                        : punct.includes('?') ? QUESTION_PAUSE
-                            : punct.includes(',') ? COMMA_PAUSE : WORD_GAP;
-                phonemes.push({
-                    viseme: 'viseme_sil',
-                    time: currentTime,
-                    duration: pauseDuration,
-                    intensity: 0,
-                });
-                currentTime += pauseDuration;
-            }
-            continue;
-        }
+// (bounded and optionally persistent; see lib/sessions/index.js for SESSION_* settings)
+const chatSessions = await createSessionStore();
 
-        // Word position affects intensity (sentence beginning = slightly more emphasis)
-        const wordEmphasis = wi === 0 ? 1.1 : 1.0;
+// ─── Knowledge Base ─────────────────────────────────────────────────────────
 
-        for (let i = 0; i < word.length; i++) {
-            const char = word[i];
-            const digraph = i < word.length - 1 ? word.substr(i, 2) : '';
-            let viseme = CHAR_TO_VISEME[digraph] || CHAR_TO_VISEME[char];
+const KNOWLEDGE_DIR = process.env.KNOWLEDGE_DIR || join(__dirname, 'knowledge');
+const knowledge = createKnowledgeBase({ dir: KNOWLEDGE_DIR });
+await knowledge.index();
 
-            if (viseme) {
-                const isVowel = 'aeiou'.includes(char);
+/**
+ * Retrieve passages for a user message and build the system prompt around them,
+ * ending with the reply language and the structured-reply format instructions.
+ * Sources are returned separately so the client can show them without Nova reading them out.
+ */
+function buildSystemPrompt(persona, message, lang) {
+    const passages = knowledge.search(message, { limit: 3 });
+    const reference = passages.length === 0 ? '' : `
 
-                // Co-articulation: vowels before consonants are slightly shorter
-                let duration = isVowel ? BASE_CHAR_DURATION * 1.2 : BASE_CHAR_DURATION * 0.9;
+REFERENCE MATERIAL:
+Use the passages below when they help answer the user. Stay in character and speak naturally; never read out file names, passage numbers or citations.
 
-                // Stressed syllables are slightly longer
-                if (isVowel && i < word.length - 1 && !'aeiou'.includes(word[i + 1])) {
-                    duration *= 1.15;
-                }
+${passages.map((p, i) => `[${i + 1}] ${p.title}\n${p.text}`).join('\n\n')}`;
 
-                const intensity = (isVowel ? 0.75 : 0.5) * wordEmphasis;
+    const systemPrompt = `${persona.systemPrompt}${reference}
 
-                phonemes.push({
-                    viseme,
-                    time: currentTime,
-                    duration,
-                    intensity: Math.min(1, intensity),
-                });
+${languageInstructions(lang)}
 
-                if (CHAR_TO_VISEME[digraph]) i++; // skip next for digraph
-            }
-            currentTime += BASE_CHAR_DURATION;
-        }
+${structuredReplyInstructions()}`;
 
-        // Punctuation pauses
-        if (punct) {
-            const pauseDuration = punct.includes('.')
-                ? PERIOD_PAUSE : punct.includes('!') ? EXCLAIM_PAUSE
-                    : punct.includes('?') ? QUESTION_PAUSE
-                        : punct.includes(',') ? COMMA_PAUSE : WORD_GAP;
-            phonemes.push({
-                viseme: 'viseme_sil',
-                time: currentTime,
-                duration: pauseDuration,
-                intensity: 0,
-            });
-            currentTime += pauseDuration;
-        } else {
-            // Normal word gap
-            phonemes.push({
-                viseme: 'viseme_sil',
-                time: currentTime,
-                duration: WORD_GAP,
-                intensity: 0,
-            });
-            currentTime += WORD_GAP;
-        }
+    const sources = [];
+    for (const { source, title, score } of passages) {
+        if (!sources.some(s => s.source === source && s.title === title)) sources.push({ source, title, score });
     }
+    return { systemPrompt, sources };
+}
+
+// ─── Phoneme Timeline ───────────────────────────────────────────────────────
+
+/**
+ * Timeline options from a request body: language (the persona's voice language
+ * unless a supported one is given), the client's utterance rate and its learned
+ * per-voice calibration. The language also reaches TTS_COMMAND's {lang}, so
+ * nothing but a known tag gets through.
+ */
+function timingOptions(body, persona) {
+    const lang = isSupportedLanguage(body.lang) ? body.lang : persona?.voice.lang;
+    return { lang, rate: body.rate, calibration: body.calibration };
+}
+
+/**
+ * The language to reply in (see lib/language.js): the client's `language`
+ * choice, else the language of the message, else the one the session was in.
+ */
+async function replyLanguage(body, persona, sessionId) {
+    const session = await chatSessions.get(sessionId);
+    const previous = session?.messages.findLast(m => m.role === 'user' && m.lang)?.lang;
+    return resolveLanguage({ choice: body.language, message: body.message, previous, fallback: persona.voice.lang });
+}
 
-    return { phonemes, totalDuration: currentTime };
+/** Emotion keyframes for `text`, timed against its generatePhonemeData() timeline. */
+function keyframesFor(text, state, timing) {
+    return emotionKeyframes(text, state, part => generatePhonemeData(part, timing).totalDuration);
 }
 
+// Custom pronunciations, used by every timeline (see lib/lexicon.js for LEXICON_FILE)
+const lexicon = await createLexiconStore();
+
+// ─── Speech Audio ───────────────────────────────────────────────────────────
+
+const ttsEngine = resolveEngine();
+const MAX_TTS_CHARS = 2000;
+const MAX_TTS_SECONDS = 120;    // of rendered speech, however slow the markup makes it
+const MAX_ALIGN_BYTES = '25mb';
+const MAX_ALIGN_SECONDS = 120;
+
+const sttEngine = resolveRecognizer();
+const MAX_STT_CHUNK_BYTES = '256kb';
+const MAX_STT_BYTES = 1024 * 1024;             // one utterance (a few minutes of Opus)
+const MAX_STT_TOTAL_BYTES = 16 * 1024 * 1024;  // all utterances being recorded
+const MAX_STT_STREAMS = 50;
+const STT_STREAM_IDLE_MS = 15 * 1000;
+
 // ─── API Routes ─────────────────────────────────────────────────────────────
 
 /**
- * Retry wrapper for Groq API calls with exponential backoff.
+ * Retry wrapper for LLM provider calls with exponential backoff.
  */
 async function callWithRetry(fn, maxRetries = 3) {
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
@@ -222,13 +201,199 @@ const DEMO_RESPONSES = [
     { response: "Absolutely, I completely agree with you on that. It makes a lot of sense when you think about it.", emotion: 'happy' },
 ];
 
-function getDemoResponse() {
-    return DEMO_RESPONSES[Math.floor(Math.random() * DEMO_RESPONSES.length)];
+function getDemoResponse(persona) {
+    const demo = DEMO_RESPONSES[Math.floor(Math.random() * DEMO_RESPONSES.length)];
+    const response = demo.response.replace(/\bNova\b/g, persona.name);
+    const { emotion, intensity, blend } = normalizeReply({ text: response, emotion: demo.emotion });
+    return { response, emotion, intensity, blend, gestures: [] };
+}
+
+// ─── Sentence Streaming ─────────────────────────────────────────────────────
+
+// Abbreviations whose trailing period must not end a sentence
+const NON_TERMINAL_ABBREVIATIONS = /\b(mr|mrs|ms|dr|prof|st|vs|etc|e\.g|i\.e)\.$/i;
+const SENTENCE_END = /[.!?]+["')\]]*(?=\s)/g;
+
+/**
+ * Incrementally splits streamed text into complete sentences.
+ * push() returns the sentences completed by the new chunk; flush() returns the remainder.
+ */
+function createSentenceSplitter() {
+    let buffer = '';
+
+    return {
+        push(chunk) {
+            buffer += chunk;
+            const sentences = [];
+            let start = 0;
+            SENTENCE_END.lastIndex = 0;
+            let match;
+            while ((match = SENTENCE_END.exec(buffer)) !== null) {
+                const end = match.index + match[0].length;
+                const candidate = buffer.slice(start, end).trim();
+                if (NON_TERMINAL_ABBREVIATIONS.test(candidate)) continue;
+                if (candidate) sentences.push(candidate);
+                start = end;
+            }
+            buffer = buffer.slice(start);
+            return sentences;
+        },
+        flush() {
+            const rest = buffer.trim();
+            buffer = '';
+            return rest ? [rest] : [];
+        },
+    };
+}
+
+function splitSentences(text) {
+    const splitter = createSentenceSplitter();
+    return [...splitter.push(text + ' '), ...splitter.flush()];
+}
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Start a provider stream and pull its first chunk inside the retry wrapper, so an
+ * unreachable or rate-limited provider fails here rather than halfway through a reply.
+ */
+async function openStream(provider, params) {
+    let stream, first;
+    await callWithRetry(async () => {
+        stream = provider.stream(params);
+        first = await stream.next();
+    });
+    return (async function* () {
+        try {
+            for (let next = first; !next.done; next = await stream.next()) yield next.value;
+        } finally {
+            await stream.return();
+        }
+    })();
+}
+
+function joinReplies(a, b) {
+    return a && b ? `${a.trimEnd()} ${b.trimStart()}` : a || b;
+}
+
+/**
+ * Combine the structured replies of successive tool rounds into one. The latest
+ * round with text decides the emotion; gesture sentence indexes are shifted along.
+ */
+function mergeReplies(previous, next) {
+    if (!previous?.text) return next;
+    if (!next.text) return previous;
+    const offset = splitSentences(previous.text).length;
+    return {
+        ...next,
+        text: joinReplies(previous.text, next.text),
+        gestures: [...previous.gestures, ...next.gestures.map(g => ({ ...g, sentence: g.sentence + offset }))],
+    };
+}
+
+function logReplySource(reply, provider) {
+    if (reply.source !== 'json') {
+        console.warn(`⚠️  ${provider.name} returned malformed structured output (${reply.source}), emotion: ${reply.emotion}`);
+    }
+}
+
+// ─── Tool Calling ───────────────────────────────────────────────────────────
+
+const MAX_TOOL_ROUNDS = 3;
+const notes = await createNotesStore();
+chatSessions.onSessionEnd(sessionId => notes.clear(sessionId));
+const tools = registerBuiltinTools(createToolRegistry(), { notes });
+
+// After MAX_TOOL_ROUNDS the model must answer with what it has
+function toolsForRound(round) {
+    return round < MAX_TOOL_ROUNDS ? tools.definitions() : undefined;
+}
+
+/**
+ * Run the tool calls the model asked for and append the assistant/tool messages
+ * to the conversation so the next round can see the results.
+ * onTool is called with { phase: 'start' | 'end', name, arguments, status } around each call.
+ */
+async function runToolCalls(toolCalls, conversation, { sessionId, content = '', onTool = () => {} }) {
+    conversation.push({
+        role: 'assistant',
+        content: content || null,
+        tool_calls: toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments) },
+        })),
+    });
+
+    const used = [];
+    for (const call of toolCalls) {
+        const info = { name: call.name, arguments: call.arguments, status: tools.status(call.name) };
+        onTool({ phase: 'start', ...info });
+        const result = await tools.run(call.name, call.arguments, { sessionId });
+        if (result?.error) console.warn(`🔧 Tool ${call.name} failed:`, result.error);
+        onTool({ phase: 'end', ...info, ok: !result?.error });
+        used.push({ ...info, result });
+        conversation.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+    }
+    return used;
+}
+
+// Replies being streamed, by session and reply id. A barge-in report can arrive
+// before its reply is stored; the spoken word count waits here until it is.
+const streamingReplies = new Map();
+
+function streamingKey(sessionId, replyId) {
+    return JSON.stringify([sessionId, replyId]);
+}
+
+/**
+ * Store an assistant reply, cut short if the user already talked over it. A
+ * `cancelled` reply the client hasn't reported on yet is stored `pending`:
+ * kept out of the history until the cut says how much of it was heard.
+ */
+async function storeReply(sessionId, replyId, reply, { cancelled = false } = {}) {
+    const key = streamingKey(sessionId, replyId);
+    const streaming = streamingReplies.get(key);
+    const pending = cancelled && streaming?.spokenWords == null;
+    try {
+        await chatSessions.append(sessionId, { role: 'assistant', replyId, ...reply, ...(pending ? { pending: true } : {}) });
+    } finally {
+        streamingReplies.delete(key);
+    }
+    if (streaming?.spokenWords != null) await chatSessions.interruptReply(sessionId, replyId, streaming.spokenWords);
+}
+
+function checkInterruption(replyId, spokenWords) {
+    if (!replyId || typeof replyId !== 'string') return 'replyId is required';
+    if (!Number.isInteger(spokenWords) || spokenWords < 0) return 'spokenWords must be a non-negative integer';
+    return null;
+}
+
+/**
+ * Cut a stored reply down to the words that were spoken, or hold the cut until
+ * a reply still streaming in this session is stored. Returns the message,
+ * { pending: true }, or null when the session has no such reply.
+ */
+async function recordInterruption(sessionId, replyId, spokenWords) {
+    const message = await chatSessions.interruptReply(sessionId, replyId, spokenWords);
+    if (message) return message;
+    const streaming = streamingReplies.get(streamingKey(sessionId, replyId));
+    if (!streaming) return null;
+    streaming.spokenWords = spokenWords;
+    return { pending: true };
 }
 
 /**
  * POST /api/chat
  * Enhanced with retry logic, emotion detection, and phoneme data.
+ * `language` is the conversation language the user picked (BCP 47), or 'auto'
+ * to follow the language they write in; the reply comes back in it, tagged
+ * `lang`, and its timeline uses that language's lip-sync rules.
+ * `lang` (BCP 47, defaults to the persona's voice language) still selects the lip-sync
+ * rules for demo replies; `rate` and `calibration` fit the timeline to the client's voice (see /api/tts-data).
+ * Stored replies come with a `replyId` for barge-in reports (POST /api/sessions/:id/interrupt).
  */
 app.post('/api/chat', async (req, res) => {
     try {
@@ -238,68 +403,75 @@ app.post('/api/chat', async (req, res) => {
             return res.status(400).json({ error: 'Message is required' });
         }
 
-        if (!process.env.GROQ_API_KEY || process.env.GROQ_API_KEY === 'your_groq_api_key_here') {
-            const demo = getDemoResponse();
-            const phonemeData = generatePhonemeData(demo.response);
-            // Indicate demo mode so frontend can notify the user
-            return res.json({ ...demo, sessionId, phonemes: phonemeData, demo: true });
-        }
+        const persona = resolvePersona(req.body.persona);
+        if (!persona) return res.status(400).json({ error: `Unknown persona "${req.body.persona}"` });
+        const llm = llmFor(persona);
+        const timing = timingOptions(req.body, persona);
 
-        // Get or create message history for this session
-        if (!chatSessions.has(sessionId)) {
-            chatSessions.set(sessionId, []);
+        if (!llm.provider.isConfigured()) {
+            const demo = getDemoResponse(persona);
+            const phonemeData = generatePhonemeData(demo.response, timing);
+            // Indicate demo mode so frontend can notify the user
+            return res.json({ ...demo, sessionId, phonemes: phonemeData, emotionKeyframes: keyframesFor(demo.response, demo, timing), demo: true });
         }
 
-        let responseText;
-        let emotion = 'neutral';
+        let reply = null;
+        const toolsUsed = [];
+        const lang = await replyLanguage(req.body, persona, sessionId);
+        const replyTiming = { ...timing, lang };
+        const { systemPrompt, sources } = buildSystemPrompt(persona, message, lang);
 
         try {
-            const history = chatSessions.get(sessionId);
-            history.push({ role: 'user', content: message });
-            const completion = await callWithRetry(() => groq.chat.completions.create({
-                messages: [
-                    { role: 'system', content: SYSTEM_PROMPT },
-                    ...history,
-                ],
-                model: 'llama-3.3-70b-versatile',
-                max_tokens: 1024,
-            }));
-            responseText = completion.choices[0].message.content;
-            history.push({ role: 'assistant', content: responseText });
+            // The user turn is stored with its reply, so a failed call leaves no unanswered turn behind
+            const history = await chatSessions.history(sessionId);
+            const conversation = [
+                { role: 'system', content: systemPrompt },
+                ...history,
+                { role: 'user', content: message },
+            ];
+            for (let round = 0; ; round++) {
+                const completion = await callWithRetry(() => llm.provider.complete({
+                    messages: conversation,
+                    model: llm.model,
+                    maxTokens: 1024,
+                    tools: toolsForRound(round),
+                    responseFormat: 'json',
+                }));
+                const roundReply = parseStructuredReply(completion.content);
+                if (roundReply.text) logReplySource(roundReply, llm.provider);
+                reply = mergeReplies(reply, roundReply);
+                if (!completion.toolCalls) break;
+                toolsUsed.push(...await runToolCalls(completion.toolCalls, conversation, { sessionId, content: completion.content }));
+            }
         } catch (apiError) {
-            // If Groq is rate-limited/down, use demo response
-            console.warn('Groq API unavailable, using demo response:', apiError.message?.substring(0, 100));
-            const demo = getDemoResponse();
-            const phonemeData = generatePhonemeData(demo.response);
-            return res.json({ ...demo, sessionId, phonemes: phonemeData, rateLimited: true });
+            // If the provider is rate-limited/down, use demo response
+            console.warn(`${llm.provider.name} API unavailable, using demo response:`, apiError.message?.substring(0, 100));
+            const demo = getDemoResponse(persona);
+            const phonemeData = generatePhonemeData(demo.response, timing);
+            return res.json({ ...demo, sessionId, phonemes: phonemeData, emotionKeyframes: keyframesFor(demo.response, demo, timing), rateLimited: true });
         }
 
-        // AI-powered emotion detection (non-blocking, with timeout)
-        try {
-            const emotionResult = await callWithRetry(() => groq.chat.completions.create({
-                messages: [{
-                    role: 'user',
-                    content: `Analyze the emotional tone of this text and respond with EXACTLY ONE word from this list: happy, sad, surprised, angry, neutral.\n\nText: "${responseText}"\n\nRespond with only the emotion word, nothing else.`,
-                }],
-                model: 'llama-3.1-8b-instant',
-                max_tokens: 10,
-            }), 1);
-            const detectedEmotion = emotionResult.choices[0].message.content.trim().toLowerCase();
-            if (['happy', 'sad', 'surprised', 'angry', 'neutral'].includes(detectedEmotion)) {
-                emotion = detectedEmotion;
-            }
-        } catch (emotionError) {
-            console.warn('Emotion detection failed, using neutral');
-        }
+        const { text: responseText, emotion, intensity, blend, gestures } = reply;
+        const replyId = randomUUID();
+        await chatSessions.append(sessionId, { role: 'user', content: message, lang });
+        await storeReply(sessionId, replyId, { content: responseText, emotion, intensity, blend });
 
         // Generate phoneme data
-        const phonemeData = generatePhonemeData(responseText);
+        const phonemeData = generatePhonemeData(responseText, replyTiming);
 
         res.json({
             response: responseText,
             emotion,
+            intensity,
+            blend,
+            gestures,
             sessionId,
+            replyId,
+            lang,
             phonemes: phonemeData,
+            emotionKeyframes: keyframesFor(responseText, reply, replyTiming),
+            tools: toolsUsed,
+            sources,
         });
     } catch (error) {
         console.error('Chat API error:', error);
@@ -310,28 +482,740 @@ app.post('/api/chat', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/chat/stream
+ * Server-Sent Events variant of /api/chat. Emits one `sentence` event per completed
+ * sentence (text, emotion, intensity, blend, gestures, phonemes, emotionKeyframes)
+ * so the avatar can start speaking before the full completion has arrived.
+ *
+ * Events: start → (sentence | tool)* → done (or error)
+ * `tool` events bracket each tool call ({ phase: 'start' | 'end', name, status }).
+ * `start` carries the `replyId` of a reply that will be stored and the `lang` it
+ * is in (see /api/chat for `language`). When the client
+ * hangs up (barge-in) the reply is stored as far as it was generated, but kept
+ * out of the history until the client reports how much of it was heard.
+ */
+app.post('/api/chat/stream', async (req, res) => {
+    const { message } = req.body;
+
+    if (!message || typeof message !== 'string') {
+        return res.status(400).json({ error: 'Message is required' });
+    }
+
+    const persona = resolvePersona(req.body.persona);
+    if (!persona) return res.status(400).json({ error: `Unknown persona "${req.body.persona}"` });
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    await streamChatTurn({
+        body: req.body,
+        persona,
+        emit: (event, data) => sendEvent(res, event, data),
+        isClosed: () => closed,
+    });
+    res.end();
+});
+
+/**
+ * One streamed chat turn, shared by POST /api/chat/stream and the realtime
+ * channel. `emit(event, data)` gets the events described above; `isClosed()`
+ * turning true (the client hung up or talked over the reply) stops generation,
+ * and the reply is stored as far as it got, pending the barge-in report.
+ */
+async function streamChatTurn({ body, persona, emit, isClosed }) {
+    const { message, sessionId = 'default' } = body;
+    const llm = llmFor(persona);
+    let replyId = null;
+    // Demo replies keep the client's timing language; real replies switch to the reply language
+    let timing = timingOptions(body, persona);
+
+    let index = 0;
+    const emitTool = (toolEvent) => {
+        if (!isClosed()) emit('tool', toolEvent);
+    };
+    // Sentences without structured metadata get their emotion from the local classifier
+    const emitSentence = (text, { emotion, intensity, blend, gestures = [] } = {}) => {
+        if (isClosed()) return;
+        const state = emotion ? emotionState({ emotion, intensity, blend }) : classifyEmotion(text);
+        emit('sentence', {
+            index: index++,
+            text,
+            emotion: state.emotion,
+            intensity: state.intensity,
+            blend: state.blend,
+            gestures,
+            phonemes: generatePhonemeData(text, timing),
+            emotionKeyframes: keyframesFor(text, state, timing),
+        });
+    };
+
+    const streamDemo = (flags) => {
+        const { response, ...meta } = getDemoResponse(persona);
+        emit('start', { sessionId, ...flags });
+        splitSentences(response).forEach(sentence => emitSentence(sentence, meta));
+        if (!isClosed()) emit('done', { response, ...meta, sessionId, ...flags });
+    };
+
+    try {
+        if (!llm.provider.isConfigured()) return streamDemo({ demo: true });
+
+        const history = await chatSessions.history(sessionId);
+        const lang = await replyLanguage(body, persona, sessionId);
+        const { systemPrompt, sources } = buildSystemPrompt(persona, message, lang);
+        const conversation = [
+            { role: 'system', content: systemPrompt },
+            ...history,
+            { role: 'user', content: message },
+        ];
+        const streamParams = (round) => ({
+            messages: conversation,
+            model: llm.model,
+            maxTokens: 1024,
+            tools: toolsForRound(round),
+            responseFormat: 'json',
+        });
+
+        // An unreachable or rate-limited provider can still fall back to a demo reply
+        let chunks;
+        try {
+            chunks = await openStream(llm.provider, streamParams(0));
+        } catch (apiError) {
+            console.warn(`${llm.provider.name} API unavailable, using demo response:`, apiError.message?.substring(0, 100));
+            return streamDemo({ rateLimited: true });
+        }
+
+        await chatSessions.append(sessionId, { role: 'user', content: message, lang });
+        replyId = randomUUID();
+        streamingReplies.set(streamingKey(sessionId, replyId), { spokenWords: null });
+        timing = { ...timing, lang };
+        if (!isClosed()) emit('start', { sessionId, replyId, lang });
+
+        const splitter = createSentenceSplitter();
+        let reply = null;
+        const toolsUsed = [];
+        let sentenceMeta = () => ({});
+        for (let round = 0; chunks; round++) {
+            // emotion/intensity/gestures arrive before "text", so every spoken sentence can carry them
+            const parser = createStructuredStreamParser();
+            const roundStart = index;
+            sentenceMeta = () => {
+                const header = parser.header;
+                if (!header) return {};
+                const sentence = index - roundStart;
+                const gestures = header.gestures.filter(g => g.sentence === sentence).map(g => g.name);
+                return { emotion: header.emotion, intensity: header.intensity, blend: header.blend, gestures };
+            };
+
+            let rawText = '';
+            let toolCalls = null;
+            for await (const chunk of chunks) {
+                if (isClosed()) break;
+                if (chunk.toolCalls) toolCalls = chunk.toolCalls;
+                if (!chunk.content) continue;
+                rawText += chunk.content;
+                splitter.push(parser.push(chunk.content)).forEach(sentence => emitSentence(sentence, sentenceMeta()));
+            }
+            chunks = null;
+
+            const roundReply = parser.finish();
+            if (roundReply.text) logReplySource(roundReply, llm.provider);
+            // Text that could only be recovered after the fact (e.g. under an unexpected key)
+            if (!parser.streamed.trim() && roundReply.text) {
+                splitter.push(roundReply.text).forEach(sentence => emitSentence(sentence, sentenceMeta()));
+            }
+            reply = mergeReplies(reply, roundReply);
+
+            if (toolCalls && !isClosed()) {
+                // Say any lead-in ("Let me check...") before the tools run
+                splitter.flush().forEach(sentence => emitSentence(sentence, sentenceMeta()));
+                toolsUsed.push(...await runToolCalls(toolCalls, conversation, { sessionId, content: rawText, onTool: emitTool }));
+                chunks = await openStream(llm.provider, streamParams(round + 1));
+            }
+        }
+        splitter.flush().forEach(sentence => emitSentence(sentence, sentenceMeta()));
+
+        const { text: responseText, emotion, intensity, blend, gestures } = reply;
+        await storeReply(sessionId, replyId, { content: responseText, emotion, intensity, blend }, { cancelled: isClosed() });
+        if (!isClosed()) emit('done', { response: responseText, emotion, intensity, blend, gestures, sessionId, replyId, lang, tools: toolsUsed, sources });
+    } catch (error) {
+        console.error('Chat stream error:', error);
+        if (replyId) streamingReplies.delete(streamingKey(sessionId, replyId));
+        if (!isClosed()) emit('error', { error: 'Failed to generate response', details: error.message });
+    }
+}
+
+/**
+ * Text to speak for a speech request: `text`, or one of the persona's scripted
+ * lines when `script` is given. Returns { error, status } when it can't be resolved.
+ */
+function speechRequest(body) {
+    if (!body.script) {
+        if (!body.text || typeof body.text !== 'string') return { error: 'Text is required', status: 400 };
+        return { text: body.text, persona: resolvePersona(body.persona), timing: timingOptions(body) };
+    }
+    const persona = resolvePersona(body.persona);
+    if (!persona) return { error: `Unknown persona "${body.persona}"`, status: 400 };
+    const text = Object.hasOwn(persona.scripts, body.script) ? persona.scripts[body.script] : null;
+    if (typeof text !== 'string') return { error: `Script "${body.script}" not found`, status: 404 };
+    return { text, persona, timing: timingOptions(body, persona) };
+}
+
 /**
  * POST /api/tts-data
  * Generate phoneme timing data for a given text.
+ * Body: { text, lang?, rate?, calibration? } or { persona?, script, ... } to time one of
+ * the persona's scripted lines.
+ * - lang is a BCP 47 tag (en, es, de, fr, hi); other values use the persona's voice language.
+ * - rate is the utterance rate the client speaks at (1 = normal).
+ * - calibration is the client's learned ratio of real to predicted duration for
+ *   its voice; the timeline is stretched by calibration / rate.
+ * Text may be SSML (<break>, <emphasis>, <prosody rate>, <say-as>); the reply's
+ * `text` is the plain speakable version and `ssml` says whether markup was found.
  */
 app.post('/api/tts-data', async (req, res) => {
     try {
-        const { text } = req.body;
-        if (!text) return res.status(400).json({ error: 'Text is required' });
+        const { text, timing, error, status } = speechRequest(req.body);
+        if (error) return res.status(status).json({ error });
 
-        const phonemeData = generatePhonemeData(text);
-        res.json(phonemeData);
+        const phonemeData = generatePhonemeData(text, timing);
+        res.json({ ...phonemeData, text: stripSsml(text), ssml: isSsml(text) });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+/**
+ * POST /api/tts
+ * Synthesize speech on the server (see lib/tts/) together with the exact viseme
+ * timeline the audio follows.
+ * Body: same as /api/tts-data plus pitch? (1 = normal); rate and pitch default
+ * to the persona's voice settings. Text that would take longer than
+ * MAX_TTS_SECONDS to say is rejected before anything is synthesized.
+ * Response: { audio (base64 WAV), contentType, engine, sampleRate, text, phonemes, totalDuration, lang }
+ */
+app.post('/api/tts', async (req, res) => {
+    try {
+        const { text, persona, timing, error, status } = speechRequest(req.body);
+        if (error) return res.status(status).json({ error });
+        if (text.length > MAX_TTS_CHARS) {
+            return res.status(400).json({ error: `Text is too long (max ${MAX_TTS_CHARS} characters)` });
+        }
+
+        const rate = Number(req.body.rate) || persona?.voice.rate || 1;
+        const { totalDuration } = generatePhonemeData(text, { lang: timing.lang, rate });
+        if (totalDuration > MAX_TTS_SECONDS) {
+            return res.status(400).json({ error: `Speech is too long (max ${MAX_TTS_SECONDS} seconds)` });
+        }
+
+        const { audio, sampleRate, timeline } = await ttsEngine.synthesize(text, {
+            lang: timing.lang,
+            rate,
+            pitch: Number(req.body.pitch) || persona?.voice.pitch || 1,
+        });
+        res.json({
+            audio: audio.toString('base64'),
+            contentType: 'audio/wav',
+            engine: ttsEngine.name,
+            sampleRate,
+            text: stripSsml(text),
+            ...timeline,
+        });
+    } catch (error) {
+        console.error('TTS error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/align
+ * Lip-sync timeline for recorded speech (see lib/audio/align.js), in the same
+ * { phonemes, totalDuration } shape as /api/tts-data.
+ * Body: the audio itself — a WAV file, or 16-bit little-endian mono PCM sent as
+ * audio/pcm (with ?sampleRate=, default 16000).
+ * Query: transcript? (what is said, for much better alignment), lang?
+ */
+app.post('/api/align', express.raw({ type: ['audio/*', 'application/octet-stream'], limit: MAX_ALIGN_BYTES }), (req, res) => {
+    try {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'Audio is required (WAV or audio/pcm body)' });
+        }
+        const repeated = ['transcript', 'lang', 'sampleRate'].find(name => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+        if (repeated) return res.status(400).json({ error: `${repeated} must be given once, as a string` });
+
+        let audio;
+        const isWav = req.body.length >= 12 && req.body.toString('ascii', 0, 4) === 'RIFF';
+        if (isWav) {
+            try {
+                audio = decodeWav(req.body);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+        } else {
+            const sampleRate = Number(req.query.sampleRate) || 16000;
+            if (sampleRate < 4000 || sampleRate > 192000) return res.status(400).json({ error: 'sampleRate must be between 4000 and 192000' });
+            audio = decodePcm16(req.body, sampleRate);
+        }
+        if (audio.duration > MAX_ALIGN_SECONDS) {
+            return res.status(400).json({ error: `Audio is too long (max ${MAX_ALIGN_SECONDS} seconds)` });
+        }
+
+        const { transcript, lang } = req.query;
+        res.json(alignAudio(audio.samples, audio.sampleRate, { transcript, lang }));
+    } catch (error) {
+        console.error('Align error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ─── Speech Recognition ─────────────────────────────────────────────────────
+
+// Utterances being recorded: stream id → { chunks, bytes, contentType, touched,
+// transcribed (chunks already in the interim transcript), transcript, head }
+const sttStreams = new Map();
+let sttBufferedBytes = 0;
+
+function dropSttStream(id) {
+    const stream = sttStreams.get(id);
+    if (!stream) return;
+    sttBufferedBytes -= stream.bytes;
+    sttStreams.delete(id);
+}
+
+function pruneSttStreams(now = Date.now()) {
+    for (const [id, stream] of sttStreams) {
+        if (now - stream.touched > STT_STREAM_IDLE_MS) dropSttStream(id);
+    }
+}
+
+/**
+ * Interim transcript of an utterance. Only the chunks that arrived since the
+ * last one are transcribed — after the first chunk, which holds the container
+ * header and is sent along again — and their text is added to what was heard
+ * before. The words of that repeated first chunk are left out.
+ */
+async function interimTranscript(stream, lang) {
+    const fresh = stream.chunks.slice(stream.transcribed);
+    if (fresh.length === 0) return stream.transcript;
+    const repeat = stream.transcribed > 0 ? stream.chunks[0].length : 0;
+    const offset = stream.chunks.slice(0, stream.transcribed).reduce((bytes, chunk) => bytes + chunk.length, 0);
+    stream.transcribed = stream.chunks.length;
+
+    const audio = Buffer.concat(repeat ? [stream.chunks[0], ...fresh] : fresh);
+    const { transcript = '' } = await sttEngine.transcribe(audio, { lang, contentType: stream.contentType, final: false, offset, repeat });
+    let piece = transcript.trim();
+    if (!repeat && fresh.length === 1) stream.head = piece;
+    else if (repeat && stream.head && piece.startsWith(stream.head)) piece = piece.slice(stream.head.length).trim();
+    stream.transcript = [stream.transcript, piece].filter(Boolean).join(' ');
+    return stream.transcript;
+}
+
+/**
+ * GET /api/stt
+ * The server's recognizer: { engine, standIn }. The stand-in (STT_ENGINE unset)
+ * only returns sample phrases, so clients don't offer voice input through it.
+ */
+app.get('/api/stt', (req, res) => {
+    res.json({ engine: sttEngine.name, standIn: sttEngine.name === 'local' });
+});
+
+/**
+ * POST /api/stt
+ * Speech-to-text for browsers without SpeechRecognition (see lib/stt/). The
+ * client records an utterance with MediaRecorder and posts its chunks in order
+ * under one stream id; every post answers with the transcript so far, and the
+ * last one (?final=1, its body may be empty) with the final transcript, for
+ * which the whole utterance is transcribed once.
+ * Query: stream (client-chosen id), lang? (BCP 47, one of the supported languages), final?
+ * Body: the next chunk, with the recorder's MIME type as Content-Type.
+ * Response, shaped like a SpeechRecognitionEvent:
+ *   { engine, stream, resultIndex: 0, results: [{ isFinal, alternatives: [{ transcript, confidence }] }] }
+ */
+app.post('/api/stt', express.raw({ type: ['audio/*', 'video/webm', 'application/octet-stream'], limit: MAX_STT_CHUNK_BYTES }), async (req, res) => {
+    const { stream: id, lang } = req.query;
+    const final = req.query.final === '1' || req.query.final === 'true';
+    if (typeof id !== 'string' || !/^[\w-]{1,100}$/.test(id)) {
+        return res.status(400).json({ error: 'stream must be an id of letters, digits, - and _' });
+    }
+    if (lang !== undefined && !isSupportedLanguage(lang)) {
+        return res.status(400).json({ error: 'lang must be given once, as a BCP 47 tag of a supported language' });
+    }
+
+    pruneSttStreams();
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    let stream = sttStreams.get(id);
+    if (!stream) {
+        if (sttStreams.size >= MAX_STT_STREAMS) return res.status(503).json({ error: 'Too many recordings in progress' });
+        stream = { chunks: [], bytes: 0, contentType: req.get('Content-Type') || '', transcribed: 0, transcript: '', head: null };
+        sttStreams.set(id, stream);
+    }
+    stream.touched = Date.now();
+
+    if (stream.bytes + chunk.length > MAX_STT_BYTES) {
+        dropSttStream(id);
+        return res.status(400).json({ error: 'The recording is too long' });
+    }
+    if (sttBufferedBytes + chunk.length > MAX_STT_TOTAL_BYTES) {
+        return res.status(503).json({ error: 'Too many recordings in progress' });
+    }
+    if (chunk.length > 0) {
+        stream.chunks.push(chunk);
+        stream.bytes += chunk.length;
+        sttBufferedBytes += chunk.length;
+    }
+    const audio = final ? Buffer.concat(stream.chunks) : null;
+    if (final) dropSttStream(id);
+
+    try {
+        let transcript = '', confidence = null;
+        if (final && audio.length > 0) {
+            ({ transcript = '', confidence = null } = await sttEngine.transcribe(audio, { lang, contentType: stream.contentType, final }));
+        } else if (!final) {
+            transcript = await interimTranscript(stream, lang);
+        }
+        res.json({
+            engine: sttEngine.name,
+            stream: id,
+            resultIndex: 0,
+            results: [{ isFinal: final, alternatives: [{ transcript, confidence }] }],
+        });
+    } catch (error) {
+        console.error('STT error:', error.message);
+        dropSttStream(id);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ─── Personas ───────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/personas
+ * List available personas (summary only).
+ */
+app.get('/api/personas', (req, res) => {
+    res.json({
+        default: DEFAULT_PERSONA,
+        personas: [...personas.values()].map(({ id, name, role, avatarUrl }) => ({ id, name, role, avatarUrl })),
+    });
+});
+
+/**
+ * GET /api/personas/:id
+ * Everything the client needs to present a persona: greeting, voice, avatar, emotion map.
+ */
+app.get('/api/personas/:id', (req, res) => {
+    const persona = personas.get(req.params.id);
+    if (!persona) return res.status(404).json({ error: 'Persona not found' });
+    res.json(publicPersona(persona));
+});
+
+// ─── Admin ──────────────────────────────────────────────────────────────────
+
+// Admin routes require ADMIN_TOKEN (Bearer or X-Admin-Token) when it is set
+function requireAdmin(req, res, next) {
+    const token = process.env.ADMIN_TOKEN;
+    if (!token) return next();
+    const provided = req.get('X-Admin-Token') || req.get('Authorization')?.replace(/^Bearer\s+/i, '');
+    if (provided !== token) return res.status(401).json({ error: 'Unauthorized' });
+    next();
+}
+
+/**
+ * POST /api/admin/reindex
+ * Re-read the knowledge folder after documents were added or edited.
+ */
+app.post('/api/admin/reindex', requireAdmin, async (req, res) => {
+    try {
+        const stats = await knowledge.index();
+        console.log(`📚 Knowledge re-indexed: ${stats.documents} documents, ${stats.passages} passages`);
+        res.json(stats);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ─── Pronunciation Lexicon ──────────────────────────────────────────────────
+
+/**
+ * GET /api/lexicon
+ * The custom pronunciations: { entries: { word: { phonemes?, say? } }, size }.
+ * Clients apply the respellings to what their voice reads.
+ */
+app.get('/api/lexicon', (req, res) => {
+    res.json({ entries: lexicon.get(), size: lexicon.size });
+});
+
+/**
+ * PUT /api/lexicon
+ * Replace the lexicon (admin). Body: { entries: { word: pronunciation } } where a
+ * pronunciation is ARPAbet ("K W IH1 B AH0 L"), a respelling ("kwib-ul") or
+ * { phonemes?, say? }. Takes effect for the next timeline; stored in LEXICON_FILE.
+ */
+app.put('/api/lexicon', requireAdmin, async (req, res) => {
+    let entries;
+    try {
+        entries = normalizeLexicon(req.body?.entries);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    try {
+        const stored = await lexicon.replace(entries);
+        console.log(`🗣️  Lexicon updated: ${lexicon.size} entries`);
+        res.json({ entries: stored, size: lexicon.size });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ─── Session Management ─────────────────────────────────────────────────────
+
+function summarizeSession(session) {
+    const last = session.messages[session.messages.length - 1];
+    return {
+        id: session.id,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+        messageCount: session.messages.length,
+        lastMessage: last ? { role: last.role, content: last.content.substring(0, 120), timestamp: last.timestamp } : null,
+    };
+}
+
+/**
+ * GET /api/sessions
+ * List active sessions, most recently used first (admin).
+ */
+app.get('/api/sessions', requireAdmin, async (req, res) => {
+    try {
+        const sessions = await chatSessions.list();
+        sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+        res.json({ sessions: sessions.map(summarizeSession) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/sessions/:id
+ * Full transcript with emotions and timestamps.
+ */
+app.get('/api/sessions/:id', async (req, res) => {
+    try {
+        const session = await chatSessions.get(req.params.id);
+        if (!session) return res.status(404).json({ error: 'Session not found' });
+        res.json(session);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/sessions/:id
+ * Delete a stored transcript (admin).
+ */
+app.delete('/api/sessions/:id', requireAdmin, async (req, res) => {
+    try {
+        const session = await chatSessions.get(req.params.id);
+        if (!session) return res.status(404).json({ error: 'Session not found' });
+        await chatSessions.delete(req.params.id);
+        res.json({ deleted: true, sessionId: req.params.id });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/sessions/:id/reset
+ * Start a new conversation under the same session id. Resetting an unknown
+ * session is not an error — the client may not have said anything yet.
+ */
+app.post('/api/sessions/:id/reset', async (req, res) => {
+    try {
+        const session = await chatSessions.reset(req.params.id);
+        res.json({ reset: true, sessionId: req.params.id, existed: Boolean(session) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/sessions/:id/interrupt
+ * Barge-in: the user talked over a reply after hearing its first `spokenWords`
+ * words. The stored reply is cut down to those words (ending in a dash), so the
+ * next turn's history matches what was actually said; a later report that all
+ * of it was heard restores it. Only the session's latest reply can be cut.
+ * Body: { replyId, spokenWords }. Answers 202 when the reply is still streaming;
+ * the cut is applied as soon as it is stored.
+ */
+app.post('/api/sessions/:id/interrupt', async (req, res) => {
+    try {
+        const { replyId } = req.body;
+        const spokenWords = Number(req.body.spokenWords);
+        const invalid = checkInterruption(replyId, spokenWords);
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        const result = await recordInterruption(req.params.id, replyId, spokenWords);
+        if (!result) return res.status(404).json({ error: 'Reply not found' });
+        if (result.pending) return res.status(202).json({ pending: true, replyId });
+        res.json({ replyId, content: result.content, interrupted: Boolean(result.interrupted) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * POST /api/sessions/:id/events
+ * Push a realtime event to every client connected to the session over /ws
+ * (see lib/realtime.js) — an operator override, a proactive remark, a
+ * cancellation. Body: { type, ...payload }, one of:
+ *   partial_reply { text }                     Nova says this (added to the session's transcript once delivered)
+ *   emotion { emotion, intensity?, blend? }    change her expression
+ *   gesture { gestures: [name] }
+ *   viseme_timeline { phonemes }
+ *   interrupt { reason? }                      stop talking
+ *   state { state, ... }                       with the fields in PUSHED_STATE_FIELDS (lib/realtime.js)
+ * Response: { delivered } — the number of connected clients that got it.
+ */
+app.post('/api/sessions/:id/events', requireAdmin, async (req, res) => {
+    try {
+        const { type, ...payload } = req.body || {};
+        const sessionId = req.params.id;
+        let event;
+        switch (type) {
+            case 'partial_reply':
+                if (!payload.text || typeof payload.text !== 'string') return res.status(400).json({ error: 'text is required' });
+                if (payload.text.length > MAX_TTS_CHARS) {
+                    return res.status(400).json({ error: `Text is too long (max ${MAX_TTS_CHARS} characters)` });
+                }
+                event = { text: payload.text, replyId: randomUUID() };
+                break;
+            case 'emotion':
+                event = emotionState(payload);
+                break;
+            case 'gesture':
+                if (!Array.isArray(payload.gestures) || !payload.gestures.every(g => typeof g === 'string')) {
+                    return res.status(400).json({ error: 'gestures must be an array of gesture names' });
+                }
+                event = { gestures: payload.gestures };
+                break;
+            case 'viseme_timeline':
+                if (!Array.isArray(payload.phonemes?.phonemes)) {
+                    return res.status(400).json({ error: 'phonemes must be a timeline ({ phonemes: [...], totalDuration })' });
+                }
+                event = { phonemes: payload.phonemes };
+                break;
+            case 'interrupt':
+                event = { reason: typeof payload.reason === 'string' ? payload.reason : 'operator' };
+                break;
+            case 'state': {
+                const state = pushedStateEvent(payload);
+                if (state.error) return res.status(400).json({ error: state.error });
+                event = state.event;
+                break;
+            }
+            default:
+                return res.status(400).json({ error: `Unknown event type "${type}"` });
+        }
+        const delivered = realtime.pushToSession(sessionId, type, event);
+        // Only words someone heard go into an existing conversation's transcript
+        if (type === 'partial_reply' && delivered > 0 && await chatSessions.get(sessionId)) {
+            await storeReply(sessionId, event.replyId, { content: event.text, pushed: true });
+        }
+        res.json({ delivered });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ─── Realtime Channel ───────────────────────────────────────────────────────
+
+/**
+ * Client events on /ws. A user_message runs the same turn as POST
+ * /api/chat/stream, translated into typed events; a new message or an
+ * interrupt stops the turn in progress.
+ */
+async function handleRealtimeEvent(event, connection) {
+    const { sessionId } = connection;
+
+    if (event.type === 'interrupt') {
+        if (connection.turn) connection.turn.cancelled = true;
+        if (event.replyId === undefined) return;
+        const spokenWords = Number(event.spokenWords);
+        const invalid = checkInterruption(event.replyId, spokenWords);
+        if (invalid) return connection.send('state', { state: 'error', turn: event.turn, error: invalid });
+        await recordInterruption(sessionId, event.replyId, spokenWords);
+        return;
+    }
+
+    const { turn: turnId, message } = event;
+    if (!message || typeof message !== 'string') {
+        return connection.send('state', { state: 'error', turn: turnId, error: 'Message is required' });
+    }
+    const persona = resolvePersona(event.persona);
+    if (!persona) return connection.send('state', { state: 'error', turn: turnId, error: `Unknown persona "${event.persona}"` });
+
+    if (connection.turn) connection.turn.cancelled = true;
+    const turn = { cancelled: false };
+    connection.turn = turn;
+    let replyId;
+    const send = (type, payload) => connection.send(type, { turn: turnId, ...payload });
+
+    send('state', { state: 'thinking' });
+    await streamChatTurn({
+        body: { ...event, sessionId },
+        persona,
+        isClosed: () => turn.cancelled || connection.closed,
+        emit: (name, data) => {
+            switch (name) {
+                case 'start':
+                    ({ replyId } = data);
+                    send('state', { state: 'replying', ...data });
+                    break;
+                case 'sentence': {
+                    const { index, text, emotion, intensity, blend, gestures, phonemes, emotionKeyframes } = data;
+                    send('emotion', { replyId, index, emotion, intensity, blend, emotionKeyframes });
+                    if (gestures.length > 0) send('gesture', { replyId, index, gestures });
+                    send('viseme_timeline', { replyId, index, phonemes });
+                    send('partial_reply', { replyId, index, text });
+                    break;
+                }
+                case 'tool':
+                    send('state', { state: 'tool', ...data });
+                    break;
+                case 'done':
+                    send('state', { state: 'done', ...data });
+                    break;
+                case 'error':
+                    send('state', { state: 'error', ...data });
+                    break;
+            }
+        },
+    });
+    if (connection.turn === turn) connection.turn = null;
+}
+
 // ─── Start Server ───────────────────────────────────────────────────────────
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`\n🧑 Nova AI Virtual Human Server (v3.0)`);
     console.log(`   Running at: http://localhost:${PORT}`);
-    console.log(`   API Key:    ${process.env.GROQ_API_KEY && process.env.GROQ_API_KEY !== 'your_groq_api_key_here' ? '✅ Configured' : '⚠️  Not set (demo mode)'}`);
-    console.log(`   Features:   Full-Body Avatar • Audio Lip Sync • Body Gestures • Groq AI • Subtitles`);
+    console.log(`   LLM:        ${llm.provider.name} / ${llm.model} ${llm.provider.isConfigured() ? '✅ Configured' : '⚠️  Not configured (demo mode)'}`);
+    console.log(`   Sessions:   ${chatSessions.backend} store`);
+    console.log(`   Knowledge:  ${knowledge.stats().documents} documents, ${knowledge.stats().passages} passages`);
+    console.log(`   Tools:      ${tools.names().join(', ')}`);
+    console.log(`   Phonemes:   CMU dictionary (${DICTIONARY_SIZE.toLocaleString('en-US')} entries) + letter-to-sound rules, ${lexicon.size} custom pronunciation${lexicon.size === 1 ? '' : 's'}`);
+    console.log(`   Speech:     ${ttsEngine.name} engine${process.env.TTS_ENGINE && process.env.TTS_ENGINE !== ttsEngine.name ? ` (${process.env.TTS_ENGINE} not configured)` : ''}`);
+    console.log(`   Recognizer: ${sttEngine.name === 'local' ? 'local stand-in (canned phrases)' : `${sttEngine.name} engine`}${process.env.STT_ENGINE && process.env.STT_ENGINE !== sttEngine.name ? ` (${process.env.STT_ENGINE} not configured)` : ''}`);
+    console.log(`   Personas:   ${[...personas.keys()].join(', ')} (default: ${DEFAULT_PERSONA})`);
+    console.log(`   Realtime:   ws://localhost:${PORT}/ws`);
+    console.log(`   Features:   Full-Body Avatar • Audio Lip Sync • Body Gestures • Pluggable LLM • Subtitles`);
     console.log(`   Press Ctrl+C to stop\n`);
 });
+
+const realtime = createRealtimeHub({ server, path: '/ws', onEvent: handleRealtimeEvent });
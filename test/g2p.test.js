@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pronounce, generatePhonemeData } from '../public/shared/phonemes/index.js';
+
+// Imported without lib/phonemes/, so English uses the built-in word list as in the browser
+test('words named like Object.prototype properties are pronounced by rule', () => {
+    for (const word of ['constructor', 'toString', 'hasOwnProperty', '__proto__', 'valueOf']) {
+        const { phonemes, source } = pronounce(word, 'en');
+        assert.equal(source, 'rules', word);
+        assert.ok(phonemes.length > 0, word);
+    }
+    const data = generatePhonemeData('The constructor called toString.', { lang: 'en' });
+    assert.ok(data.phonemes.length > 0);
+});
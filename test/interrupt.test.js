@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSessionStore } from '../lib/sessions/index.js';
+
+async function conversation() {
+    const sessions = await createSessionStore({ backend: 'memory' });
+    await sessions.append('s',
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', replyId: 'r1', content: 'Hello there, how are you?' },
+        { role: 'user', content: 'Tell me a story' },
+        { role: 'assistant', replyId: 'r2', content: 'Once upon a time there was a fox.' });
+    return sessions;
+}
+
+test('the latest reply is cut to the words that were heard', async () => {
+    const sessions = await conversation();
+    const message = await sessions.interruptReply('s', 'r2', 3);
+    assert.equal(message.content, 'Once upon a—');
+    assert.equal(message.original, 'Once upon a time there was a fox.');
+    assert.deepEqual((await sessions.history('s')).at(-1), { role: 'assistant', content: 'Once upon a—' });
+});
+
+test('a reply interrupted before its first word leaves the history', async () => {
+    const sessions = await conversation();
+    await sessions.interruptReply('s', 'r2', 0);
+    assert.deepEqual((await sessions.history('s')).at(-1), { role: 'user', content: 'Tell me a story' });
+});
+
+test('a later report that all of it was heard restores the reply', async () => {
+    const sessions = await conversation();
+    await sessions.interruptReply('s', 'r2', 2);
+    const message = await sessions.interruptReply('s', 'r2', 8);
+    assert.equal(message.content, 'Once upon a time there was a fox.');
+    assert.equal(message.interrupted, undefined);
+    assert.equal(message.original, undefined);
+});
+
+test('earlier replies and unknown sessions cannot be cut', async () => {
+    const sessions = await conversation();
+    assert.equal(await sessions.interruptReply('s', 'r1', 1), null);
+    assert.equal(await sessions.interruptReply('other', 'r2', 1), null);
+    assert.equal((await sessions.get('s')).messages[1].content, 'Hello there, how are you?');
+});
+
+test('a pending reply joins the history once the cut arrives', async () => {
+    const sessions = await createSessionStore({ backend: 'memory' });
+    await sessions.append('s', { role: 'user', content: 'Hi' }, { role: 'assistant', replyId: 'r1', content: 'Hello there', pending: true });
+    assert.equal((await sessions.history('s')).length, 1);
+    await sessions.interruptReply('s', 'r1', 2);
+    assert.deepEqual((await sessions.history('s')).at(-1), { role: 'assistant', content: 'Hello there' });
+});
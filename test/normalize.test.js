@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeText } from '../public/shared/normalize.js';
+import { generatePhonemeData } from '../public/shared/phonemes/index.js';
+
+test('Dr. and St. before a name are titles', () => {
+    assert.equal(normalizeText('Call Dr. Smith tomorrow.'), 'Call Doctor Smith tomorrow.');
+    assert.equal(normalizeText('Dr. Lee raised $4.5M at 3:30pm'),
+        'Doctor Lee raised four point five million dollars at three thirty P M');
+    assert.equal(normalizeText('We flew to St. Louis.'), 'We flew to Saint Louis.');
+});
+
+test('Dr. and St. ending an address are Drive and Street', () => {
+    assert.equal(normalizeText('Turn left on Elm St. Then go straight.'), 'Turn left on Elm Street. Then go straight.');
+    assert.equal(normalizeText('I live at 12 Oak Dr. The house is blue.'), 'I live at twelve Oak Drive. The house is blue.');
+    assert.equal(normalizeText('Meet me on Main St.'), 'Meet me on Main Street.');
+});
+
+test('seven-digit phone numbers are read digit by digit', () => {
+    assert.equal(normalizeText('Call 555-1234 now.'), 'Call five five five, one two three four now.');
+    assert.equal(normalizeText('Call (555) 123-4567.'), 'Call five five five, one two three, four five six seven.');
+});
+
+test('number ranges are still ranges', () => {
+    assert.equal(normalizeText('Open 9-5 daily.'), 'Open nine to five daily.');
+    assert.equal(normalizeText('From 1990-2000.'), 'From nineteen ninety to two thousand.');
+});
+
+test('version numbers read every part as a number', () => {
+    assert.equal(normalizeText('Update to 2.0.1 today.'), 'Update to two point zero point one today.');
+    assert.equal(normalizeText('Running v10.2.3.'), 'Running v ten point two point three.');
+    assert.equal(normalizeText('It costs 3.5 dollars.'), 'It costs three point five dollars.');
+});
+
+test('four-digit years read the same way wherever they stand', () => {
+    assert.equal(normalizeText('It was 1999.'), 'It was nineteen ninety-nine.');
+    assert.equal(normalizeText('The year 2024 was long.'), 'The year twenty twenty-four was long.');
+    assert.equal(normalizeText('Q3 2024 revenue'), 'Q three twenty twenty-four revenue');
+    assert.equal(normalizeText('In 2005 we moved.'), 'In two thousand five we moved.');
+    assert.equal(normalizeText('We sold 1,999 copies.'), 'We sold one thousand nine hundred ninety-nine copies.');
+});
+
+test('titles are expanded whatever word follows', () => {
+    assert.equal(normalizeText('Mr. and Mrs. Jones'), 'Mister and Missus Jones');
+    assert.equal(normalizeText('Ask Prof. or Dr. Lee.'), 'Ask Professor or Doctor Lee.');
+    assert.equal(normalizeText('Main St. is closed.'), 'Main Street is closed.');
+});
+
+test('Spanish, German, French and Hindi numbers are spelled out in their own words', () => {
+    assert.equal(normalizeText('Cuesta 1 € y pesa 1.500 kg; pi es 3,14.', { lang: 'es-MX' }),
+        'Cuesta un euro y pesa mil quinientos kg; pi es tres coma uno cuatro.');
+    assert.equal(normalizeText('Un 15% más que en 2021.', { lang: 'es' }), 'Un quince por ciento más que en dos mil veintiuno.');
+    assert.equal(normalizeText('Das kostet 42 € bei -5 Grad.', { lang: 'de' }), 'Das kostet zweiundvierzig Euro bei minus fünf Grad.');
+    assert.equal(normalizeText('Il a 71 ans et 80 % de 1999.', { lang: 'fr' }),
+        'Il a soixante et onze ans et quatre-vingts pour cent de mille neuf cent quatre-vingt-dix-neuf.');
+    assert.equal(normalizeText('Yeh ₹250 hai.', { lang: 'hi' }), 'Yeh do paanch shoonya rupaye hai.');
+    assert.equal(normalizeText('123', { lang: 'ja' }), '123');
+});
+
+test('numbers in other languages still move the mouth', () => {
+    const { phonemes } = generatePhonemeData('42', { lang: 'es' });
+    assert.ok(phonemes.some(p => p.viseme !== 'viseme_sil'));
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pronounce, letterToSound, generatePhonemeData, DICTIONARY_SIZE } from '../lib/phonemes/index.js';
+
+const arpabet = ({ phonemes }) => phonemes.map(p => p.phoneme + (p.stress ?? '')).join(' ');
+
+test('English words come from the CMU dictionary on the server', () => {
+    assert.ok(DICTIONARY_SIZE > 100000);
+    const hello = pronounce('Hello!', 'en');
+    assert.equal(hello.source, 'dictionary');
+    assert.equal(arpabet(hello), 'HH AH0 L OW1');
+    assert.equal(arpabet(pronounce('don’t', 'en')), 'D OW1 N T');
+});
+
+test('hyphenated words are pronounced part by part', () => {
+    const word = pronounce('well-known', 'en');
+    assert.equal(word.source, 'dictionary');
+    assert.equal(arpabet(word), 'W EH1 L N OW1 N');
+});
+
+test('unknown words fall back to the letter-to-sound rules', () => {
+    const word = pronounce('blorptastic', 'en');
+    assert.equal(word.source, 'rules');
+    assert.equal(word.phonemes.filter(p => p.stress === 1).length, 1);
+    assert.equal(arpabet({ phonemes: letterToSound('miss') }), 'M IH1 S');
+    assert.equal(pronounce('hola', 'es').source, 'rules');
+});
+
+test('the timeline is in order and pauses at punctuation', () => {
+    const { phonemes, totalDuration } = generatePhonemeData('Hello, world.', { lang: 'en' });
+    assert.ok(phonemes.length > 0);
+    for (let i = 1; i < phonemes.length; i++) assert.ok(phonemes[i].time >= phonemes[i - 1].time);
+    const last = phonemes.at(-1);
+    assert.ok(totalDuration >= last.time);
+
+    const plain = generatePhonemeData('Hello world', { lang: 'en' });
+    assert.ok(totalDuration > plain.totalDuration);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { once } from 'events';
+import { WebSocket } from 'ws';
+import { createRealtimeHub, pushedStateEvent } from '../lib/realtime.js';
+
+async function startHub(t) {
+    const server = createServer();
+    const hub = createRealtimeHub({ server, path: '/ws', onEvent: () => {} });
+    server.listen(0);
+    await once(server, 'listening');
+    t.after(() => server.close());
+    return { hub, url: `ws://localhost:${server.address().port}/ws?sessionId=test` };
+}
+
+async function connect(url) {
+    const socket = new WebSocket(url);
+    const [data] = await once(socket, 'message');
+    assert.equal(JSON.parse(data).state, 'connected');
+    return socket;
+}
+
+test('an oversized frame closes that socket and leaves the server running', async (t) => {
+    const { hub, url } = await startHub(t);
+    const socket = await connect(url);
+    socket.on('error', () => {});
+    socket.send('x'.repeat(70 * 1024));
+    const [code] = await once(socket, 'close');
+    assert.equal(code, 1009);
+
+    const other = await connect(url);
+    assert.equal(hub.pushToSession('test', 'gesture', { gestures: ['wave'] }), 1);
+    const [data] = await once(other, 'message');
+    assert.deepEqual(JSON.parse(data), { gestures: ['wave'], type: 'gesture' });
+    other.terminate();
+});
+
+test('pushed state events keep to the documented fields', () => {
+    assert.deepEqual(pushedStateEvent({ state: 'tool', phase: 'start', status: 'Checking the weather' }),
+        { event: { state: 'tool', phase: 'start', status: 'Checking the weather' } });
+    assert.ok(pushedStateEvent({ state: 'sleeping' }).error);
+    assert.ok(pushedStateEvent({ state: 'done', html: '<b>hi</b>' }).error);
+    assert.ok(pushedStateEvent({ state: 'tool', phase: 'middle' }).error);
+    assert.ok(pushedStateEvent({ state: 'error', error: { nested: true } }).error);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { createSessionStore, trimHistory } from '../lib/sessions/index.js';
+
+test('history keeps the newest messages that fit and never opens on a reply', () => {
+    const messages = [
+        { role: 'user', content: 'a'.repeat(40) },
+        { role: 'assistant', content: 'b'.repeat(40) },
+        { role: 'user', content: 'c'.repeat(40) },
+    ];
+    assert.deepEqual(trimHistory(messages, 30).map(m => m.content[0]), ['c']);
+    assert.deepEqual(trimHistory(messages, 1000).map(m => m.content[0]), ['a', 'b', 'c']);
+    assert.deepEqual(trimHistory(messages.slice(1), 1000).map(m => m.content[0]), ['c']);
+    assert.equal(trimHistory([{ role: 'user', content: 'x'.repeat(400) }], 10).length, 1);
+});
+
+test('a transcript is capped at maxMessages', async () => {
+    const sessions = await createSessionStore({ backend: 'memory', maxMessages: 3 });
+    for (let i = 0; i < 5; i++) await sessions.append('s', { role: 'user', content: `m${i}` });
+    assert.deepEqual((await sessions.get('s')).messages.map(m => m.content), ['m2', 'm3', 'm4']);
+});
+
+test('idle sessions expire and tell their end listeners', async () => {
+    const sessions = await createSessionStore({ backend: 'memory', ttlMs: 50 });
+    const ended = [];
+    sessions.onSessionEnd(id => ended.push(id));
+    await sessions.append('old', { role: 'user', content: 'hi' });
+    await sleep(80);
+    await sessions.append('new', { role: 'user', content: 'hi' });
+
+    assert.equal(await sessions.get('old'), null);
+    await sessions.prune();
+    assert.deepEqual((await sessions.list()).map(s => s.id), ['new']);
+    await sleep(0);
+    assert.deepEqual(ended, ['old']);
+});
+
+test('the least recently updated session is evicted first', async () => {
+    const sessions = await createSessionStore({ backend: 'memory', maxSessions: 2 });
+    await sessions.append('a', { role: 'user', content: '1' });
+    await sessions.append('b', { role: 'user', content: '1' });
+    await sessions.append('a', { role: 'user', content: '2' });
+    await sessions.append('c', { role: 'user', content: '1' });
+    assert.deepEqual((await sessions.list()).map(s => s.id).sort(), ['a', 'c']);
+});
+
+const hasSqlite = await import('node:sqlite').then(() => true, () => false);
+
+test('concurrent appends to one SQLite session all land', { skip: !hasSqlite && 'needs node:sqlite' }, async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'nova-sessions-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    const sessions = await createSessionStore({ backend: 'sqlite', dbFile: join(dir, 'sessions.db') });
+    await sessions.append('s', { role: 'user', content: 'first' });
+    await Promise.all(Array.from({ length: 10 }, (_, i) => sessions.append('s', { role: 'user', content: `m${i}` })));
+    assert.equal((await sessions.get('s')).messages.length, 11);
+});
+
+test('the file store reloads sessions in least-recently-updated order', async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'nova-sessions-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    const file = join(dir, 'sessions.json');
+
+    const first = await createSessionStore({ backend: 'file', file });
+    await first.append('a', { role: 'user', content: '1' });
+    await sleep(2);
+    await first.append('b', { role: 'user', content: '1' });
+    await sleep(700); // past the debounced write
+
+    const second = await createSessionStore({ backend: 'file', file, maxSessions: 2 });
+    await second.append('c', { role: 'user', content: '1' });
+    assert.deepEqual((await second.list()).map(s => s.id).sort(), ['b', 'c']);
+    await sleep(700);
+});
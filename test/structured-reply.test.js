@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStructuredReply, repairJson, createStructuredStreamParser } from '../lib/structured-reply.js';
+
+test('a well-formed reply is parsed as it is', () => {
+    const reply = parseStructuredReply('{"emotion": "happy", "intensity": 0.6, "blend": {}, "gestures": [{"name": "wave", "sentence": 0}], "text": "Hi there!"}');
+    assert.equal(reply.source, 'json');
+    assert.equal(reply.text, 'Hi there!');
+    assert.equal(reply.emotion, 'happy');
+    assert.equal(reply.intensity, 0.6);
+    assert.deepEqual(reply.gestures, [{ name: 'wave', sentence: 0 }]);
+});
+
+test('code fences, prose, raw newlines, trailing commas and truncation are repaired', () => {
+    const fenced = parseStructuredReply('```json\n{"emotion": "sad", "text": "Oh no.",}\n```');
+    assert.deepEqual([fenced.source, fenced.text, fenced.emotion], ['repaired', 'Oh no.', 'sad']);
+
+    const chatty = parseStructuredReply('Sure! Here it is: {"emotion": "neutral", "text": "Line one\nline two"} Hope that helps');
+    assert.deepEqual([chatty.source, chatty.text], ['repaired', 'Line one\nline two']);
+
+    const truncated = parseStructuredReply('{"emotion": "thinking", "gestures": [{"name": "think"}], "text": "Let me see');
+    assert.deepEqual([truncated.source, truncated.text, truncated.emotion], ['repaired', 'Let me see', 'thinking']);
+
+    assert.equal(repairJson('{"a": [1, 2,'), '{"a": [1, 2]}');
+    assert.equal(repairJson('no object here'), null);
+});
+
+test('other text keys are accepted and unknown names are dropped', () => {
+    const reply = parseStructuredReply('{"emotion": "ecstatic", "gestures": ["nod", "moonwalk"], "response": "Great news!"}');
+    assert.equal(reply.text, 'Great news!');
+    assert.ok(['happy', 'excited', 'surprised'].includes(reply.emotion));
+    assert.deepEqual(reply.gestures, [{ name: 'nod', sentence: 0 }]);
+});
+
+test('plain text is speech, and JSON without text says nothing', () => {
+    const plain = parseStructuredReply('Just a normal sentence.');
+    assert.deepEqual([plain.source, plain.text], ['fallback', 'Just a normal sentence.']);
+
+    const silent = parseStructuredReply('{"emotion": "happy", "intensity": 0.5');
+    assert.equal(silent.text, '');
+    assert.equal(silent.emotion, 'happy');
+});
+
+test('the stream parser yields the text as it arrives, header first', () => {
+    const parser = createStructuredStreamParser();
+    const output = '{"emotion": "happy", "intensity": 0.4, "gestures": [], "text": "Hello \\"you\\", how are you?"}';
+    let spoken = '';
+    for (let i = 0; i < output.length; i += 7) spoken += parser.push(output.slice(i, i + 7));
+    assert.equal(spoken, 'Hello "you", how are you?');
+    assert.equal(parser.header.emotion, 'happy');
+    assert.equal(parser.finish().text, 'Hello "you", how are you?');
+});
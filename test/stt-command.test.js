@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCommandRecognizer } from '../lib/stt/command.js';
+
+test('only a supported language reaches the command line', async () => {
+    process.env.STT_COMMAND = 'echo {lang}';
+    const recognizer = createCommandRecognizer();
+    const heard = async lang => (await recognizer.transcribe(Buffer.alloc(0), { lang })).transcript;
+
+    assert.equal(await heard('es-MX'), 'es');
+    assert.equal(await heard('../../tmp/x'), 'en');
+    assert.equal(await heard('--output=/tmp/y'), 'en');
+    assert.equal(await heard(undefined), 'en');
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluate } from '../lib/tools/calculator.js';
+import { convert } from '../lib/tools/units.js';
+import { createToolRegistry } from '../lib/tools/index.js';
+
+test('the calculator follows operator precedence', () => {
+    assert.equal(evaluate('2 + 3 * 4'), 14);
+    assert.equal(evaluate('(2 + 3) * 4'), 20);
+    assert.equal(evaluate('2 ^ 3 ^ 2'), 512);
+    assert.equal(evaluate('-2 ** 2'), -4);
+    assert.equal(evaluate('10 % 4 + 7 ÷ 2 × 2'), 9);
+    assert.equal(evaluate('sqrt(16) + abs(-3) + log(1000)'), 10);
+    assert.equal(evaluate('round(pi * 100) / 100'), 3.14);
+});
+
+test('the calculator rejects anything that is not arithmetic', () => {
+    assert.throws(() => evaluate('process.exit()'), /Unexpected character/);
+    assert.throws(() => evaluate('constructor'), /Unknown token "constructor"/);
+    assert.throws(() => evaluate('2 +'), /Unexpected end/);
+    assert.throws(() => evaluate('(1 + 2'), /Expected "\)"/);
+    assert.throws(() => evaluate('1 / 0'), /not a finite number/);
+});
+
+test('units convert within a dimension', () => {
+    assert.equal(convert(10, 'miles', 'km').result, 16.09344);
+    assert.equal(convert(1, 'kg', 'lb').result, 2.204622622);
+    assert.equal(convert(212, 'fahrenheit', 'celsius').result, 100);
+    assert.equal(convert(0, '°C', 'K').result, 273.15);
+    assert.equal(convert(1, 'GiB', 'MB').result, 1073.741824);
+    assert.equal(convert(90, 'km/h', 'm/s').dimension, 'speed');
+});
+
+test('unit conversion names what it cannot do', () => {
+    assert.throws(() => convert(1, 'kg', 'km'), /Cannot convert mass to length/);
+    assert.throws(() => convert(1, 'parsec', 'km'), /Unknown unit "parsec"/);
+    assert.throws(() => convert(1, 'constructor', 'km'), /Unknown unit "constructor"/);
+    assert.throws(() => convert('lots', 'kg', 'lb'), /is not a number/);
+});
+
+test('a failing tool answers with an error instead of throwing', async () => {
+    const registry = createToolRegistry().register({ name: 'boom', handler() { throw new Error('nope'); } });
+    assert.deepEqual(await registry.run('boom', {}), { error: 'nope' });
+    assert.deepEqual(await registry.run('missing', {}), { error: 'Unknown tool "missing"' });
+});